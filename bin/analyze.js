@@ -1,7 +1,13 @@
 #!/usr/bin/env node
 
-import { parseVTT } from '../src/parse-vtt.js';
+import { parseTranscripts } from '../src/transcript-formats.js';
 import { findHighlights } from '../src/find-highlights.js';
+import { normalizeHighlightOptions } from '../src/highlight-options.js';
+import { boundaryOptions } from '../src/refine-boundaries.js';
+import { loadCast, loadGlossary } from '../src/campaign.js';
+import { loadMemory, rememberSession } from '../src/campaign-memory.js';
+import { summarizeEpisode, summaryMarkdown } from '../src/episode-summary.js';
+import { glossaryTerms } from '../src/glossary.js';
 import { writeFileSync, mkdirSync, existsSync, readFileSync } from 'fs';
 import { join, basename, resolve } from 'path';
 
@@ -16,20 +22,56 @@ if (existsSync(envPath)) {
 }
 
 const args = process.argv.slice(2);
-const vttPath = args.find(a => !a.startsWith('--'));
+const vttPaths = args.filter(a => !a.startsWith('--'));
 
-if (!vttPath) {
-  console.error('Usage: node bin/analyze.js <path-to-vtt-file>');
+if (vttPaths.length === 0) {
+  console.error('Usage: node bin/analyze.js <path-to-transcript> [more transcripts...]  (.vtt, .srt, .txt or .json)');
+  console.error('  Several transcripts are merged into one session timeline.');
   console.error('  Options:');
+  console.error('    --offsets=A,B   Start offset per file (seconds or H:MM:SS), e.g. --offsets=0,1:00:00');
+  console.error('    --campaign=NAME Apply campaigns/<name>/cast.json and glossary.json (speakers, DM, name spellings)');
+  console.error('                    and use/update the campaign memory of past sessions');
   console.error('    --parse-only    Stop after parsing (skip highlight analysis)');
+  console.error('    --count=N       Number of highlights to find (default: 3)');
+  console.error('    --types=A,B     Only these moment types (e.g. funny_banter,epic_roll)');
+  console.error('    --exclude-types=A,B  Skip these moment types');
+  console.error('    --min-duration=S / --max-duration=S  Clip length bounds in seconds');
+  console.error('    --pre-roll=S / --post-roll=S  Padding around each clip (default: 0.5 / 1)');
+  console.error('    --offline       Use the local heuristic highlight finder (no API key needed)');
+  console.error('    --replay=FILE   Serve LLM responses from a recorded cassette.json instead of calling the API');
   process.exit(1);
 }
 
 const parseOnly = args.includes('--parse-only');
+const offline = args.includes('--offline');
+const replayPath = args.find(a => a.startsWith('--replay='))?.slice('--replay='.length);
+const offsets = args.find(a => a.startsWith('--offsets='))?.slice('--offsets='.length).split(',') || [];
+const campaign = args.find(a => a.startsWith('--campaign='))?.slice('--campaign='.length);
+const flagValue = name => args.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+let highlightOptions;
+let clipPadding;
+try {
+  highlightOptions = normalizeHighlightOptions({
+    count: flagValue('count'),
+    includeTypes: flagValue('types'),
+    excludeTypes: flagValue('exclude-types'),
+    minDuration: flagValue('min-duration'),
+    maxDuration: flagValue('max-duration'),
+  });
+  clipPadding = boundaryOptions({ preRoll: flagValue('pre-roll'), postRoll: flagValue('post-roll') });
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
+
+const cast = loadCast(campaign);
+if (campaign && !cast) console.warn(`No cast file for campaign "${campaign}" — using speaker heuristics`);
+const glossary = glossaryTerms(loadGlossary(campaign), cast);
 
-// Parse VTT
-console.log(`\nParsing: ${basename(vttPath)}`);
-const session = parseVTT(vttPath);
+// Parse transcript(s) (format auto-detected, multiple files merged)
+console.log(`\nParsing: ${vttPaths.map(p => basename(p)).join(' + ')}`);
+const session = parseTranscripts(vttPaths.map((path, i) => ({ path, offset: offsets[i] || 0 })), { cast, glossary });
 
 // Create output directory
 const sessionDate = session.sessionFile.match(/GMT(\d{8})/)?.[1] || 'unknown';
@@ -42,21 +84,41 @@ writeFileSync(sessionPath, JSON.stringify(session, null, 2));
 
 // Print summary
 console.log(`\n--- Session Summary ---`);
+console.log(`Format: ${session.format}`);
 console.log(`Duration: ${session.duration}`);
 console.log(`Total cues: ${session.totalCues}`);
+if (session.corrections?.replacements) {
+  const fixed = Object.entries(session.corrections.terms).map(([name, n]) => `${name} ×${n}`).join(', ');
+  console.log(`Glossary fixes: ${session.corrections.replacements} in ${session.corrections.cueCount} cues (${fixed})`);
+}
 console.log(`\nSpeakers:`);
 for (const s of session.speakers) {
   const role = s.role === 'dm' ? ' [DM]' : '';
-  console.log(`  ${s.name}${role}`);
+  const aka = s.displayNames.filter(n => n !== s.name);
+  console.log(`  ${s.name}${role}${aka.length ? ` (as ${aka.join(', ')})` : ''}`);
   console.log(`    Cues: ${s.cueCount} | Speaking time: ${Math.round(s.totalSpeakingTime)}s | Avg text length: ${s.avgTextLength} chars`);
 }
 
-console.log(`\nSegments:`);
+console.log(`\nTimeline:`);
 for (const seg of session.segments) {
-  const startMin = Math.floor(seg.startTime / 60);
-  const endMin = Math.floor(seg.endTime / 60);
   const durMin = Math.round((seg.endTime - seg.startTime) / 60);
-  console.log(`  ${seg.type}: ${startMin}m → ${endMin}m (${durMin} min)`);
+  const detail = seg.type === 'break'
+    ? (seg.reason === 'silence' ? 'silence' : `${seg.cueCount} cues, announced`)
+    : `${seg.cueCount} cues`;
+  console.log(`  ${hms(seg.startTime)} → ${hms(seg.endTime)}  ${seg.type.padEnd(18)} ${String(durMin).padStart(3)} min  (${detail})`);
+}
+const combatCount = session.segments.filter(s => s.type === 'combat').length;
+const breakCount = session.segments.filter(s => s.type === 'break').length;
+console.log(`  ${combatCount} combat encounter${combatCount !== 1 ? 's' : ''}, ${breakCount} break${breakCount !== 1 ? 's' : ''}`);
+
+const rolls = session.diceRolls.filter(r => !r.call);
+if (rolls.length > 0) {
+  const nat20s = rolls.filter(r => r.natural === 20).length;
+  const nat1s = rolls.filter(r => r.natural === 1).length;
+  console.log(`\nDice rolls: ${rolls.length} detected (${nat20s} nat 20${nat20s !== 1 ? 's' : ''}, ${nat1s} nat 1${nat1s !== 1 ? 's' : ''})`);
+  for (const r of rolls.filter(r => r.natural)) {
+    console.log(`  ${hms(r.time)}  ${r.speaker || 'Unknown'}: nat ${r.natural}${r.kind !== 'unknown' ? ` (${r.kind})` : ''}`);
+  }
 }
 
 console.log(`\nParsed session saved to: ${sessionPath}`);
@@ -70,7 +132,20 @@ if (parseOnly) {
 console.log('\n--- Finding Highlights ---');
 
 try {
-  const highlights = await findHighlights(session);
+  // Record LLM calls next to the session data (or replay a previous recording)
+  const cassette = replayPath
+    ? { path: resolve(replayPath), mode: 'replay', used: new Set() }
+    : process.env.LLM_CASSETTE === 'off' ? null : { path: join(outDir, 'session-data', 'cassette.json'), mode: 'record' };
+
+  const highlights = await findHighlights(session, {
+    cassette,
+    ...highlightOptions,
+    ...clipPadding,
+    ...(offline ? { mode: 'heuristic' } : {}),
+    memory: campaign ? loadMemory(campaign) : null,
+    memoryKey: session.sessionFile,
+  });
+  if (campaign) rememberSession(campaign, session.sessionFile, session, highlights);
 
   // Save highlights
   const highlightsPath = join(outDir, 'session-data', 'highlights.json');
@@ -81,6 +156,11 @@ try {
   };
   writeFileSync(highlightsPath, JSON.stringify(highlightsData, null, 2));
 
+  // Episode summary + clip descriptions
+  const summary = await summarizeEpisode(session, highlights, { cassette, ...(offline ? { mode: 'heuristic' } : {}) });
+  const summaryPath = join(outDir, 'session-data', 'summary.md');
+  writeFileSync(summaryPath, summaryMarkdown(summary, session, highlights));
+
   // Print highlights
   console.log(`\nFound ${highlights.length} highlights:\n`);
   for (const h of highlights) {
@@ -90,12 +170,20 @@ try {
     const endSec = Math.floor(h.endTime % 60);
     console.log(`  #${h.rank} [${h.type}] ${h.title}`);
     console.log(`     ${String(startMin).padStart(2, '0')}:${String(startSec).padStart(2, '0')} → ${String(endMin).padStart(2, '0')}:${String(endSec).padStart(2, '0')} (~${h.estimatedClipDuration}s clip)`);
+    if (h.boundary) {
+      console.log(`     Picked ${hms(h.rawStartTime)} → ${hms(h.rawEndTime)}; refined with +${h.boundary.setupCues} setup / +${h.boundary.tailCues} reaction lines, ${h.boundary.preRoll}s/${h.boundary.postRoll}s padding`);
+    }
     console.log(`     ${h.whyItsGood}`);
-    console.log(`     Animation: ${h.suggestedAnimationType} — ${h.animationNotes}`);
+    if (h.animationSequence) {
+      console.log(`     Animation: ${h.animationSequence.map(a => a.concept).join(' → ')}`);
+    } else {
+      console.log(`     Animation: ${h.suggestedAnimationType} — ${h.animationNotes}`);
+    }
     console.log('');
   }
 
   console.log(`Highlights saved to: ${highlightsPath}`);
+  console.log(`Episode summary saved to: ${summaryPath}`);
 } catch (err) {
   console.error(`\nError finding highlights: ${err.message}`);
   if (err.message.includes('ANTHROPIC_API_KEY')) {
@@ -103,3 +191,10 @@ try {
   }
   process.exit(1);
 }
+
+function hms(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const sec = Math.floor(seconds % 60);
+  return `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+}
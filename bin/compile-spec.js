@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+import { validateSpec, compileSpec } from '../src/animation-spec.js';
+import { existsSync, readdirSync, readFileSync, writeFileSync, statSync } from 'fs';
+import { join, resolve, relative } from 'path';
+
+const args = process.argv.slice(2);
+
+// ── Parse flags ──
+const flags = {};
+const positional = [];
+for (const a of args) {
+  if (a.startsWith('--')) {
+    const [key, val] = a.slice(2).split('=');
+    flags[key] = val === undefined ? true : val;
+  } else {
+    positional.push(a);
+  }
+}
+
+const usage = `
+Usage: node bin/compile-spec.js <target> [options]
+
+  Compiles animation specs (animation.json, see src/animation-spec.js)
+  to the player HTML, written next to each spec (animation.json →
+  animation.html).
+
+  <target> can be:
+    - Path to a spec .json file
+    - Path to a folder — compiles every animation.json below it
+
+  Options:
+    --check          Validate only, don't write HTML
+
+  Examples:
+    node bin/compile-spec.js output/session_x/segment_01_nat20/anim_01_die_spins/
+    node bin/compile-spec.js output/session_x/ --check
+    (then re-export with: node bin/export.js <anim folder>)
+`;
+
+if (positional.length === 0) {
+  console.error(usage);
+  process.exit(1);
+}
+
+const target = resolve(positional[0]);
+
+function findSpecs(dir) {
+  const found = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) found.push(...findSpecs(path));
+    else if (entry.name === 'animation.json') found.push(path);
+  }
+  return found;
+}
+
+if (!existsSync(target)) {
+  console.error(`Target not found: ${target}`);
+  process.exit(1);
+}
+
+const specs = statSync(target).isDirectory() ? findSpecs(target).sort() : [target];
+if (specs.length === 0) {
+  console.error(`No animation.json found in: ${target}`);
+  process.exit(1);
+}
+
+let failed = 0;
+for (const specPath of specs) {
+  const name = relative(process.cwd(), specPath);
+  let spec;
+  try {
+    spec = JSON.parse(readFileSync(specPath, 'utf-8'));
+  } catch (err) {
+    console.error(`  ✗ ${name}: not valid JSON (${err.message})`);
+    failed++;
+    continue;
+  }
+
+  const errors = validateSpec(spec);
+  if (errors.length > 0) {
+    console.error(`  ✗ ${name}:`);
+    for (const e of errors) console.error(`      - ${e}`);
+    failed++;
+    continue;
+  }
+
+  if (flags.check) {
+    console.log(`  ✓ ${name}`);
+  } else {
+    const htmlPath = specPath.replace(/\.json$/i, '') + '.html';
+    writeFileSync(htmlPath, compileSpec(spec));
+    console.log(`  ✓ ${name} → ${relative(process.cwd(), htmlPath)}`);
+  }
+}
+
+console.log(`\n${specs.length - failed}/${specs.length} spec(s) ${flags.check ? 'valid' : 'compiled'}`);
+if (failed > 0) process.exit(1);
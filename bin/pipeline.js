@@ -1,8 +1,15 @@
 #!/usr/bin/env node
 
-import { parseVTT } from '../src/parse-vtt.js';
+import { parseTranscript } from '../src/transcript-formats.js';
+import { loadCast, loadGlossary } from '../src/campaign.js';
+import { loadMemory, rememberSession, markPublished } from '../src/campaign-memory.js';
+import { summarizeEpisode, summaryMarkdown } from '../src/episode-summary.js';
+import { glossaryTerms } from '../src/glossary.js';
 import { findHighlights } from '../src/find-highlights.js';
+import { normalizeHighlightOptions } from '../src/highlight-options.js';
+import { boundaryOptions } from '../src/refine-boundaries.js';
 import { exportAnimation } from '../src/export-animation.js';
+import { loadSession, resumeSession } from '../src/job-runner.js';
 import { writeFileSync, mkdirSync, existsSync, readFileSync, cpSync } from 'fs';
 import { join, basename, resolve } from 'path';
 
@@ -29,20 +36,37 @@ for (const a of args) {
 }
 
 const usage = `
-Usage: node bin/pipeline.js <vtt-file> [options]
+Usage: node bin/pipeline.js <transcript-file> [options]
+       node bin/pipeline.js <session-folder> --resume
 
-  The full pipeline: Parse VTT → Find highlights → Export video
+  The full pipeline: Parse transcript → Find highlights → Export video
+  Transcripts: .vtt (Zoom), .srt, .txt (Speaker: text logs), .json
 
   Options:
     --parse-only       Stop after parsing
     --highlights-only  Stop after finding highlights (skip export)
+    --offline          Find highlights with the local heuristic scorer (no API key)
+    --replay=FILE      Serve LLM responses from a recorded cassette.json
+    --campaign=NAME    Apply campaigns/<name>/cast.json and glossary.json
+                       (speaker names, DM, proper-noun spellings);
+                       also uses and updates the campaign's memory of past sessions
+                       (exported clips are remembered as published)
+    --count=N          Number of highlights to find (default: 3)
+    --types=A,B        Only these moment types (e.g. funny_banter,epic_roll)
+    --exclude-types=A  Skip these moment types
+    --min-duration=S   Shortest clip in seconds
+    --max-duration=S   Longest clip in seconds
+    --pre-roll=S       Padding before each clip's first line (default: 0.5)
+    --post-roll=S      Padding after each clip's last line (default: 1)
     --export-only      Skip parsing/highlights, just export existing clips
+    --resume           Continue an interrupted web UI session from its state.json
+                       (skips finished animations, re-exports ones missing video)
     --fps=N            Export frames per second (default: 5)
     --keep-frames      Keep individual PNG frames after export
 
   The pipeline will:
-    1. Parse the VTT transcript into structured data
-    2. Send to Claude to find 2-3 highlight moments
+    1. Parse the transcript into structured data
+    2. Send to Claude to find highlight moments (3 unless --count)
     3. (You review highlights and place animation.html files in clip folders)
     4. Export all clip animations to video (WebM + MP4)
 
@@ -60,12 +84,37 @@ const highlightsOnly = !!flags['highlights-only'];
 const exportOnly = !!flags['export-only'];
 const fps = parseInt(flags.fps) || 5;
 const keepFrames = !!flags['keep-frames'];
+const resume = !!flags.resume;
+const offline = !!flags.offline;
+const replayPath = typeof flags.replay === 'string' ? flags.replay : null;
+const campaign = typeof flags.campaign === 'string' ? flags.campaign : null;
+
+let highlightOptions;
+let clipPadding;
+try {
+  highlightOptions = normalizeHighlightOptions({
+    count: flags.count,
+    includeTypes: flags.types,
+    excludeTypes: flags['exclude-types'],
+    minDuration: flags['min-duration'],
+    maxDuration: flags['max-duration'],
+  });
+  clipPadding = boundaryOptions({ preRoll: flags['pre-roll'], postRoll: flags['post-roll'] });
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
 
 async function run() {
   console.log('\n╔═══════════════════════════════════════════════╗');
   console.log('║  D&D Shorts Pipeline                          ║');
   console.log('╚═══════════════════════════════════════════════╝\n');
 
+  if (resume) {
+    await runResume();
+    return;
+  }
+
   // ── Determine output directory ──
   let outDir;
 
@@ -79,8 +128,11 @@ async function run() {
     console.log(`Export-only mode. Session: ${outDir}\n`);
   } else {
     // ── STAGE 1: Parse ──
-    console.log('── Stage 1: Parse VTT ──\n');
-    const session = parseVTT(vttPath);
+    console.log('── Stage 1: Parse Transcript ──\n');
+    const cast = loadCast(campaign);
+    if (campaign && !cast) console.warn(`  No cast file for campaign "${campaign}" — using speaker heuristics`);
+    const glossary = glossaryTerms(loadGlossary(campaign), cast);
+    const session = parseTranscript(vttPath, { cast, glossary });
 
     const sessionDate = session.sessionFile.match(/GMT(\d{8})/)?.[1]
       || session.sessionFile.match(/(\d{4}-\d{2}-\d{2})/)?.[0]?.replace(/-/g, '')
@@ -91,8 +143,12 @@ async function run() {
     const sessionPath = join(outDir, 'session-data', 'session.json');
     writeFileSync(sessionPath, JSON.stringify(session, null, 2));
 
+    console.log(`  Format: ${session.format}`);
     console.log(`  Duration: ${session.duration}`);
     console.log(`  Cues: ${session.totalCues}`);
+    if (session.corrections?.replacements) {
+      console.log(`  Glossary fixes: ${session.corrections.replacements} in ${session.corrections.cueCount} cues`);
+    }
     console.log(`  Speakers: ${session.speakers.map(s => s.name + (s.role === 'dm' ? ' [DM]' : '')).join(', ')}`);
     console.log(`  Segments: ${session.segments.map(s => s.type).join(' → ')}`);
     console.log(`  Saved: ${sessionPath}\n`);
@@ -106,7 +162,20 @@ async function run() {
     console.log('── Stage 2: Find Highlights ──\n');
 
     try {
-      const highlights = await findHighlights(session);
+      // Record LLM calls next to the session data (or replay a previous recording)
+      const cassette = replayPath
+        ? { path: resolve(replayPath), mode: 'replay', used: new Set() }
+        : process.env.LLM_CASSETTE === 'off' ? null : { path: join(outDir, 'session-data', 'cassette.json'), mode: 'record' };
+
+      const highlights = await findHighlights(session, {
+        cassette,
+        ...highlightOptions,
+        ...clipPadding,
+        ...(offline ? { mode: 'heuristic' } : {}),
+        memory: campaign ? loadMemory(campaign) : null,
+        memoryKey: session.sessionFile,
+      });
+      if (campaign) rememberSession(campaign, session.sessionFile, session, highlights);
 
       const highlightsPath = join(outDir, 'session-data', 'highlights.json');
       const highlightsData = {
@@ -116,6 +185,11 @@ async function run() {
       };
       writeFileSync(highlightsPath, JSON.stringify(highlightsData, null, 2));
 
+      // Episode summary + clip descriptions
+      const summary = await summarizeEpisode(session, highlights, { cassette, ...(offline ? { mode: 'heuristic' } : {}) });
+      const summaryPath = join(outDir, 'session-data', 'summary.md');
+      writeFileSync(summaryPath, summaryMarkdown(summary, session, highlights));
+
       console.log(`  Found ${highlights.length} highlights:\n`);
       for (const h of highlights) {
         const startMin = Math.floor(h.startTime / 60);
@@ -128,7 +202,8 @@ async function run() {
         console.log('');
       }
 
-      console.log(`  Saved: ${highlightsPath}\n`);
+      console.log(`  Saved: ${highlightsPath}`);
+      console.log(`  Saved: ${summaryPath}\n`);
     } catch (err) {
       console.error(`  Error finding highlights: ${err.message}`);
       if (err.message.includes('ANTHROPIC_API_KEY')) {
@@ -156,6 +231,7 @@ async function run() {
   const clipDirs = entries
     .filter(e => e.isDirectory() && e.name.startsWith('clip_'))
     .sort((a, b) => a.name.localeCompare(b.name));
+  const exported = [];
 
   if (clipDirs.length === 0) {
     console.log('  No clip_* folders found. Skipping export.');
@@ -176,12 +252,15 @@ async function run() {
         await exportAnimation(htmlPath, clipPath, {
           fps, keepFrames, webm: true, mp4: true, mov: false,
         });
+        exported.push(dir.name);
       } catch (err) {
         console.error(`  ✗ Failed: ${err.message}`);
       }
     }
   }
 
+  if (campaign && exported.length > 0) rememberPublished(outDir, exported);
+
   // ── Summary ──
   console.log('\n╔═══════════════════════════════════════════════╗');
   console.log('║  Pipeline Complete                             ║');
@@ -200,6 +279,57 @@ async function run() {
   }
 }
 
+/**
+ * Mark the highlights behind exported clips (clip_NN_* → highlight rank NN)
+ * as published in the campaign memory.
+ */
+function rememberPublished(outDir, clipNames) {
+  const sessionPath = join(outDir, 'session-data', 'session.json');
+  const highlightsPath = join(outDir, 'session-data', 'highlights.json');
+  if (!existsSync(sessionPath) || !existsSync(highlightsPath)) {
+    console.warn('  No session data next to the clips — not recording them in the campaign memory');
+    return;
+  }
+
+  const session = JSON.parse(readFileSync(sessionPath, 'utf-8'));
+  const { highlights } = JSON.parse(readFileSync(highlightsPath, 'utf-8'));
+  const ranks = new Set(clipNames.map(name => parseInt(name.match(/^clip_(\d+)/)?.[1], 10)));
+  const published = highlights.filter(h => ranks.has(h.rank));
+  if (published.length === 0) return;
+
+  markPublished(campaign, session.sessionFile, session, published);
+  console.log(`  Campaign memory: ${published.length} highlight${published.length === 1 ? '' : 's'} marked as published`);
+}
+
+/**
+ * Resume a session created by the web UI (output/session_<id>/state.json).
+ */
+async function runResume() {
+  const sessionDir = resolve(vttPath);
+  const session = existsSync(sessionDir) ? loadSession(sessionDir) : null;
+  if (!session) {
+    console.error(`No resumable session (state.json) found in: ${sessionDir}`);
+    process.exit(1);
+  }
+
+  console.log(`Resuming session ${session.id}`);
+  if (session.interruptedStage) {
+    console.log(`  Interrupted during: ${session.interruptedStage}`);
+  }
+  console.log('');
+
+  await resumeSession(session.id);
+
+  console.log('\n── Resume Summary ──\n');
+  for (const seg of session.segments || []) {
+    console.log(`  ${seg.index + 1}. ${seg.highlight.title} [${seg.status}]`);
+    for (const anim of seg.animations) {
+      console.log(`     ${anim.order}. ${anim.status}${anim.error ? ` — ${anim.error}` : ''}`);
+    }
+  }
+  console.log(`\n  Output: ${session.outDir}\n`);
+}
+
 run().catch(err => {
   console.error(`Fatal: ${err.message}`);
   if (err.stack) console.error(err.stack);
@@ -18,8 +18,22 @@ const dropZone = document.getElementById('drop-zone');
 const fileInput = document.getElementById('file-input');
 const submitBtn = document.getElementById('submit-btn');
 const contextInput = document.getElementById('user-context');
+const campaignInput = document.getElementById('campaign-input');
 
-let selectedFile = null;
+// Must match MOMENT_TYPES in src/highlight-options.js
+const MOMENT_TYPES = [
+  'epic_roll', 'funny_banter', 'dramatic_reveal', 'combat_climax',
+  'treasure_reward', 'atmosphere_dread', 'character_moment', 'table_chaos',
+];
+
+document.getElementById('opt-types').innerHTML = MOMENT_TYPES.map(t => `
+  <label class="type-toggle"><input type="checkbox" value="${t}" checked> ${t.replace(/_/g, ' ')}</label>
+`).join('');
+
+let selectedFiles = [];
+
+// Must match the formats registered in src/transcript-formats.js
+const TRANSCRIPT_EXTENSIONS = ['.vtt', '.srt', '.txt', '.log', '.json'];
 
 dropZone.addEventListener('click', () => fileInput.click());
 dropZone.addEventListener('dragover', e => { e.preventDefault(); dropZone.classList.add('dragover'); });
@@ -27,32 +41,71 @@ dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover
 dropZone.addEventListener('drop', e => {
   e.preventDefault();
   dropZone.classList.remove('dragover');
-  const file = e.dataTransfer.files[0];
-  if (file && file.name.endsWith('.vtt')) {
-    selectFile(file);
-  }
+  const files = [...e.dataTransfer.files]
+    .filter(f => TRANSCRIPT_EXTENSIONS.some(ext => f.name.toLowerCase().endsWith(ext)));
+  if (files.length > 0) selectFiles(files);
 });
 
 fileInput.addEventListener('change', () => {
-  if (fileInput.files[0]) selectFile(fileInput.files[0]);
+  if (fileInput.files.length > 0) selectFiles([...fileInput.files]);
 });
 
-function selectFile(file) {
-  selectedFile = file;
+function selectFiles(files) {
+  selectedFiles = files;
+  const totalKb = files.reduce((sum, f) => sum + f.size, 0) / 1024;
   dropZone.classList.add('has-file');
-  dropZone.querySelector('p').textContent = file.name;
-  dropZone.querySelector('.drop-sub').textContent = `${(file.size / 1024).toFixed(0)} KB`;
+  dropZone.querySelector('p').textContent = files.length === 1 ? files[0].name : `${files.length} transcript files`;
+  dropZone.querySelector('.drop-sub').textContent = `${totalKb.toFixed(0)} KB`;
+  renderFileList();
   submitBtn.disabled = false;
 }
 
+// Multiple files are merged into one session — each gets a time offset
+// (Zoom part 2 starting at 1:00:00) and an optional speaker (per-player tracks)
+function renderFileList() {
+  const list = document.getElementById('file-list');
+  if (selectedFiles.length < 2) {
+    list.innerHTML = '';
+    return;
+  }
+
+  list.innerHTML = selectedFiles.map((f, i) => `
+    <div class="file-row">
+      <span class="file-name">${esc(f.name)}</span>
+      <input type="text" class="file-offset" id="file-offset-${i}" placeholder="offset (0:00:00)">
+      <input type="text" class="file-speaker" id="file-speaker-${i}" placeholder="speaker (optional)">
+    </div>
+  `).join('');
+}
+
 submitBtn.addEventListener('click', async () => {
-  if (!selectedFile) return;
+  if (selectedFiles.length === 0) return;
   submitBtn.disabled = true;
   submitBtn.textContent = 'Uploading...';
 
   const formData = new FormData();
-  formData.append('vtt', selectedFile);
+  for (const file of selectedFiles) formData.append('vtt', file);
+  if (selectedFiles.length > 1) {
+    formData.append('offsets', JSON.stringify(selectedFiles.map((f, i) =>
+      document.getElementById(`file-offset-${i}`).value.trim() || 0)));
+    formData.append('speakers', JSON.stringify(selectedFiles.map((f, i) =>
+      document.getElementById(`file-speaker-${i}`).value.trim() || null)));
+  }
   formData.append('context', contextInput.value);
+  if (campaignInput.value.trim()) formData.append('campaign', campaignInput.value.trim());
+
+  // Clip options — unchecked types are excluded, empty lengths use the defaults
+  formData.append('count', document.getElementById('opt-count').value);
+  const excluded = [...document.querySelectorAll('#opt-types input:not(:checked)')].map(el => el.value);
+  if (excluded.length > 0) formData.append('excludeTypes', JSON.stringify(excluded));
+  const minDuration = document.getElementById('opt-min-duration').value;
+  const maxDuration = document.getElementById('opt-max-duration').value;
+  if (minDuration) formData.append('minDuration', minDuration);
+  if (maxDuration) formData.append('maxDuration', maxDuration);
+  const preRoll = document.getElementById('opt-pre-roll').value;
+  const postRoll = document.getElementById('opt-post-roll').value;
+  if (preRoll) formData.append('preRoll', preRoll);
+  if (postRoll) formData.append('postRoll', postRoll);
 
   try {
     const res = await fetch('/api/sessions', { method: 'POST', body: formData });
@@ -109,6 +162,8 @@ function updateUI(session) {
     case 'uploaded':
     case 'analyzing':
       showScreen('analyzing');
+      document.querySelector('.spinner').style.display = '';
+      document.getElementById('resume-btn').hidden = true;
       document.getElementById('analyze-message').textContent = session.progress.message;
       document.getElementById('analyze-progress').style.width = session.progress.percent + '%';
       break;
@@ -136,6 +191,7 @@ function updateUI(session) {
       showScreen('analyzing');
       document.getElementById('analyze-message').textContent = session.progress.message || 'Something went wrong';
       document.querySelector('.spinner').style.display = 'none';
+      document.getElementById('resume-btn').hidden = false;
       break;
   }
 }
@@ -146,6 +202,11 @@ function renderPlan(session) {
   const container = document.getElementById('segments-plan');
   container.innerHTML = '';
 
+  renderCast(session);
+  renderEnergyTimeline(session);
+  renderCoverage(session);
+  renderEpisode(session);
+
   if (!session.segments) return;
 
   session.segments.forEach((seg, i) => {
@@ -215,6 +276,18 @@ function renderPlan(session) {
           ${animCardsHtml}
         </div>
         ${seg.whyItsGood ? `<div class="clip-why">${esc(seg.whyItsGood)}</div>` : ''}
+        ${seg.boundary ? `<div class="clip-why">${esc(describeBoundary(seg))}</div>` : ''}
+        ${seg.description ? `<div class="clip-why">${esc(seg.description)} <span class="optional">${esc(seg.hashtags.join(' '))}</span></div>` : ''}
+        ${seg.repeatOf ? `<div class="clip-why">Similar to an already-published clip: ${esc(seg.repeatOf)}</div>` : ''}
+        ${seg.judgeJustification ? `
+          <div class="clip-judge">
+            <strong>Ranked #${i + 1} overall</strong>${seg.chunk ? ` (was #${seg.chunkRank ?? '?'} in chunk ${seg.chunk})` : ''}: ${esc(seg.judgeJustification)}
+          </div>
+        ` : ''}
+        ${seg.energy ? `
+          <div class="energy-label">Table energy around this clip (shaded)</div>
+          ${sparkline(seg.energy.values, seg.energy.to - seg.energy.from, [{ start: seg.startTime - seg.energy.from, end: seg.endTime - seg.energy.from }], 'sparkline-small')}
+        ` : ''}
       </div>
     `;
 
@@ -234,6 +307,85 @@ function renderPlan(session) {
   }
 }
 
+// Raw (as picked) vs refined in/out points — see src/refine-boundaries.js
+function describeBoundary(seg) {
+  const clock = sec => `${pad(Math.floor(sec / 60))}:${(sec % 60).toFixed(1).padStart(4, '0')}`;
+  const b = seg.boundary;
+  const added = [
+    b.setupCues ? `${b.setupCues} setup line${b.setupCues === 1 ? '' : 's'}` : null,
+    b.tailCues ? `${b.tailCues} reaction line${b.tailCues === 1 ? '' : 's'}` : null,
+  ].filter(Boolean);
+  return `In/out ${clock(seg.startTime)} → ${clock(seg.endTime)} (picked ${clock(seg.rawStartTime)} → ${clock(seg.rawEndTime)}` +
+    `${added.length ? `, added ${added.join(' and ')}` : ''}, ${b.preRoll}s/${b.postRoll}s padding)`;
+}
+
+// How much of the transcript the highlight finder actually sent
+function renderCoverage(session) {
+  const note = document.getElementById('coverage-note');
+  const c = session.coverage;
+  if (!c) {
+    note.textContent = '';
+    return;
+  }
+  note.textContent = c.chunks > 1 || c.percent < 100
+    ? `Analyzed ${c.sentCues} of ${c.totalCues} cues (${c.percent}% of speaking time) in ${c.chunks} request${c.chunks === 1 ? '' : 's'}` +
+      (c.droppedStretches ? ` — ${c.droppedStretches} quiet stretch${c.droppedStretches === 1 ? '' : 'es'} skipped` : '')
+    : `Analyzed the full transcript (${c.totalCues} cues) in one request`;
+}
+
+// Episode title and cliffhanger from session-data/summary.md
+function renderEpisode(session) {
+  const note = document.getElementById('episode-note');
+  const e = session.episode;
+  note.textContent = e
+    ? `Episode: ${e.title}${e.cliffhanger ? ` — ${e.cliffhanger}` : ''}`
+    : '';
+}
+
+// ── Energy Sparklines ──
+// Table-energy curve from src/energy.js, with the picked clips shaded
+
+function renderEnergyTimeline(session) {
+  const container = document.getElementById('energy-timeline');
+  if (!session.energy || session.energy.values.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const clips = (session.segments || []).map((seg, i) => ({
+    start: seg.startTime || 0,
+    end: seg.endTime || 0,
+    label: String(i + 1),
+  }));
+  container.innerHTML = `
+    <div class="energy-label">Table energy across the session &mdash; shaded areas are the picked clips</div>
+    ${sparkline(session.energy.values, session.energy.duration, clips)}
+  `;
+}
+
+/**
+ * Inline SVG sparkline. `values` are 0–1 samples spread evenly over
+ * `duration` seconds; `marks` are { start, end, label } ranges to shade.
+ */
+function sparkline(values, duration, marks = [], extraClass = '') {
+  const width = 1000;
+  const height = 100;
+  if (values.length < 2 || duration <= 0) return '';
+
+  const step = width / (values.length - 1);
+  const path = values
+    .map((v, i) => `${i === 0 ? 'M' : 'L'}${(i * step).toFixed(1)},${(height - v * (height - 4) - 2).toFixed(1)}`)
+    .join(' ');
+  const rects = marks.map(m => {
+    const x = Math.max(0, (m.start / duration) * width);
+    const w = Math.max(2, ((m.end - m.start) / duration) * width);
+    return `<rect x="${x.toFixed(1)}" y="0" width="${w.toFixed(1)}" height="${height}"></rect>` +
+      (m.label ? `<text x="${(x + 2).toFixed(1)}" y="12">${esc(m.label)}</text>` : '');
+  }).join('');
+
+  return `<svg class="sparkline ${extraClass}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${rects}<path d="${path}"></path></svg>`;
+}
+
 window.toggleClip = function(index) {
   const card = document.getElementById(`plan-clip-${index}`);
   if (!card) return;
@@ -253,6 +405,81 @@ function loadLazyIframes(container) {
   });
 }
 
+// ── Cast Editor (plan screen) ──
+// Fix DM / player / character names, then re-run highlight analysis
+
+function renderCast(session) {
+  const speakers = session.speakers || [];
+  const list = document.getElementById('cast-list');
+  const dm = speakers.find(s => s.role === 'dm');
+
+  document.getElementById('cast-summary').textContent =
+    `(${speakers.length} speaker${speakers.length !== 1 ? 's' : ''}${dm ? `, DM: ${dm.name}` : ', no DM detected'})`;
+  document.getElementById('cast-campaign').value = session.campaign || '';
+
+  if (speakers.length === 0) {
+    list.innerHTML = '<p class="cast-intro">No speaker names in this transcript.</p>';
+    return;
+  }
+
+  list.innerHTML = speakers.map((s, i) => {
+    const aka = s.displayNames.filter(n => n !== s.name);
+    return `
+      <div class="cast-row" data-name="${esc(s.name)}">
+        <span class="cast-name" title="${esc(s.displayNames.join(', '))}">
+          ${esc(s.name)}${aka.length ? `<span class="cast-aka">as ${esc(aka.join(', '))}</span>` : ''}
+        </span>
+        <select id="cast-role-${i}">
+          <option value="player"${s.role !== 'dm' ? ' selected' : ''}>Player</option>
+          <option value="dm"${s.role === 'dm' ? ' selected' : ''}>DM</option>
+        </select>
+        <input type="text" id="cast-player-${i}" placeholder="player name" value="${esc(s.player || '')}">
+        <input type="text" id="cast-character-${i}" placeholder="character" value="${esc(s.character || '')}">
+      </div>
+    `;
+  }).join('');
+}
+
+document.getElementById('cast-apply-btn').addEventListener('click', async () => {
+  const btn = document.getElementById('cast-apply-btn');
+  const rows = [...document.querySelectorAll('#cast-list .cast-row')];
+  const speakers = rows.map((row, i) => ({
+    name: row.dataset.name,
+    role: document.getElementById(`cast-role-${i}`).value,
+    player: document.getElementById(`cast-player-${i}`).value.trim() || null,
+    character: document.getElementById(`cast-character-${i}`).value.trim() || null,
+  }));
+
+  if (speakers.filter(s => s.role === 'dm').length > 1) {
+    alert('Only one speaker can be the DM');
+    return;
+  }
+
+  btn.disabled = true;
+  try {
+    const res = await fetch(`/api/sessions/${currentSessionId}/speakers`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        speakers,
+        saveToCampaign: document.getElementById('cast-save-campaign').checked,
+        campaign: document.getElementById('cast-campaign').value.trim() || null,
+      }),
+    });
+    const data = await res.json();
+
+    if (res.ok) {
+      showScreen('analyzing');
+      startPolling();
+    } else {
+      alert(`Error: ${data.error}`);
+    }
+  } catch (err) {
+    alert(`Failed: ${err.message}`);
+  }
+  btn.disabled = false;
+});
+
 // ── Approve ──
 
 document.getElementById('approve-btn').addEventListener('click', async () => {
@@ -279,6 +506,28 @@ document.getElementById('approve-btn').addEventListener('click', async () => {
   }
 });
 
+// ── Resume ──
+
+document.getElementById('resume-btn').addEventListener('click', async () => {
+  const btn = document.getElementById('resume-btn');
+  btn.disabled = true;
+
+  try {
+    const res = await fetch(`/api/sessions/${currentSessionId}/resume`, { method: 'POST' });
+    const data = await res.json();
+
+    if (res.ok) {
+      btn.hidden = true;
+      startPolling();
+    } else {
+      alert(`Error: ${data.error}`);
+    }
+  } catch (err) {
+    alert(`Failed: ${err.message}`);
+  }
+  btn.disabled = false;
+});
+
 // ── Generating (Screen 4) — Per-animation status ──
 
 function renderGenerating(session) {
@@ -362,6 +611,25 @@ function renderResults(session) {
             <a href="${animPath}/animation.webm" download>WebM</a>
             <a href="${animPath}/animation.mp4" download>MP4</a>
             <a href="${animPath}/peak-frame.png" download>Peak Frame</a>
+            ${anim.hasSpec ? `<a href="${animPath}/animation.json" download>Spec</a>` : ''}
+          </div>
+        `;
+      }
+
+      // Key beats: scored alternates, best first
+      let candidatesHtml = '';
+      if (anim.candidates?.length > 1) {
+        candidatesHtml = `
+          <div class="anim-candidates">
+            ${anim.candidates.map(c => `
+              <div class="anim-candidate${c.index === anim.selectedCandidate ? ' selected' : ''}" title="${esc(c.summary)}">
+                ${c.preview ? `<img src="${animPath}/${c.preview}" alt="Candidate ${c.index}">` : ''}
+                <span>#${c.index} · ${c.score}/100${c.valid ? '' : ' ⚠'}</span>
+                ${c.index === anim.selectedCandidate
+                  ? '<span class="candidate-current">In use</span>'
+                  : `<button class="btn-secondary" onclick="selectCandidate(${i}, ${ai}, ${c.index})">Use this</button>`}
+              </div>
+            `).join('')}
           </div>
         `;
       }
@@ -375,15 +643,20 @@ function renderResults(session) {
           </div>
           ${previewHtml}
           ${downloadHtml}
+          ${candidatesHtml}
           <div class="segment-actions" style="margin-top:8px">
             ${anim.status === 'complete' ? `<button class="btn-danger" onclick="showRejectInput(${i}, ${ai})">Reject</button>` : ''}
+            ${anim.version ? `<button class="btn-secondary" onclick="toggleHistory(${i}, ${ai})">History (v${anim.version})</button>` : ''}
             ${anim.status === 'generating' ? '<span style="color:var(--warning);font-size:0.8rem">Regenerating...</span>' : ''}
             ${anim.error ? `<span style="color:var(--error);font-size:0.8rem">${esc(anim.error)}</span>` : ''}
+            ${anim.warnings?.length ? `<span style="color:var(--warning);font-size:0.8rem" title="${esc(anim.warnings.join('\n'))}">${anim.warnings.length} validation warning${anim.warnings.length === 1 ? '' : 's'}</span>` : ''}
           </div>
           <div class="reject-input" id="reject-input-${i}-${ai}">
-            <input type="text" placeholder="What should change? (1-2 sentences)" id="reject-text-${i}-${ai}">
-            <button class="btn-danger" onclick="rejectAnimation(${i}, ${ai})">Submit</button>
+            <input type="text" placeholder="What should change? (e.g. make the blood red, slow the ending)" id="reject-text-${i}-${ai}">
+            <button class="btn-secondary" onclick="rejectAnimation(${i}, ${ai}, 'edit')" title="Apply the change to this version">Edit</button>
+            <button class="btn-danger" onclick="rejectAnimation(${i}, ${ai}, 'regenerate')" title="Start over from the concept">Regenerate</button>
           </div>
+          <div class="anim-history" id="history-${i}-${ai}"></div>
         </div>
       `;
     });
@@ -401,12 +674,34 @@ function renderResults(session) {
   });
 }
 
+window.selectCandidate = async function(segIndex, animIndex, candidate) {
+  try {
+    const res = await fetch(
+      `/api/sessions/${currentSessionId}/segments/${segIndex}/animations/${animIndex}/select`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ candidate }),
+      }
+    );
+
+    if (res.ok) {
+      startPolling();
+    } else {
+      const data = await res.json();
+      alert(`Error: ${data.error}`);
+    }
+  } catch (err) {
+    alert(`Failed: ${err.message}`);
+  }
+};
+
 window.showRejectInput = function(segIndex, animIndex) {
   document.getElementById(`reject-input-${segIndex}-${animIndex}`).classList.add('visible');
   document.getElementById(`reject-text-${segIndex}-${animIndex}`).focus();
 };
 
-window.rejectAnimation = async function(segIndex, animIndex) {
+window.rejectAnimation = async function(segIndex, animIndex, mode = 'regenerate') {
   const input = document.getElementById(`reject-text-${segIndex}-${animIndex}`);
   const rationale = input.value.trim();
   if (!rationale) { input.focus(); return; }
@@ -417,7 +712,84 @@ window.rejectAnimation = async function(segIndex, animIndex) {
       {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ rationale }),
+        body: JSON.stringify({ rationale, mode }),
+      }
+    );
+
+    if (res.ok) {
+      startPolling();
+    } else {
+      const data = await res.json();
+      alert(`Error: ${data.error}`);
+    }
+  } catch (err) {
+    alert(`Failed: ${err.message}`);
+  }
+};
+
+// ── Version history ──
+
+window.toggleHistory = async function(segIndex, animIndex) {
+  const panel = document.getElementById(`history-${segIndex}-${animIndex}`);
+  if (panel.classList.contains('visible')) {
+    panel.classList.remove('visible');
+    return;
+  }
+
+  try {
+    const res = await fetch(`/api/sessions/${currentSessionId}/segments/${segIndex}/animations/${animIndex}/versions`);
+    const data = await res.json();
+    if (!res.ok) { alert(`Error: ${data.error}`); return; }
+
+    const kindText = v => v.kind === 'revert' ? `revert to v${v.revertedTo}` : v.kind;
+    panel.innerHTML = `
+      ${data.versions.slice().reverse().map(v => `
+        <div class="history-row${v.version === data.current ? ' current' : ''}">
+          <span class="history-version">v${v.version}</span>
+          <span class="history-kind">${esc(kindText(v))}</span>
+          <span class="history-note">${v.instruction ? esc(v.instruction) : ''}</span>
+          ${v.version > 1 ? `<button class="btn-secondary" onclick="showVersionDiff(${segIndex}, ${animIndex}, ${v.version})">Diff</button>` : ''}
+          ${v.version === data.current
+            ? '<span class="candidate-current">Current</span>'
+            : `<button class="btn-secondary" onclick="revertAnimation(${segIndex}, ${animIndex}, ${v.version})">Revert</button>`}
+        </div>
+      `).join('')}
+      <pre class="anim-diff" id="diff-${segIndex}-${animIndex}"></pre>
+    `;
+    panel.classList.add('visible');
+  } catch (err) {
+    alert(`Failed: ${err.message}`);
+  }
+};
+
+window.showVersionDiff = async function(segIndex, animIndex, version) {
+  const pre = document.getElementById(`diff-${segIndex}-${animIndex}`);
+  try {
+    const res = await fetch(`/api/sessions/${currentSessionId}/segments/${segIndex}/animations/${animIndex}/versions/${version}/diff`);
+    const diff = await res.json();
+    if (!res.ok) { pre.textContent = diff.error; return; }
+
+    const header = `<span class="diff-skip">v${diff.from} → v${diff.to} (${diff.format}): +${diff.added} −${diff.removed}</span>\n`;
+    pre.innerHTML = header + diff.lines.map(l => {
+      if (l.type === 'skip') return `<span class="diff-skip">  … ${l.count} unchanged line${l.count === 1 ? '' : 's'}</span>`;
+      const mark = l.type === 'add' ? '+' : l.type === 'del' ? '-' : ' ';
+      return `<span class="diff-${l.type}">${mark} ${esc(l.text)}</span>`;
+    }).join('\n');
+    pre.classList.add('visible');
+  } catch (err) {
+    pre.textContent = `Failed: ${err.message}`;
+  }
+};
+
+window.revertAnimation = async function(segIndex, animIndex, version) {
+  if (!confirm(`Revert to version ${version}? The current version stays in the history.`)) return;
+  try {
+    const res = await fetch(
+      `/api/sessions/${currentSessionId}/segments/${segIndex}/animations/${animIndex}/revert`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version }),
       }
     );
 
@@ -442,13 +814,15 @@ document.getElementById('download-btn').addEventListener('click', () => {
 
 document.getElementById('new-session-btn').addEventListener('click', () => {
   currentSessionId = null;
-  selectedFile = null;
+  selectedFiles = [];
+  renderFileList();
   dropZone.classList.remove('has-file');
-  dropZone.querySelector('p').innerHTML = 'Drop your <strong>.vtt</strong> file here';
-  dropZone.querySelector('.drop-sub').textContent = 'or click to browse';
+  dropZone.querySelector('p').innerHTML = 'Drop your <strong>transcript</strong> file(s) here';
+  dropZone.querySelector('.drop-sub').textContent = 'or click to browse · .vtt, .srt, .txt, .json';
   submitBtn.disabled = true;
   submitBtn.textContent = 'Analyze Transcript';
   contextInput.value = '';
+  campaignInput.value = '';
   showScreen('upload');
   loadRecentSessions();
 });
@@ -480,6 +854,17 @@ async function loadRecentSessions() {
   }
 }
 
+async function loadCampaigns() {
+  try {
+    const res = await fetch('/api/campaigns');
+    const campaigns = await res.json();
+    document.getElementById('campaign-options').innerHTML =
+      campaigns.map(c => `<option value="${esc(c.id)}">`).join('');
+  } catch (err) {
+    console.error('Failed to load campaigns:', err);
+  }
+}
+
 window.resumeSession = function(id) {
   currentSessionId = id;
   startPolling();
@@ -499,3 +884,4 @@ function esc(str) {
 // ── Init ──
 
 loadRecentSessions();
+loadCampaigns();
@@ -1,13 +1,22 @@
 import express from 'express';
 import multer from 'multer';
-import { existsSync, readFileSync, readdirSync } from 'fs';
+import { existsSync, readFileSync, readdirSync, rmSync } from 'fs';
 import { join, resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import {
-  createSession, getSession, listSessions,
-  runAnalysis, runGeneration, regenerateAnimation, createSessionZip,
+  createSession, getSession, listSessions, loadSessions,
+  runAnalysis, runGeneration, resumeSession, regenerateAnimation, selectCandidate, revertAnimation, createSessionZip,
+  updateSpeakers,
 } from './src/job-runner.js';
+import { listCampaigns, loadCast } from './src/campaign.js';
+import { loadMemory } from './src/campaign-memory.js';
+import { listVersions, diffVersions } from './src/animation-versions.js';
+import { summarizeDiceRolls, isNotable } from './src/dice-rolls.js';
+import { downsampleEnergy } from './src/energy.js';
+import { normalizeHighlightOptions } from './src/highlight-options.js';
+import { boundaryOptions } from './src/refine-boundaries.js';
 import { listAnimations, getAnimationHtml } from './src/library.js';
+import { supportedExtensions, parseOffset } from './src/transcript-formats.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -21,6 +30,9 @@ if (existsSync(envPath)) {
   }
 }
 
+// Rehydrate sessions from previous runs
+const restoredSessions = loadSessions();
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -28,15 +40,17 @@ const PORT = process.env.PORT || 3000;
 app.use(express.json());
 app.use(express.static(join(__dirname, 'public')));
 
-// File upload — accept .vtt by filename (browsers send various mimetypes)
+// File upload — accept transcripts by filename (browsers send various mimetypes)
+const TRANSCRIPT_EXTENSIONS = supportedExtensions();
 const upload = multer({
   dest: join(__dirname, 'uploads'),
   limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
   fileFilter: (req, file, cb) => {
-    if (file.originalname.toLowerCase().endsWith('.vtt')) {
+    const name = file.originalname.toLowerCase();
+    if (TRANSCRIPT_EXTENSIONS.some(ext => name.endsWith(ext))) {
       cb(null, true);
     } else {
-      cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'Only .vtt files are accepted'));
+      cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', `Only transcript files are accepted (${TRANSCRIPT_EXTENSIONS.join(', ')})`));
     }
   },
 });
@@ -51,21 +65,53 @@ app.use('/library', express.static(join(__dirname, 'library')));
 // API Routes
 // ═══════════════════════════════════════
 
-// Upload VTT and start analysis
+// Upload transcript and start analysis
 app.post('/api/sessions', (req, res) => {
-  upload.single('vtt')(req, res, async (err) => {
+  upload.array('vtt', 20)(req, res, async (err) => {
     if (err) {
       console.error('Upload error:', err.message);
       return res.status(400).json({ error: err.message || 'Upload failed' });
     }
 
     try {
-      if (!req.file) {
-        return res.status(400).json({ error: 'No VTT file uploaded' });
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'No transcript file uploaded' });
       }
 
+      // Per-file offsets/speakers arrive as JSON arrays aligned with the files
+      const offsets = parseJsonField(req.body.offsets);
+      const speakers = parseJsonField(req.body.speakers);
+      const transcripts = req.files.map((f, i) => ({
+        path: f.path,
+        name: f.originalname,
+        offset: offsets[i] || 0,
+        speaker: speakers[i] || null,
+      }));
+
       const userContext = req.body.context || '';
-      const session = createSession(req.file.path, userContext);
+      let highlightOptions;
+      let clipPadding;
+      try {
+        for (const t of transcripts) t.offset = parseOffset(t.offset);
+        highlightOptions = normalizeHighlightOptions({
+          count: req.body.count,
+          includeTypes: parseJsonField(req.body.includeTypes),
+          excludeTypes: parseJsonField(req.body.excludeTypes),
+          minDuration: req.body.minDuration,
+          maxDuration: req.body.maxDuration,
+        });
+        clipPadding = boundaryOptions({ preRoll: req.body.preRoll, postRoll: req.body.postRoll });
+      } catch (e) {
+        discardUploads(req.files);
+        return res.status(400).json({ error: e.message });
+      }
+
+      const session = createSession(transcripts, userContext, {
+        replayFrom: req.body.replayFrom || null,
+        campaign: req.body.campaign || null,
+        highlightOptions,
+        clipPadding,
+      });
 
       // Start analysis in background
       runAnalysis(session.id).catch(err => {
@@ -79,6 +125,7 @@ app.post('/api/sessions', (req, res) => {
       });
     } catch (err) {
       console.error('Session creation error:', err.message);
+      discardUploads(req.files);
       res.status(500).json({ error: err.message });
     }
   });
@@ -97,8 +144,34 @@ app.get('/api/sessions/:id', (req, res) => {
     error: session.error,
     createdAt: session.createdAt,
     estimatedMinutes: session.estimatedMinutes,
+    interruptedStage: session.interruptedStage || null,
+    campaign: session.campaign || null,
+    coverage: session.coverage || null,
+    episode: session.episode || null,
+    highlightOptions: session.highlightOptions || null,
   };
 
+  // Speakers as identified by the parser (for the plan screen's cast editor)
+  if (session.parsedSession) {
+    response.speakers = session.parsedSession.speakers.map(s => ({
+      name: s.name,
+      role: s.role,
+      player: s.player || null,
+      character: s.character || null,
+      displayNames: s.displayNames || [s.name],
+      fromCast: !!s.fromCast,
+      cueCount: s.cueCount,
+      totalSpeakingTime: s.totalSpeakingTime,
+    }));
+    response.diceSummary = summarizeDiceRolls(session.parsedSession.diceRolls || []);
+  }
+
+  // Table-energy sparkline data (whole session, and around each clip below)
+  const energyValues = session.parsedSession?.energy?.values || null;
+  if (energyValues) {
+    response.energy = { duration: energyValues.length, values: downsampleEnergy(energyValues, ENERGY_POINTS) };
+  }
+
   // Include segments when plan is ready (nested animations model)
   if (session.segments) {
     response.segments = session.segments.map((s, i) => ({
@@ -107,11 +180,21 @@ app.get('/api/sessions/:id', (req, res) => {
       type: s.highlight.type,
       startTime: s.highlight.startTime,
       endTime: s.highlight.endTime,
+      rawStartTime: s.highlight.rawStartTime ?? s.highlight.startTime,
+      rawEndTime: s.highlight.rawEndTime ?? s.highlight.endTime,
+      boundary: s.highlight.boundary || null,
       emotionalArc: s.highlight.emotionalArc,
       whyItsGood: s.highlight.whyItsGood,
       contextForViewers: s.highlight.contextForViewers,
       estimatedClipDuration: s.highlight.estimatedClipDuration,
-      keyDialogue: s.highlight.keyDialogueCueIds ? 'Available' : null,
+      keyDialogue: s.highlight.keyDialogue || null,
+      judgeJustification: s.highlight.judgeJustification || null,
+      chunk: s.highlight.chunk || null,
+      chunkRank: s.highlight.chunkRank ?? null,
+      repeatOf: s.highlight.repeatOf || null,
+      description: s.highlight.description || null,
+      hashtags: s.highlight.hashtags || [],
+      energy: energyValues ? clipEnergy(energyValues, s.highlight) : null,
       status: s.status,
       segDir: s.segDir ? s.segDir.replace(resolve(__dirname), '') : null,
       // Nested animations per clip
@@ -127,7 +210,18 @@ app.get('/api/sessions/:id', (req, res) => {
         libraryMatch: a.libraryMatch ? { id: a.libraryMatch.id, name: a.libraryMatch.name } : null,
         status: a.status,
         error: a.error,
+        warnings: a.warnings || [],
+        candidates: (a.candidates || []).map(c => ({
+          index: c.index,
+          valid: c.valid,
+          score: c.score.total,
+          summary: c.summary,
+          preview: c.preview,
+        })),
+        selectedCandidate: a.selectedCandidate ?? null,
         exportFiles: a.exportFiles,
+        hasSpec: !!a.animDir && existsSync(join(a.animDir, 'animation.json')),
+        version: a.version ?? null,
         animDir: a.animDir ? a.animDir.replace(resolve(__dirname), '') : null,
       })),
     }));
@@ -136,6 +230,19 @@ app.get('/api/sessions/:id', (req, res) => {
   res.json(response);
 });
 
+// Dice roll events extracted from the transcript (?notable=1 for the highlights only)
+app.get('/api/sessions/:id/dice-rolls', (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  if (!session.parsedSession) return res.status(400).json({ error: 'Session has not been parsed yet' });
+
+  const rolls = session.parsedSession.diceRolls || [];
+  res.json({
+    summary: summarizeDiceRolls(rolls),
+    rolls: req.query.notable ? rolls.filter(isNotable) : rolls,
+  });
+});
+
 // List all sessions
 app.get('/api/sessions', (req, res) => {
   res.json(listSessions());
@@ -173,25 +280,167 @@ app.post('/api/sessions/:id/approve', async (req, res) => {
   res.json({ message: 'Generation started', stage: 'generating' });
 });
 
-// Reject a specific animation within a clip and regenerate
+// Resume an interrupted or partially failed session
+app.post('/api/sessions/:id/resume', (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  if (!['failed', 'complete'].includes(session.stage)) {
+    return res.status(400).json({ error: `Cannot resume — session is in stage: ${session.stage}` });
+  }
+
+  // Start resume in background
+  resumeSession(session.id).catch(err => {
+    console.error(`Resume failed for session ${session.id}:`, err.message);
+  });
+
+  res.json({
+    message: 'Resume started',
+    stage: session.segments ? 'generating' : 'analyzing',
+  });
+});
+
+// Correct speaker roles/characters, then re-run highlight analysis with them
+app.put('/api/sessions/:id/speakers', (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  if (!['plan_ready', 'failed'].includes(session.stage)) {
+    return res.status(400).json({ error: `Cannot edit speakers — session is in stage: ${session.stage}` });
+  }
+
+  const { speakers, saveToCampaign, campaign } = req.body;
+  if (!Array.isArray(speakers) || speakers.length === 0) {
+    return res.status(400).json({ error: 'speakers must be a non-empty array' });
+  }
+
+  try {
+    updateSpeakers(session.id, speakers, { saveToCampaign: !!saveToCampaign, campaign });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  // Re-analyze in background so highlights use the corrected names
+  runAnalysis(session.id).catch(err => {
+    console.error(`Re-analysis failed for session ${session.id}:`, err.message);
+  });
+
+  res.json({ message: 'Speakers updated, re-analyzing', stage: 'analyzing' });
+});
+
+// Reject a specific animation within a clip and regenerate it, or
+// (mode: 'edit') apply the rationale to the current version
 app.post('/api/sessions/:id/segments/:segIndex/animations/:animIndex/reject', async (req, res) => {
   const session = getSession(req.params.id);
   if (!session) return res.status(404).json({ error: 'Session not found' });
 
   const segIndex = parseInt(req.params.segIndex);
   const animIndex = parseInt(req.params.animIndex);
-  const { rationale } = req.body;
+  const { rationale, mode = 'regenerate' } = req.body;
 
   if (!rationale || rationale.trim().length === 0) {
     return res.status(400).json({ error: 'Rationale is required' });
   }
+  if (!['regenerate', 'edit'].includes(mode)) {
+    return res.status(400).json({ error: `Unknown mode: ${mode} (use regenerate or edit)` });
+  }
+
+  const anim = session.segments?.[segIndex]?.animations?.[animIndex];
+  if (!anim || !anim.animDir) return res.status(404).json({ error: 'Animation not found' });
+  const action = mode === 'edit' ? 'edit' : 'regenerate';
+  if (session.stage !== 'complete') {
+    return res.status(409).json({ error: `Cannot ${action} — session is in stage: ${session.stage}` });
+  }
+  if (['generating', 'exporting'].includes(anim.status)) {
+    return res.status(409).json({ error: `Cannot ${action} — animation is ${anim.status}` });
+  }
+  if (mode === 'edit' && !existsSync(join(anim.animDir, 'animation.html'))) {
+    return res.status(400).json({ error: 'Nothing to edit yet — the animation has not been generated' });
+  }
 
   // Start regeneration in background
-  regenerateAnimation(session.id, segIndex, animIndex, rationale).catch(err => {
-    console.error(`Regeneration failed for session ${session.id} seg ${segIndex} anim ${animIndex}:`, err.message);
+  regenerateAnimation(session.id, segIndex, animIndex, rationale, mode).catch(err => {
+    console.error(`${mode === 'edit' ? 'Edit' : 'Regeneration'} failed for session ${session.id} seg ${segIndex} anim ${animIndex}:`, err.message);
   });
 
-  res.json({ message: 'Regeneration started' });
+  res.json({ message: mode === 'edit' ? 'Edit started' : 'Regeneration started' });
+});
+
+// Version history of an animation (see src/animation-versions.js)
+app.get('/api/sessions/:id/segments/:segIndex/animations/:animIndex/versions', (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+
+  const anim = session.segments?.[parseInt(req.params.segIndex)]?.animations?.[parseInt(req.params.animIndex)];
+  if (!anim || !anim.animDir) return res.status(404).json({ error: 'Animation not found' });
+
+  res.json({ current: anim.version ?? null, versions: listVersions(anim.animDir) });
+});
+
+// Line diff of a version against an earlier one (?against=N, default the one before)
+app.get('/api/sessions/:id/segments/:segIndex/animations/:animIndex/versions/:version/diff', (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+
+  const anim = session.segments?.[parseInt(req.params.segIndex)]?.animations?.[parseInt(req.params.animIndex)];
+  if (!anim || !anim.animDir) return res.status(404).json({ error: 'Animation not found' });
+
+  const version = parseInt(req.params.version);
+  const against = req.query.against !== undefined ? parseInt(req.query.against) : version - 1;
+  const diff = diffVersions(anim.animDir, against, version);
+  if (!diff) return res.status(404).json({ error: `No version ${against} or ${version} to compare` });
+
+  res.json(diff);
+});
+
+// Restore an earlier version of an animation (re-exports it)
+app.post('/api/sessions/:id/segments/:segIndex/animations/:animIndex/revert', (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+
+  const anim = session.segments?.[parseInt(req.params.segIndex)]?.animations?.[parseInt(req.params.animIndex)];
+  if (!anim || !anim.animDir) return res.status(404).json({ error: 'Animation not found' });
+  if (session.stage !== 'complete') {
+    return res.status(409).json({ error: `Cannot revert — session is in stage: ${session.stage}` });
+  }
+  if (['generating', 'exporting'].includes(anim.status)) {
+    return res.status(409).json({ error: `Cannot revert — animation is ${anim.status}` });
+  }
+
+  const version = parseInt(req.body.version);
+  if (!listVersions(anim.animDir).some(v => v.version === version)) {
+    return res.status(400).json({ error: `Animation has no version ${req.body.version}` });
+  }
+
+  revertAnimation(session.id, parseInt(req.params.segIndex), parseInt(req.params.animIndex), version).catch(err => {
+    console.error(`Revert failed for session ${session.id}:`, err.message);
+  });
+
+  res.json({ message: `Reverting to version ${version}` });
+});
+
+// Switch an animation to one of its alternate candidates (re-exports it)
+app.post('/api/sessions/:id/segments/:segIndex/animations/:animIndex/select', (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+
+  const anim = session.segments?.[parseInt(req.params.segIndex)]?.animations?.[parseInt(req.params.animIndex)];
+  if (!anim) return res.status(404).json({ error: 'Animation not found' });
+  if (session.stage !== 'complete') {
+    return res.status(409).json({ error: `Cannot switch candidates — session is in stage: ${session.stage}` });
+  }
+  if (['generating', 'exporting'].includes(anim.status)) {
+    return res.status(409).json({ error: `Cannot switch candidates — animation is ${anim.status}` });
+  }
+
+  const candidate = parseInt(req.body.candidate);
+  if (!(anim.candidates || []).some(c => c.index === candidate)) {
+    return res.status(400).json({ error: `Animation has no candidate ${req.body.candidate}` });
+  }
+
+  selectCandidate(session.id, parseInt(req.params.segIndex), parseInt(req.params.animIndex), candidate).catch(err => {
+    console.error(`Candidate switch failed for session ${session.id}:`, err.message);
+  });
+
+  res.json({ message: 'Switching candidate' });
 });
 
 // Preview a specific animation within a clip
@@ -229,6 +478,23 @@ app.get('/api/library', (req, res) => {
   res.json(listAnimations());
 });
 
+// List campaigns (folders under campaigns/)
+app.get('/api/campaigns', (req, res) => {
+  res.json(listCampaigns());
+});
+
+// Get a campaign's cast file
+app.get('/api/campaigns/:id/cast', (req, res) => {
+  const cast = loadCast(req.params.id);
+  if (!cast) return res.status(404).json({ error: 'Campaign has no cast file' });
+  res.json(cast);
+});
+
+// Get a campaign's memory (past sessions, recurring names, gags, published clips)
+app.get('/api/campaigns/:id/memory', (req, res) => {
+  res.json(loadMemory(req.params.id));
+});
+
 // Library animation preview (for plan review iframes)
 app.get('/api/library/:id/preview', (req, res) => {
   const htmlPath = join(__dirname, 'library', req.params.id, 'animation.html');
@@ -236,6 +502,42 @@ app.get('/api/library/:id/preview', (req, res) => {
   res.sendFile(htmlPath);
 });
 
+// ═══════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════
+
+// Sparkline resolution for the plan screen
+const ENERGY_POINTS = 240;
+const CLIP_ENERGY_POINTS = 80;
+const CLIP_ENERGY_PAD_SEC = 60;
+
+/**
+ * Remove uploaded transcripts that no session will use.
+ */
+function discardUploads(files) {
+  for (const f of files || []) rmSync(f.path, { force: true });
+}
+
+/**
+ * Energy around a clip: the clip plus a minute either side, so the
+ * sparkline shows the build-up and the drop-off.
+ */
+function clipEnergy(values, highlight) {
+  const from = Math.max(0, (highlight.startTime || 0) - CLIP_ENERGY_PAD_SEC);
+  const to = Math.min(values.length - 1, (highlight.endTime || 0) + CLIP_ENERGY_PAD_SEC);
+  return { from, to, values: downsampleEnergy(values, CLIP_ENERGY_POINTS, from, to) };
+}
+
+function parseJsonField(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return String(value).split(',').map(v => v.trim());
+  }
+}
+
 // ═══════════════════════════════════════
 // Start
 // ═══════════════════════════════════════
@@ -248,5 +550,6 @@ app.listen(PORT, () => {
   console.log('');
   console.log(`  Server:  http://localhost:${PORT}`);
   console.log(`  Library: ${listAnimations().length} animations loaded`);
+  console.log(`  Sessions: ${restoredSessions} restored from output/`);
   console.log('');
 });
@@ -0,0 +1,481 @@
+/**
+ * Declarative animation specs — a JSON description of an animation that
+ * compiles to the same self-contained player HTML the library animations
+ * use (two-pass buildFrame/colorizeFrame, FC array, frameData, #stage).
+ *
+ * A spec is small enough to validate field by field, diff between
+ * attempts and edit by hand; the compiled HTML is a pure function of it.
+ *
+ *   {
+ *     "title": "Natural Twenty",
+ *     "mode": "loop",                         // or "bounce"
+ *     "canvas": { "width": 54, "height": 40 },
+ *     "palette": {
+ *       "gold": { "hue": 45, "sat": [20, 90], "light": [30, 85], "glow": 10 }
+ *     },
+ *     "stageGlow": { "hue": 45, "radius": 40, "opacity": 0.3 },
+ *     "layers": [
+ *       { "type": "particles", "region": [0, 0, 54, 12], "chars": "·*", "count": "$stars",
+ *         "drift": [0, 1], "seed": 7, "color": "gold" },
+ *       { "type": "sprite", "art": ["/\\", "\\/"], "x": "center", "y": "$dieY", "color": "gold" },
+ *       { "type": "burst", "x": 27, "y": 20, "radius": "$burst", "chars": "▓▒░·", "color": "gold" },
+ *       { "type": "text", "text": "NAT 20", "x": "center", "y": 34, "color": "gold", "visible": "$landed" }
+ *     ],
+ *     "frames": [ { "mood": 0.1, "params": { "stars": 6, "dieY": 14, "burst": 0, "landed": false } }, ... ]
+ *   }
+ *
+ * Colour ranges are [at mood 0, at mood 1] — the `base + mood * range`
+ * rule from the skill guide. Layer values written as "$name" come from
+ * the frame's params ("$mood" is the frame's mood). Layers draw in order;
+ * spaces in sprite art are transparent.
+ */
+
+const CANVAS = { width: 54, height: 40 };
+const MIN_FRAMES = 16;
+const MAX_FRAMES = 24;
+const MAX_LAYERS = 24;
+const MAX_REPORTED_ERRORS = 12;
+const DEFAULT_STAGE_GLOW = { hue: 45, radius: 40, opacity: 0.25 };
+
+// What each layer type needs, and which of its values are numbers
+const LAYER_TYPES = {
+  sprite: { required: ['art', 'x', 'y', 'color'], numbers: ['x', 'y', 'pose'] },
+  text: { required: ['text', 'x', 'y', 'color'], numbers: ['x', 'y'] },
+  particles: { required: ['region', 'chars', 'count', 'color'], numbers: ['count'] },
+  burst: { required: ['x', 'y', 'radius', 'chars', 'color'], numbers: ['x', 'y', 'radius'] },
+};
+
+/**
+ * Pull the spec out of a model response (bare JSON or a ```json block).
+ *
+ * @returns {object|null} null when there is no JSON object in it
+ */
+export function parseSpec(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const body = fenced ? fenced[1] : text;
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    const spec = JSON.parse(body.slice(start, end + 1));
+    return spec && typeof spec === 'object' && !Array.isArray(spec) ? spec : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a spec against the format above.
+ *
+ * @param {object} spec
+ * @returns {string[]} Problems, phrased so they can go straight back into
+ *   a repair prompt (empty when the spec compiles)
+ */
+export function validateSpec(spec) {
+  const errors = [];
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return ['Spec is not a JSON object'];
+
+  if (spec.canvas && (spec.canvas.width !== CANVAS.width || spec.canvas.height !== CANVAS.height)) {
+    errors.push(`canvas must be ${CANVAS.width}×${CANVAS.height}`);
+  }
+  if (spec.mode !== undefined && spec.mode !== 'loop' && spec.mode !== 'bounce') {
+    errors.push('mode must be "loop" or "bounce"');
+  }
+
+  const palette = spec.palette && typeof spec.palette === 'object' ? spec.palette : null;
+  if (!palette || Object.keys(palette).length === 0) {
+    errors.push('palette must name at least one colour');
+  } else {
+    for (const [name, colour] of Object.entries(palette)) {
+      errors.push(...checkColour(name, colour));
+    }
+  }
+
+  const frames = Array.isArray(spec.frames) ? spec.frames : null;
+  if (!frames) {
+    errors.push('frames must be an array');
+  } else {
+    if (frames.length < MIN_FRAMES || frames.length > MAX_FRAMES) {
+      errors.push(`frames has ${frames.length} entries — it needs ${MIN_FRAMES}-${MAX_FRAMES}`);
+    }
+    frames.forEach((f, i) => {
+      if (!f || typeof f.mood !== 'number' || f.mood < 0 || f.mood > 1) errors.push(`frames[${i}].mood must be a number from 0 to 1`);
+      if (f && f.params !== undefined && (typeof f.params !== 'object' || Array.isArray(f.params))) errors.push(`frames[${i}].params must be an object`);
+    });
+  }
+
+  if (!Array.isArray(spec.layers) || spec.layers.length === 0) {
+    errors.push('layers must be a non-empty array');
+  } else if (spec.layers.length > MAX_LAYERS) {
+    errors.push(`layers has ${spec.layers.length} entries — keep it to ${MAX_LAYERS}`);
+  } else {
+    spec.layers.forEach((layer, i) => errors.push(...checkLayer(layer, i, palette || {}, frames || [])));
+  }
+
+  return [...new Set(errors)].slice(0, MAX_REPORTED_ERRORS);
+}
+
+/**
+ * Compile a valid spec (see validateSpec) to a complete player HTML file.
+ *
+ * @param {object} spec
+ * @returns {string}
+ */
+export function compileSpec(spec) {
+  const title = spec.title || 'Animation';
+  const bounce = spec.mode === 'bounce';
+  const data = {
+    palette: spec.palette,
+    layers: spec.layers,
+    stageGlow: { ...DEFAULT_STAGE_GLOW, ...(spec.stageGlow || {}) },
+  };
+  const fc = spec.frames.map((f, i) => `  ${scriptJson({ mood: f.mood, params: f.params || {}, _i: i })},`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+${PLAYER_CSS}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div id="stage"></div>
+<div class="controls">
+  <button id="playBtn" onclick="togglePlay()">⏸ Pause</button>
+  <button onclick="stepBack()">◀</button>
+  <button onclick="stepForward()">▶</button>
+  <div class="slider-group"><label>Speed</label>
+    <input type="range" id="speed" min="1" max="20" value="5" oninput="updateSpeed()"></div>
+  <div class="slider-group"><label>Frame</label>
+    <input type="range" id="scrubber" min="0" value="0" oninput="scrubTo(this.value)"></div>
+  <div class="frame-info" id="frameInfo">1 / 1</div>
+</div>
+<div class="mode-toggle">
+  <button id="loopBtn"${bounce ? '' : ' class="active"'} onclick="toggleLoop()">🔁 Loop</button>
+  <button id="bounceBtn"${bounce ? ' class="active"' : ''} onclick="toggleBounce()">🔄 Bounce</button>
+</div>
+
+<script>
+// Compiled from a declarative animation spec (src/animation-spec.js).
+// Edit the spec and recompile rather than editing this file.
+
+const W = ${CANVAS.width};
+const H = ${CANVAS.height};
+const SPEC = ${scriptJson(data)};
+
+${RUNTIME}
+
+// ── FRAME CONFIGS ──
+const FC = [
+${fc}
+];
+
+const frameData = FC.map(cfg => {
+  const frame = buildFrame(cfg);
+  const html = colorizeFrame(frame);
+  return { html, glowR: SPEC.stageGlow.radius * cfg.mood, glowO: SPEC.stageGlow.opacity * cfg.mood, mood: cfg.mood };
+});
+
+// ── PLAYER ──
+let currentFrame = 0, playing = true, looping = ${!bounce}, bouncing = ${bounce}, direction = 1, interval = null;
+${PLAYER_JS}
+</script>
+</body>
+</html>
+`;
+}
+
+// ── Validation helpers ──
+
+function checkColour(name, colour) {
+  const errors = [];
+  if (!colour || typeof colour !== 'object') return [`palette.${name} must be an object with hue, sat and light`];
+  if (!isRange(colour.hue, 0, 360)) errors.push(`palette.${name}.hue must be 0-360 or [atMood0, atMood1]`);
+  if (!isRange(colour.sat, 0, 100)) errors.push(`palette.${name}.sat must be 0-100 or [atMood0, atMood1]`);
+  if (!isRange(colour.light, 0, 100)) errors.push(`palette.${name}.light must be 0-100 or [atMood0, atMood1]`);
+  if (colour.glow !== undefined && !(typeof colour.glow === 'number' && colour.glow >= 0)) {
+    errors.push(`palette.${name}.glow must be a number of pixels`);
+  }
+  return errors;
+}
+
+function isRange(value, min, max) {
+  const within = v => typeof v === 'number' && v >= min && v <= max;
+  return within(value) || (Array.isArray(value) && value.length === 2 && value.every(within));
+}
+
+function checkLayer(layer, i, palette, frames) {
+  const type = layer && LAYER_TYPES[layer.type];
+  const at = `layers[${i}]${layer && layer.type ? ` (${layer.type})` : ''}`;
+  if (!type) return [`${at}: type must be one of ${Object.keys(LAYER_TYPES).join(', ')}`];
+
+  const errors = [];
+  for (const field of type.required) {
+    if (layer[field] === undefined) errors.push(`${at}: missing "${field}"`);
+  }
+  if (layer.color !== undefined && !palette[layer.color]) errors.push(`${at}: colour "${layer.color}" is not in the palette`);
+
+  if (layer.type === 'sprite' && layer.art !== undefined) {
+    const poses = Array.isArray(layer.art) && Array.isArray(layer.art[0]) ? layer.art : [layer.art];
+    const ok = poses.every(p => Array.isArray(p) && p.length > 0 && p.length <= CANVAS.height &&
+      p.every(row => typeof row === 'string' && Array.from(row).length <= CANVAS.width));
+    if (!ok) errors.push(`${at}: art must be rows of text (or a list of poses), at most ${CANVAS.width}×${CANVAS.height}`);
+  }
+  if (layer.type === 'particles' && layer.region !== undefined) {
+    const r = layer.region;
+    const ok = Array.isArray(r) && r.length === 4 && r.every(Number.isInteger) &&
+      r[2] > 0 && r[3] > 0 && r[0] >= 0 && r[1] >= 0 && r[0] + r[2] <= CANVAS.width && r[1] + r[3] <= CANVAS.height;
+    if (!ok) errors.push(`${at}: region must be [x, y, width, height] inside the canvas`);
+  }
+  if (layer.drift !== undefined && !(Array.isArray(layer.drift) && layer.drift.length === 2 && layer.drift.every(v => typeof v === 'number'))) {
+    errors.push(`${at}: drift must be [dx, dy] in cells per frame`);
+  }
+  if (layer.chars !== undefined && (typeof layer.chars !== 'string' || layer.chars.length === 0)) {
+    errors.push(`${at}: chars must be a non-empty string`);
+  }
+
+  // "$name" values must resolve in every frame, to the right kind of value
+  for (const field of [...type.numbers, 'text', 'visible']) {
+    const value = layer[field];
+    if (value === undefined) continue;
+    const ref = typeof value === 'string' && value.startsWith('$') ? value.slice(1) : null;
+    for (let f = 0; f < frames.length; f++) {
+      const resolved = ref === null ? value : ref === 'mood' ? frames[f]?.mood : frames[f]?.params?.[ref];
+      if (resolved === undefined) {
+        errors.push(`${at}: "${field}" uses $${ref} but frames[${f}].params has no "${ref}"`);
+        break;
+      }
+      const isNumber = typeof resolved === 'number' && Number.isFinite(resolved);
+      if (type.numbers.includes(field) && !isNumber && !(field === 'x' && resolved === 'center')) {
+        errors.push(`${at}: "${field}" must be a number${field === 'x' ? ' or "center"' : ''}${ref ? ` (frames[${f}].params.${ref})` : ''}`);
+        break;
+      }
+      if (field === 'text' && typeof resolved !== 'string' && !isNumber) {
+        errors.push(`${at}: "text" must be a string${ref ? ` (frames[${f}].params.${ref})` : ''}`);
+        break;
+      }
+      if (ref === null) break;
+    }
+  }
+  return errors;
+}
+
+// ── Compiled output ──
+
+// JSON that is safe inside a <script> element
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c').replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Same shell as the library animations
+const PLAYER_CSS = `  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body {
+    background: #050508;
+    font-family: 'JetBrains Mono', 'Fira Code', 'Cascadia Code',
+                 'SF Mono', 'Consolas', 'Courier New', monospace;
+    display: flex; flex-direction: column; align-items: center;
+    justify-content: center; min-height: 100vh; padding: 20px;
+    color: #c8c0b0;
+  }
+  h1 { font-size: 1rem; color: #8a7a3a; margin-bottom: 14px; font-weight: 300;
+       letter-spacing: 4px; text-transform: uppercase; opacity: 0.7; }
+  #stage {
+    background: #020204;
+    border: 1px solid #1a1510;
+    border-radius: 12px; padding: 20px 28px;
+    font-size: 14px; line-height: 1.3; white-space: pre;
+    display: flex; align-items: center; justify-content: center;
+    min-width: 520px; min-height: 380px;
+    transition: box-shadow 0.12s ease;
+  }
+  .controls { margin-top: 20px; display: flex; align-items: center; gap: 12px;
+    background: #0a0a08; padding: 10px 20px; border-radius: 8px; border: 1px solid #1a1510; }
+  button { background: none; border: 1px solid #3a3020; color: #b0a890;
+    padding: 6px 14px; border-radius: 4px; cursor: pointer;
+    font-family: inherit; font-size: 0.85rem; transition: all 0.15s; }
+  button:hover { background: #1a1508; border-color: #c8a030; }
+  button.active { background: #8a7020; border-color: #c8a030; }
+  .slider-group { display: flex; align-items: center; gap: 6px; }
+  .slider-group label { font-size: 0.75rem; color: #5a5030; text-transform: uppercase; letter-spacing: 1px; }
+  input[type="range"] { width: 100px; accent-color: #c8a030; }
+  .frame-info { font-size: 0.75rem; color: #5a5030; min-width: 70px; text-align: center; }
+  .mode-toggle { margin-top: 10px; display: flex; gap: 8px; }`;
+
+// Layer drawing and colouring; deterministic (seeded PRNG, no Math.random)
+const RUNTIME = String.raw`function srand(seed) { return ((seed * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff; }
+
+// A layer value: literal, or "$name" from the frame's params
+function val(v, cfg) {
+  if (typeof v !== 'string' || v[0] !== '$') return v;
+  return v === '$mood' ? cfg.mood : cfg.params[v.slice(1)];
+}
+
+function put(lines, meta, r, c, ch, m) {
+  if (r < 0 || r >= H || c < 0 || c >= W || ch === ' ') return;
+  lines[r][c] = ch;
+  meta[r][c] = m;
+}
+
+function left(x, width) { return x === 'center' ? Math.floor((W - width) / 2) : Math.round(x); }
+
+function wrap(v, size) { return ((v % size) + size) % size; }
+
+const DRAW = {
+  sprite(layer, cfg, lines, meta) {
+    const poses = Array.isArray(layer.art[0]) ? layer.art : [layer.art];
+    const art = poses[wrap(Math.round(val(layer.pose, cfg) || 0), poses.length)];
+    const width = Math.max(...art.map(row => Array.from(row).length));
+    const x = left(val(layer.x, cfg), width);
+    const y = Math.round(val(layer.y, cfg));
+    art.forEach((row, ri) => Array.from(row).forEach((ch, ci) => {
+      put(lines, meta, y + ri, x + ci, ch, { color: layer.color, t: 0 });
+    }));
+  },
+  text(layer, cfg, lines, meta) {
+    const text = Array.from(String(val(layer.text, cfg)));
+    const x = left(val(layer.x, cfg), text.length);
+    const y = Math.round(val(layer.y, cfg));
+    text.forEach((ch, ci) => put(lines, meta, y, x + ci, ch, { color: layer.color, t: 0 }));
+  },
+  particles(layer, cfg, lines, meta) {
+    const [rx, ry, rw, rh] = layer.region;
+    const [dx, dy] = layer.drift || [0, 0];
+    const chars = Array.from(layer.chars);
+    const seed = layer.seed || 1;
+    const count = Math.round(val(layer.count, cfg));
+    for (let p = 0; p < count; p++) {
+      const c = rx + wrap(Math.floor(srand(seed + p * 7) * rw) + Math.round(dx * cfg._i), rw);
+      const r = ry + wrap(Math.floor(srand(seed + p * 13 + 5) * rh) + Math.round(dy * cfg._i), rh);
+      const ch = chars[Math.floor(srand(seed + p * 31 + cfg._i * 3) * chars.length)];
+      put(lines, meta, r, c, ch, { color: layer.color, t: srand(seed + p * 17 + cfg._i) * 0.6 });
+    }
+  },
+  burst(layer, cfg, lines, meta) {
+    const radius = val(layer.radius, cfg);
+    if (!(radius > 0)) return;
+    const chars = Array.from(layer.chars);
+    const cx = left(val(layer.x, cfg), 1);
+    const cy = Math.round(val(layer.y, cfg));
+    for (let r = 0; r < H; r++) {
+      for (let c = 0; c < W; c++) {
+        const dx = (c - cx) * 0.48;
+        const dy = r - cy;
+        const t = Math.sqrt(dx * dx + dy * dy) / radius;
+        if (t < 1) put(lines, meta, r, c, chars[Math.min(chars.length - 1, Math.floor(t * chars.length))], { color: layer.color, t });
+      }
+    }
+  },
+};
+
+function buildFrame(cfg) {
+  const lines = [];
+  const meta = [];
+  for (let r = 0; r < H; r++) {
+    lines.push(new Array(W).fill(' '));
+    meta.push(new Array(W).fill(null));
+  }
+  for (const layer of SPEC.layers) {
+    if (layer.visible !== undefined && !val(layer.visible, cfg)) continue;
+    DRAW[layer.type](layer, cfg, lines, meta);
+  }
+  return { lines, meta, mood: cfg.mood };
+}
+
+// ── COLOR ──
+function mix(range, mood) { return Array.isArray(range) ? range[0] + (range[1] - range[0]) * mood : range; }
+
+function cellStyle(m, mood) {
+  const p = SPEC.palette[m.color];
+  const h = mix(p.hue, mood);
+  const s = mix(p.sat, mood);
+  const l = Math.min(97, mix(p.light, mood) * (1 - m.t * 0.5));
+  const color = 'hsl(' + h.toFixed(0) + ',' + s.toFixed(0) + '%,' + l.toFixed(0) + '%)';
+  const glow = (p.glow || 0) * mood;
+  return glow > 1 && mood > 0.3 ? 'color:' + color + ';text-shadow:0 0 ' + glow.toFixed(0) + 'px ' + color : 'color:' + color;
+}
+
+function colorizeFrame(frame) {
+  const { lines, meta, mood } = frame;
+  let html = '';
+  for (let r = 0; r < lines.length; r++) {
+    let lineHTML = '';
+    let curStyle = '';
+    let spanOpen = false;
+    for (let c = 0; c < lines[r].length; c++) {
+      const ch = lines[r][c];
+      const m = meta[r][c];
+      const escaped = ch === '<' ? '&lt;' : ch === '>' ? '&gt;' : ch === '&' ? '&amp;' : ch;
+      if (!m) {
+        if (spanOpen) { lineHTML += '</span>'; spanOpen = false; curStyle = ''; }
+        lineHTML += escaped;
+        continue;
+      }
+      const style = cellStyle(m, mood);
+      if (style === curStyle && spanOpen) {
+        lineHTML += escaped;
+      } else {
+        if (spanOpen) lineHTML += '</span>';
+        lineHTML += '<span style="' + style + '">' + escaped;
+        spanOpen = true;
+        curStyle = style;
+      }
+    }
+    if (spanOpen) lineHTML += '</span>';
+    html += lineHTML + '\n';
+  }
+  return html;
+}`;
+
+const PLAYER_JS = String.raw`const stage = document.getElementById('stage');
+const scrubber = document.getElementById('scrubber');
+const frameInfo = document.getElementById('frameInfo');
+const playBtn = document.getElementById('playBtn');
+scrubber.max = frameData.length - 1;
+
+function render() {
+  const fd = frameData[currentFrame];
+  stage.innerHTML = '<div style="white-space:pre">' + fd.html + '</div>';
+  scrubber.value = currentFrame;
+  frameInfo.textContent = (currentFrame + 1) + ' / ' + frameData.length;
+  const r = fd.glowR, o = fd.glowO, hue = SPEC.stageGlow.hue;
+  stage.style.boxShadow = r > 2
+    ? '0 0 ' + r + 'px hsla(' + hue + ',85%,55%,' + o + '), 0 0 ' + (r * 2) + 'px hsla(' + hue + ',75%,45%,' + (o * 0.4) + ')'
+    : 'none';
+}
+function advance() {
+  if (bouncing) {
+    if (currentFrame + direction >= frameData.length || currentFrame + direction < 0) direction *= -1;
+    currentFrame += direction;
+  } else {
+    currentFrame++;
+    if (currentFrame >= frameData.length) {
+      if (looping) currentFrame = 0;
+      else { currentFrame = frameData.length - 1; pause(); return; }
+    }
+  }
+  render();
+}
+function getInterval() { return 1000 / document.getElementById('speed').value; }
+function play() { if (interval) clearInterval(interval); playing = true; playBtn.textContent = '⏸ Pause'; interval = setInterval(advance, getInterval()); }
+function pause() { if (interval) clearInterval(interval); playing = false; playBtn.textContent = '▶ Play'; }
+function togglePlay() { playing ? pause() : play(); }
+function updateSpeed() { if (playing) play(); }
+function scrubTo(val) { currentFrame = parseInt(val); render(); }
+function stepBack() { pause(); currentFrame = Math.max(0, currentFrame - 1); render(); }
+function stepForward() { pause(); currentFrame = Math.min(frameData.length - 1, currentFrame + 1); render(); }
+function toggleLoop() { looping = true; bouncing = false; document.getElementById('loopBtn').classList.add('active'); document.getElementById('bounceBtn').classList.remove('active'); }
+function toggleBounce() { bouncing = true; looping = false; direction = 1; document.getElementById('bounceBtn').classList.add('active'); document.getElementById('loopBtn').classList.remove('active'); }
+document.addEventListener('keydown', (e) => {
+  if (e.code === 'Space') { e.preventDefault(); togglePlay(); }
+  if (e.code === 'ArrowLeft') stepBack();
+  if (e.code === 'ArrowRight') stepForward();
+});
+render(); play();`;
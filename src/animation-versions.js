@@ -0,0 +1,185 @@
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Version history of one animation beat: every animation.html the beat
+ * has had (generated, regenerated, edited, picked from the candidates,
+ * reverted to) is kept as <animDir>/versions/v_NN.html — plus v_NN.json
+ * when it came from a spec — and listed in versions/versions.json:
+ *
+ *   [{ version, kind, instruction, revertedTo, file, spec, at }]
+ *
+ * Unlike attempts/ (every model response, valid or not) this holds only
+ * what was actually used, so any of them can be restored.
+ */
+
+// Unchanged lines shown around each change in a diff
+const DIFF_CONTEXT = 3;
+// Beyond this many lines per side the diff falls back to whole-file replace
+const MAX_DIFF_LINES = 4000;
+
+/**
+ * Add the current animation as a new version. Saving the same HTML as the
+ * latest version again is a no-op; empty HTML is refused.
+ *
+ * @param {string} animDir
+ * @param {{ html: string, spec?: object|null }} animation
+ * @param {{ kind: string, instruction?: string, revertedTo?: number }} info
+ *   kind is one of original, generate, reuse, regenerate, edit, candidate, revert
+ * @returns {object} The version entry
+ */
+export function recordVersion(animDir, animation, info) {
+  if (!animation.html) throw new Error('Cannot record an empty animation as a version');
+  const dir = join(animDir, 'versions');
+  const versions = listVersions(animDir);
+  const latest = versions[versions.length - 1];
+  if (latest && readFileSync(join(dir, latest.file), 'utf-8') === animation.html) return latest;
+
+  mkdirSync(dir, { recursive: true });
+  const version = versions.length + 1;
+  const name = `v_${String(version).padStart(2, '0')}`;
+  writeFileSync(join(dir, `${name}.html`), animation.html);
+  if (animation.spec) writeFileSync(join(dir, `${name}.json`), JSON.stringify(animation.spec, null, 2) + '\n');
+
+  const entry = {
+    version,
+    kind: info.kind,
+    instruction: info.instruction || null,
+    revertedTo: info.revertedTo ?? null,
+    file: `${name}.html`,
+    spec: animation.spec ? `${name}.json` : null,
+    at: new Date().toISOString(),
+  };
+  versions.push(entry);
+  writeFileSync(join(dir, 'versions.json'), JSON.stringify(versions, null, 2));
+  return entry;
+}
+
+/**
+ * @returns {object[]} Version entries, oldest first (empty if none yet)
+ */
+export function listVersions(animDir) {
+  const path = join(animDir, 'versions', 'versions.json');
+  return existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : [];
+}
+
+/**
+ * @returns {{ entry: object, html: string, spec: object|null }|null}
+ */
+export function readVersion(animDir, version) {
+  const entry = listVersions(animDir).find(v => v.version === version);
+  if (!entry) return null;
+  const dir = join(animDir, 'versions');
+  return {
+    entry,
+    html: readFileSync(join(dir, entry.file), 'utf-8'),
+    spec: entry.spec ? JSON.parse(readFileSync(join(dir, entry.spec), 'utf-8')) : null,
+  };
+}
+
+/**
+ * Line diff between two versions. Compares the specs when both have one
+ * (far easier to read than the compiled HTML), the HTML otherwise.
+ *
+ * @param {string} animDir
+ * @param {number} from - Older version
+ * @param {number} to - Newer version
+ * @returns {{ from: number, to: number, format: 'spec'|'html', added: number, removed: number,
+ *   lines: { type: 'same'|'add'|'del'|'skip', text?: string, count?: number }[] }|null}
+ */
+export function diffVersions(animDir, from, to) {
+  const a = readVersion(animDir, from);
+  const b = readVersion(animDir, to);
+  if (!a || !b) return null;
+
+  const format = a.spec && b.spec ? 'spec' : 'html';
+  const text = v => (format === 'spec' ? JSON.stringify(v.spec, null, 2) : v.html);
+  const lines = diffLines(text(a), text(b));
+  return {
+    from,
+    to,
+    format,
+    added: lines.filter(l => l.type === 'add').length,
+    removed: lines.filter(l => l.type === 'del').length,
+    lines,
+  };
+}
+
+/**
+ * Longest-common-subsequence line diff, with unchanged runs longer than
+ * the context collapsed into `skip` entries.
+ */
+export function diffLines(before, after, context = DIFF_CONTEXT) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Common prefix and suffix don't need the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const ops = a.slice(0, start).map(text => ({ type: 'same', text }));
+  ops.push(...diffMiddle(a.slice(start, endA), b.slice(start, endB)));
+  ops.push(...a.slice(endA).map(text => ({ type: 'same', text })));
+
+  return collapse(ops, context);
+}
+
+function diffMiddle(a, b) {
+  if (a.length === 0 || b.length === 0 || a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return [...a.map(text => ({ type: 'del', text })), ...b.map(text => ({ type: 'add', text }))];
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const cols = b.length + 1;
+  const lcs = new Uint16Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] = a[i] === b[j]
+        ? lcs[(i + 1) * cols + j + 1] + 1
+        : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      ops.push({ type: 'del', text: a[i++] });
+    } else {
+      ops.push({ type: 'add', text: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: 'del', text: a[i++] });
+  while (j < b.length) ops.push({ type: 'add', text: b[j++] });
+  return ops;
+}
+
+function collapse(ops, context) {
+  const keep = ops.map(op => op.type !== 'same');
+  ops.forEach((op, i) => {
+    if (op.type === 'same') return;
+    for (let k = Math.max(0, i - context); k <= Math.min(ops.length - 1, i + context); k++) keep[k] = true;
+  });
+
+  const out = [];
+  let skipped = 0;
+  ops.forEach((op, i) => {
+    if (keep[i]) {
+      if (skipped > 0) out.push({ type: 'skip', count: skipped });
+      skipped = 0;
+      out.push(op);
+    } else {
+      skipped++;
+    }
+  });
+  if (skipped > 0) out.push({ type: 'skip', count: skipped });
+  return out;
+}
@@ -0,0 +1,346 @@
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { campaignDir, campaignId } from './campaign.js';
+
+/**
+ * Cross-session campaign memory, stored as campaigns/<id>/memory.json:
+ *   {
+ *     sessions:   [{ key, sessionFile, analyzedAt, summary, highlights: [title] }],
+ *     characters: [{ name, mentions, sessions: [key] }],
+ *     gags:       [{ phrase, count, laughs, sessions: [key] }],
+ *     published:  [{ key, sessionFile, title, type, startTime, endTime, dialogue, publishedAt }]
+ *   }
+ *
+ * `key` is the web session ID, or the transcript name for CLI runs.
+ * Sessions are remembered when their plan is ready (re-analysis replaces
+ * the entry) and their highlights count as published once exported.
+ *
+ * The highlight finder gets the relevant parts in its prompt
+ * (memoryHeader) — past summaries, names and gags that show up again in
+ * this transcript, and what's already been published — and moments that
+ * repeat a published highlight are pushed down the ranking
+ * (deprioritizePublished).
+ */
+
+const MAX_SESSIONS = 20;
+const MAX_CHARACTERS = 60;
+const MAX_GAGS = 40;
+const MAX_PUBLISHED = 100;
+
+// Prompt budget for the memory section
+const HEADER_SESSIONS = 3;
+const HEADER_PUBLISHED = 10;
+const HEADER_NAMES = 12;
+const HEADER_GAGS = 6;
+
+// A name needs this many mentions in one session to be remembered
+const MIN_NAME_MENTIONS = 3;
+// A phrase is a gag when it's said this often, with laughter this often
+const MIN_GAG_COUNT = 3;
+const MIN_GAG_LAUGHS = 2;
+const GAG_LAUGH_WINDOW_SEC = 10;
+// Key-dialogue word overlap that marks a highlight as a repeat
+const REPEAT_SIMILARITY = 0.6;
+
+const LAUGHTER = /\b(?:ha(?:ha)+|he(?:he)+|lol|lmao|rofl)\b|\[laughter\]|\(laughs?\)/i;
+
+// Capitalised words that aren't names
+const NOT_NAMES = new Set([
+  'I', 'I\'m', 'I\'ll', 'I\'ve', 'I\'d', 'The', 'And', 'But', 'So', 'Okay', 'Ok', 'Yeah', 'Yes', 'No', 'Oh',
+  'Well', 'What', 'Wait', 'Like', 'Just', 'That', 'This', 'There', 'They', 'Then', 'You', 'We', 'He', 'She',
+  'It', 'Is', 'Are', 'Do', 'Does', 'Did', 'Can', 'Could', 'Would', 'Should', 'Let', 'Let\'s', 'Alright',
+  'All', 'Right', 'Now', 'Also', 'Because', 'Um', 'Uh', 'Hmm', 'God', 'DM', 'Nat', 'Natural', 'Roll',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday', 'Discord', 'Zoom',
+]);
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'so', 'to', 'of', 'in', 'on', 'at', 'is', 'it', 'i', 'you', 'we',
+  'he', 'she', 'they', 'that', 'this', 'for', 'with', 'do', 'be', 'was', 'are', 'just', 'like', 'um', 'uh',
+  'yeah', 'okay', 'oh', 'what', 'my', 'your', 'me', 'can', 'get', 'go', 'going', 'gonna', 'have', 'know',
+  'think', 'should', 'would', 'could', 'see', 'let\'s', 'that\'s', 'it\'s', 'i\'m', 'really', 'got', 'right',
+  'well', 'now', 'there', 'here', 'not', 'all', 'one', 'want', 'need', 'make', 'say', 'said',
+]);
+
+/**
+ * Load a campaign's memory (empty when it has none or it can't be parsed).
+ */
+export function loadMemory(id) {
+  const empty = { sessions: [], characters: [], gags: [], published: [] };
+  if (!id) return empty;
+  const path = join(campaignDir(id), 'memory.json');
+  if (!existsSync(path)) return empty;
+  try {
+    return { ...empty, ...JSON.parse(readFileSync(path, 'utf-8')) };
+  } catch (err) {
+    console.warn(`Ignoring unreadable campaign memory ${path} (${err.message}) — starting empty`);
+    return empty;
+  }
+}
+
+/**
+ * Write a campaign's memory (creates the campaign folder if needed).
+ */
+export function saveMemory(id, memory) {
+  if (!campaignId(id)) throw new Error('Campaign name is required');
+  mkdirSync(campaignDir(id), { recursive: true });
+  writeFileSync(join(campaignDir(id), 'memory.json'), JSON.stringify(memory, null, 2));
+}
+
+/**
+ * Remember an analyzed session: summary, names and gags. Replaces an
+ * earlier entry for the same key.
+ *
+ * @param {string} id - Campaign
+ * @param {string} key - Session ID or transcript name
+ * @param {object} session - Parsed session
+ * @param {object[]} highlights
+ * @returns {object} Updated memory
+ */
+export function rememberSession(id, key, session, highlights) {
+  const memory = forget(loadMemory(id), key);
+
+  memory.sessions.push({
+    key,
+    sessionFile: session.sessionFile,
+    analyzedAt: new Date().toISOString(),
+    summary: summarizeSession(session, highlights),
+    highlights: highlights.map(h => h.title),
+  });
+  memory.sessions = memory.sessions.slice(-MAX_SESSIONS);
+
+  for (const [name, mentions] of extractNames(session)) {
+    const entry = memory.characters.find(c => c.name === name);
+    if (entry) {
+      entry.mentions += mentions;
+      entry.sessions.push(key);
+    } else {
+      memory.characters.push({ name, mentions, sessions: [key] });
+    }
+  }
+  memory.characters = memory.characters
+    .sort((a, b) => b.sessions.length - a.sessions.length || b.mentions - a.mentions)
+    .slice(0, MAX_CHARACTERS);
+
+  for (const gag of extractGags(session)) {
+    const entry = memory.gags.find(g => g.phrase === gag.phrase);
+    if (entry) {
+      entry.count += gag.count;
+      entry.laughs += gag.laughs;
+      entry.sessions.push(key);
+    } else {
+      memory.gags.push({ ...gag, sessions: [key] });
+    }
+  }
+  memory.gags = memory.gags
+    .sort((a, b) => b.sessions.length - a.sessions.length || b.laughs - a.laughs)
+    .slice(0, MAX_GAGS);
+
+  saveMemory(id, memory);
+  return memory;
+}
+
+/**
+ * Record exported highlights as published.
+ */
+export function markPublished(id, key, session, highlights) {
+  const memory = loadMemory(id);
+  memory.published = memory.published.filter(p => p.key !== key);
+  for (const h of highlights) {
+    memory.published.push({
+      key,
+      sessionFile: session.sessionFile,
+      title: h.title,
+      type: h.type,
+      startTime: h.startTime,
+      endTime: h.endTime,
+      dialogue: dialogueText(session, h).substring(0, 300),
+      publishedAt: new Date().toISOString(),
+    });
+  }
+  memory.published = memory.published.slice(-MAX_PUBLISHED);
+  saveMemory(id, memory);
+  return memory;
+}
+
+/**
+ * "## Campaign Memory" prompt section: what's relevant to this session.
+ * Entries from `excludeKey` (the session being analyzed) are left out.
+ *
+ * @returns {string} Empty when there's nothing to say
+ */
+export function memoryHeader(memory, session, excludeKey = null) {
+  if (!memory) return '';
+  const text = session.cues.map(c => c.text).join('\n').toLowerCase();
+  const past = (list) => list.filter(e => (e.sessions || [e.key]).some(k => k !== excludeKey));
+
+  const sessions = memory.sessions.filter(s => s.key !== excludeKey).slice(-HEADER_SESSIONS);
+  const names = past(memory.characters)
+    .filter(c => new RegExp(`\\b${escapeRegex(c.name.toLowerCase())}\\b`).test(text))
+    .slice(0, HEADER_NAMES);
+  const gags = past(memory.gags).filter(g => text.includes(g.phrase)).slice(0, HEADER_GAGS);
+  const published = memory.published.filter(p => p.key !== excludeKey).slice(-HEADER_PUBLISHED);
+
+  if (sessions.length + names.length + gags.length + published.length === 0) return '';
+
+  let header = '\n## Campaign Memory (from past sessions)\n';
+  if (sessions.length > 0) {
+    header += `Previous sessions:\n${sessions.map(s => `  - ${s.summary}`).join('\n')}\n`;
+  }
+  if (names.length > 0) {
+    header += `Returning characters and places in this session: ${names.map(c => `${c.name} (${c.sessions.length} session${c.sessions.length === 1 ? '' : 's'})`).join(', ')}\n`;
+  }
+  if (gags.length > 0) {
+    header += `Running gags that come up again here — a callback can be a great moment if it still lands on its own:\n${gags.map(g => `  - "${g.phrase}"`).join('\n')}\n`;
+  }
+  if (published.length > 0) {
+    header += `Already published — don't pick these moments again:\n${published.map(p => `  - ${p.title} (${p.type})`).join('\n')}\n`;
+  }
+  return header;
+}
+
+/**
+ * Move highlights that repeat a published one (same transcript and
+ * overlapping time, or mostly the same key dialogue) behind the others,
+ * and tag them with `repeatOf`. What was published from `excludeKey`
+ * (this session, when re-analyzed) doesn't count, as in memoryHeader().
+ */
+export function deprioritizePublished(highlights, memory, session, excludeKey = null) {
+  const published = (memory?.published || []).filter(p => p.key !== excludeKey);
+  if (published.length === 0) return highlights;
+
+  const fresh = [];
+  const repeats = [];
+  for (const h of highlights) {
+    const words = wordSet(dialogueText(session, h));
+    const match = published.find(p =>
+      (p.sessionFile === session.sessionFile && h.startTime < p.endTime && p.startTime < h.endTime) ||
+      similarity(words, wordSet(p.dialogue || '')) >= REPEAT_SIMILARITY
+    );
+    if (match) repeats.push({ ...h, repeatOf: match.title });
+    else fresh.push(h);
+  }
+
+  if (repeats.length > 0) {
+    console.log(`  Campaign memory: ${repeats.length} highlight(s) repeat published moments — moved down the ranking`);
+  }
+  return [...fresh, ...repeats];
+}
+
+// ── Extraction ──
+
+function summarizeSession(session, highlights) {
+  const combat = session.segments.filter(s => s.type === 'combat').length;
+  const nat20s = (session.diceRolls || []).filter(r => r.natural === 20).length;
+  const names = [...extractNames(session).keys()].slice(0, 5);
+
+  const parts = [`${session.sessionFile} (${session.duration})`];
+  if (combat > 0) parts.push(`${combat} combat encounter${combat === 1 ? '' : 's'}`);
+  if (nat20s > 0) parts.push(`${nat20s} nat 20${nat20s === 1 ? '' : 's'}`);
+  if (names.length > 0) parts.push(`featuring ${names.join(', ')}`);
+  if (highlights.length > 0) parts.push(`highlights: ${highlights.map(h => h.title).join('; ')}`);
+  return parts.join(' — ');
+}
+
+/**
+ * Player characters (from the cast) plus capitalised words that aren't
+ * sentence openers — NPCs, places — with mention counts.
+ * @returns {Map<string, number>} Most mentioned first
+ */
+function extractNames(session) {
+  const counts = new Map();
+  for (const speaker of session.speakers || []) {
+    if (speaker.character) counts.set(speaker.character, (counts.get(speaker.character) || 0) + speaker.cueCount);
+  }
+  for (const cue of session.cues) {
+    for (const m of cue.text.matchAll(/(?<![.!?]\s|^)\b([A-Z][a-z]{2,}(?:'s)?)\b/g)) {
+      const name = m[1].replace(/'s$/, '');
+      if (NOT_NAMES.has(name)) continue;
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+  }
+  return new Map([...counts].filter(([, n]) => n >= MIN_NAME_MENTIONS).sort((a, b) => b[1] - a[1]));
+}
+
+/**
+ * Three-word phrases said several times, mostly followed by laughter.
+ */
+function extractGags(session) {
+  const cues = session.cues;
+  const phrases = new Map();
+
+  cues.forEach((cue, i) => {
+    const words = cue.text.toLowerCase().replace(/[^a-z' ]+/g, ' ').split(/\s+/).filter(Boolean);
+    let laughed = null;
+    const seen = new Set();
+    for (let w = 0; w + 3 <= words.length; w++) {
+      const gram = words.slice(w, w + 3);
+      if (gram.filter(x => !STOPWORDS.has(x)).length < 2) continue;
+      const phrase = gram.join(' ');
+      if (seen.has(phrase)) continue;
+      seen.add(phrase);
+
+      if (laughed === null) laughed = laughterAfter(cues, i);
+      const entry = phrases.get(phrase) || { phrase, count: 0, laughs: 0 };
+      entry.count++;
+      if (laughed) entry.laughs++;
+      phrases.set(phrase, entry);
+    }
+  });
+
+  // Overlapping grams of one longer phrase ("the cheese wheel", "cheese wheel rolls") count once
+  const gags = [];
+  const candidates = [...phrases.values()]
+    .filter(p => p.count >= MIN_GAG_COUNT && p.laughs >= MIN_GAG_LAUGHS)
+    .sort((a, b) => b.laughs - a.laughs);
+  for (const p of candidates) {
+    if (!gags.some(g => overlaps(g.phrase, p.phrase))) gags.push(p);
+  }
+  return gags.slice(0, 10);
+}
+
+function overlaps(a, b) {
+  const [x, y] = [a.split(' '), b.split(' ')];
+  return x.slice(1).join(' ') === y.slice(0, 2).join(' ') || y.slice(1).join(' ') === x.slice(0, 2).join(' ');
+}
+
+function laughterAfter(cues, idx) {
+  for (let j = idx; j < cues.length && cues[j].start - cues[idx].end <= GAG_LAUGH_WINDOW_SEC; j++) {
+    if (LAUGHTER.test(cues[j].text)) return true;
+  }
+  return false;
+}
+
+// ── Similarity ──
+
+function dialogueText(session, h) {
+  if (h.keyDialogue) return h.keyDialogue;
+  const ids = new Set(h.keyDialogueCueIds || []);
+  return session.cues.filter(c => ids.has(c.id)).map(c => c.text).join(' ');
+}
+
+function wordSet(text) {
+  return new Set(text.toLowerCase().split(/[^a-z0-9']+/).filter(w => w.length >= 3 && !STOPWORDS.has(w)));
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / Math.min(a.size, b.size);
+}
+
+function forget(memory, key) {
+  const drop = list => list
+    .map(e => ({ ...e, sessions: e.sessions.filter(k => k !== key) }))
+    .filter(e => e.sessions.length > 0);
+  return {
+    ...memory,
+    sessions: memory.sessions.filter(s => s.key !== key),
+    characters: drop(memory.characters),
+    gags: drop(memory.gags),
+  };
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,198 @@
+import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Per-campaign data, stored under campaigns/<id>/.
+ *
+ * cast.json maps the people at the table to their characters and to the
+ * Zoom display names they show up under:
+ *   {
+ *     dm: { player: "Chris", aliases: ["Chris R", "Chris's iPad"] },
+ *     players: [
+ *       { player: "Kristin", character: "Bixie", aliases: ["Kristin (Bixie)", "KB"] },
+ *       ...
+ *     ]
+ *   }
+ *
+ * The parser (buildSession in parse-vtt.js) renames matching speakers to a
+ * canonical label — "Chris" for the DM, "Kristin (Bixie)" for players — so
+ * prompts and director's notes see the same names every session.
+ *
+ * glossary.json lists the campaign's proper nouns and how Zoom tends to
+ * mangle them (see glossary.js for the correction pass):
+ *   {
+ *     terms: [
+ *       { name: "Vexus", variants: ["Vexis", "Vex us"] },
+ *       { name: "Thornwhistle", fuzzy: false },
+ *       "Saltmarsh"
+ *     ]
+ *   }
+ *
+ * memory.json (see campaign-memory.js) remembers past sessions, recurring
+ * characters, running gags and published highlights.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CAMPAIGNS_DIR = join(__dirname, '..', 'campaigns');
+
+/**
+ * List campaigns that have a folder under campaigns/.
+ * @returns {{ id: string, hasCast: boolean, hasGlossary: boolean }[]}
+ */
+export function listCampaigns() {
+  if (!existsSync(CAMPAIGNS_DIR)) return [];
+  return readdirSync(CAMPAIGNS_DIR, { withFileTypes: true })
+    .filter(e => e.isDirectory())
+    .map(e => ({
+      id: e.name,
+      hasCast: existsSync(join(CAMPAIGNS_DIR, e.name, 'cast.json')),
+      hasGlossary: existsSync(join(CAMPAIGNS_DIR, e.name, 'glossary.json')),
+    }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Turn a campaign name into a folder-safe ID ("Shattered Coast" → "shattered-coast").
+ */
+export function campaignId(name) {
+  return String(name || '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 60);
+}
+
+/**
+ * Folder for a campaign's files (campaigns/<id>/), whether or not it exists yet.
+ */
+export function campaignDir(id) {
+  return join(CAMPAIGNS_DIR, campaignId(id));
+}
+
+/**
+ * Load a campaign's cast file, or null if it has none (or it can't be parsed).
+ */
+export function loadCast(id) {
+  if (!id) return null;
+  const cast = readCampaignFile(id, 'cast.json');
+  if (!cast) return null;
+  try {
+    return normalizeCast(cast);
+  } catch (err) {
+    console.warn(`Ignoring campaign cast for "${id}" (${err.message}) — using speaker heuristics`);
+    return null;
+  }
+}
+
+/**
+ * Write a campaign's cast file (creates the campaign folder if needed).
+ */
+export function saveCast(id, cast) {
+  const dir = join(CAMPAIGNS_DIR, campaignId(id));
+  if (!campaignId(id)) throw new Error('Campaign name is required');
+  mkdirSync(dir, { recursive: true });
+  const normalized = normalizeCast(cast);
+  writeFileSync(join(dir, 'cast.json'), JSON.stringify(normalized, null, 2));
+  return normalized;
+}
+
+/**
+ * Load a campaign's glossary file, or null if it has none (or it can't be parsed).
+ */
+export function loadGlossary(id) {
+  if (!id) return null;
+  return readCampaignFile(id, 'glossary.json');
+}
+
+/**
+ * Parse a campaign JSON file. A broken file is logged and treated as
+ * missing — the analysis still works without it.
+ */
+function readCampaignFile(id, name) {
+  const path = join(CAMPAIGNS_DIR, campaignId(id), name);
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    console.warn(`Ignoring unreadable campaign file ${path} (${err.message})`);
+    return null;
+  }
+}
+
+/**
+ * Fill in missing fields and drop empty entries so the rest of the code
+ * can rely on { dm: {player, aliases} | null, players: [{player, character, aliases}] }.
+ */
+export function normalizeCast(cast) {
+  const member = m => ({
+    player: String(m.player || '').trim(),
+    character: m.character ? String(m.character).trim() : null,
+    aliases: [...new Set((m.aliases || []).map(a => String(a).trim()).filter(Boolean))],
+  });
+
+  const dm = cast?.dm ? member(cast.dm) : null;
+  return {
+    dm: dm && dm.player ? { player: dm.player, aliases: dm.aliases } : null,
+    players: (cast?.players || []).map(member).filter(p => p.player),
+  };
+}
+
+/**
+ * Layer session corrections over a campaign cast. Override entries win:
+ * a base entry is dropped when it shares a player name or alias with one.
+ */
+export function mergeCast(base, override) {
+  if (!base) return override ? normalizeCast(override) : null;
+  if (!override) return normalizeCast(base);
+
+  const b = normalizeCast(base);
+  const o = normalizeCast(override);
+  const claimed = new Set(
+    [o.dm, ...o.players].filter(Boolean).flatMap(m => [m.player, ...m.aliases]).map(normalizeName)
+  );
+  const unclaimed = m => m && ![m.player, ...m.aliases].some(n => claimed.has(normalizeName(n)));
+
+  return {
+    dm: o.dm || (unclaimed(b.dm) ? b.dm : null),
+    players: [...o.players, ...b.players.filter(unclaimed)],
+  };
+}
+
+/**
+ * Find the cast member behind a transcript display name.
+ *
+ * Matches (case/spacing-insensitive) an alias, the player name, the
+ * canonical label, or — for Zoom's "Name (Character)" style — the part
+ * before the parentheses.
+ *
+ * @returns {{ role: 'dm'|'player', player, character, label }|null}
+ */
+export function resolveSpeaker(displayName, cast) {
+  if (!displayName || !cast) return null;
+
+  const name = normalizeName(displayName);
+  const bare = normalizeName(displayName.replace(/\([^)]*\)/g, ''));
+  const members = [
+    ...(cast.dm ? [{ ...cast.dm, role: 'dm', character: null }] : []),
+    ...cast.players.map(p => ({ ...p, role: 'player' })),
+  ];
+
+  for (const candidate of [name, bare]) {
+    const m = members.find(m =>
+      [m.player, castLabel(m), ...m.aliases].some(n => normalizeName(n) === candidate)
+    );
+    if (m) return { role: m.role, player: m.player, character: m.character, label: castLabel(m) };
+  }
+  return null;
+}
+
+/**
+ * Canonical speaker label for a cast member.
+ */
+export function castLabel(member) {
+  return member.character ? `${member.player} (${member.character})` : member.player;
+}
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,178 @@
+/**
+ * Transcript chunking for the LLM highlight finder.
+ *
+ * Instead of fixed character slices with overlap, chunks are planned
+ * around the table-energy curve (see energy.js):
+ *   - quiet stretches with no candidate signals (low energy, no notable
+ *     dice rolls) for QUIET_STRETCH_SEC+ are dropped, keeping a couple
+ *     of cues at each edge for context
+ *   - chunk boundaries go at the lowest-energy gap in the last part of
+ *     each chunk (or at a dropped stretch / time jump), so a moment is
+ *     never cut in half and no overlap is needed
+ *
+ * The result reports how much of the transcript is actually sent.
+ */
+
+// A cue below this energy (and with no other signal) counts as quiet
+const QUIET_ENERGY = 0.2;
+// Quiet runs at least this long are dropped
+const QUIET_STRETCH_SEC = 120;
+// Cues kept at each edge of a dropped stretch (setup / aftermath)
+const CONTEXT_CUES = 2;
+// A chunk is cut no earlier than this fraction of the character budget
+const MIN_CHUNK_FILL = 0.6;
+// Gaps longer than this between kept cues are natural boundaries
+const JUMP_SEC = 30;
+
+/**
+ * Plan chunks for a list of cues.
+ *
+ * @param {object[]} cues - [{ id, start, end, speaker, text }] in time order
+ * @param {object} options
+ * @param {number} options.maxChars - Character budget per chunk
+ * @param {(cue: object) => string} options.formatLine - Cue → transcript line
+ * @param {number[]} [options.energy] - Per-second energy values (energy.js)
+ * @param {Set<number>} [options.signalCueIds] - Cues that always count as signal
+ * @returns {{ chunks: { text, startId, endId, cueCount }[], cues: object[], droppedStretches: number }}
+ */
+export function planChunks(cues, options) {
+  const { maxChars, formatLine } = options;
+  const energy = options.energy || null;
+  const signalCueIds = options.signalCueIds || new Set();
+
+  const cueEnergy = cues.map(c => energy ? energyBetween(energy, c.start, c.end) : 1);
+  const { kept, droppedStretches } = energy
+    ? dropQuietStretches(cues, cueEnergy, signalCueIds)
+    : { kept: cues.map((c, i) => i), droppedStretches: 0 };
+
+  const lines = kept.map(i => formatLine(cues[i]));
+  const chunks = [];
+  let from = 0;
+
+  while (from < kept.length) {
+    // Fill up to the budget
+    let to = from;
+    let chars = 0;
+    const fill = [];
+    while (to < kept.length) {
+      const len = lines[to].length + 1; // +1 for newline
+      if (chars + len > maxChars && to > from) break;
+      chars += len;
+      fill.push(chars);
+      to++;
+    }
+
+    // Not the last chunk — move the cut back to the quietest boundary
+    if (to < kept.length) {
+      to = quietestCut(from, to, fill, maxChars, i => boundaryCost(cues, kept, cueEnergy, i));
+    }
+
+    chunks.push({
+      text: lines.slice(from, to).join('\n'),
+      startId: cues[kept[from]].id,
+      endId: cues[kept[to - 1]].id,
+      cueCount: to - from,
+    });
+    from = to;
+  }
+
+  return { chunks, cues: kept.map(i => cues[i]), droppedStretches };
+}
+
+/**
+ * How much of `allCues` made it into `sentCues` — by cue count, transcript
+ * characters and speaking time.
+ *
+ * @returns {{ totalCues, sentCues, totalChars, sentChars, totalSec, sentSec, percent }}
+ */
+export function transcriptCoverage(allCues, sentCues, formatLine) {
+  const chars = list => list.reduce((sum, c) => sum + formatLine(c).length + 1, 0);
+  const seconds = list => list.reduce((sum, c) => sum + (c.end - c.start), 0);
+
+  const totalSec = seconds(allCues);
+  const sentSec = seconds(sentCues);
+  return {
+    totalCues: allCues.length,
+    sentCues: sentCues.length,
+    totalChars: chars(allCues),
+    sentChars: chars(sentCues),
+    totalSec: Math.round(totalSec),
+    sentSec: Math.round(sentSec),
+    percent: totalSec > 0 ? Math.round((sentSec / totalSec) * 100) : 100,
+  };
+}
+
+// ── Quiet stretches ──
+
+/**
+ * Drop the middle of every QUIET_STRETCH_SEC+ run of signal-less cues.
+ * @returns {{ kept: number[], droppedStretches: number }} Kept cue indices
+ */
+function dropQuietStretches(cues, cueEnergy, signalCueIds) {
+  const isSignal = i => cueEnergy[i] >= QUIET_ENERGY || signalCueIds.has(cues[i].id);
+  const drop = new Uint8Array(cues.length);
+  let droppedStretches = 0;
+
+  let runStart = -1;
+  for (let i = 0; i <= cues.length; i++) {
+    if (i < cues.length && !isSignal(i)) {
+      if (runStart < 0) runStart = i;
+      continue;
+    }
+    if (runStart >= 0) {
+      const runEnd = i - 1;
+      const span = cues[runEnd].end - cues[runStart].start;
+      const from = runStart + CONTEXT_CUES;
+      const to = runEnd - CONTEXT_CUES;
+      if (span >= QUIET_STRETCH_SEC && from <= to) {
+        for (let j = from; j <= to; j++) drop[j] = 1;
+        droppedStretches++;
+      }
+      runStart = -1;
+    }
+  }
+
+  const kept = [];
+  for (let i = 0; i < cues.length; i++) if (!drop[i]) kept.push(i);
+  return { kept: kept.length > 0 ? kept : cues.map((c, i) => i), droppedStretches };
+}
+
+// ── Boundaries ──
+
+/**
+ * Pick the cut position in (from, to] with the lowest boundary cost,
+ * among positions that fill at least MIN_CHUNK_FILL of the budget.
+ * `fill[k]` is the running character count after line from+k.
+ */
+function quietestCut(from, to, fill, maxChars, costAt) {
+  let best = to;
+  let bestCost = Infinity;
+  for (let cut = to; cut > from + 1; cut--) {
+    if (fill[cut - from - 1] < maxChars * MIN_CHUNK_FILL) break;
+    const cost = costAt(cut);
+    if (cost < bestCost) {
+      best = cut;
+      bestCost = cost;
+    }
+  }
+  return best;
+}
+
+/**
+ * Cost of cutting between kept cue k-1 and kept cue k: the energy on
+ * either side, or -1 where cues were dropped or time jumps anyway.
+ */
+function boundaryCost(cues, kept, cueEnergy, k) {
+  const prev = kept[k - 1];
+  const next = kept[k];
+  if (next - prev > 1 || cues[next].start - cues[prev].end > JUMP_SEC) return -1;
+  return Math.max(cueEnergy[prev], cueEnergy[next]);
+}
+
+function energyBetween(values, start, end) {
+  const from = Math.max(0, Math.floor(start));
+  const to = Math.min(values.length - 1, Math.ceil(end));
+  let max = 0;
+  for (let t = from; t <= to; t++) max = Math.max(max, values[t]);
+  return max;
+}
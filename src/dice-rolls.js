@@ -0,0 +1,237 @@
+/**
+ * Dice roll extraction — turns table talk into structured roll events.
+ *
+ *   "nat 20!"                         → { value: 20, natural: 20, outcome: 'critical' }
+ *   "that's a 27 to hit"              → { value: 27, kind: 'attack' }
+ *   "I got a 3 on perception"         → { value: 3, kind: 'check', skill: 'perception' }
+ *   "roll for initiative"             → { value: null, kind: 'initiative', call: true }
+ *
+ * Each event: {
+ *   cueId, time, speaker, text,
+ *   kind: 'attack' | 'damage' | 'save' | 'check' | 'initiative' | 'unknown',
+ *   skill, value, natural (20 | 1 | null), call (DM asking for a roll),
+ *   outcome: 'critical' | 'fumble' | 'success' | 'failure' | 'unknown',
+ *   outcomeSource: 'natural' | 'response' | 'value' | null
+ * }
+ *
+ * Outcomes are a guess: naturals decide it, then the DM's next few lines
+ * ("that hits", "you miss"), then the number itself for attacks/checks/saves.
+ *
+ * Loose phrasings ("I got three", "that's a one") are everyday speech too,
+ * so spelled-out numbers only count as a roll with roll talk in the same
+ * cue ("rolled", "d20", "plus four") or the DM calling for a roll just before.
+ */
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30,
+};
+const NUM = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+const SKILLS = [
+  'acrobatics', 'animal handling', 'arcana', 'athletics', 'deception', 'history', 'insight',
+  'intimidation', 'investigation', 'medicine', 'nature', 'perception', 'performance',
+  'persuasion', 'religion', 'sleight of hand', 'stealth', 'survival',
+  'strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma',
+  'str', 'dex', 'con', 'int', 'wis', 'cha', 'death',
+];
+const SKILL = `(${SKILLS.join('|')})`;
+
+// Tried in order; the first match decides the event for a cue
+const PATTERNS = [
+  { kind: 'unknown', natural: true, re: /\bnat(?:ural)?[\s-]*(20|twenty|1|one)\b/i },
+  { kind: 'attack', re: new RegExp(`\\b${NUM}\\s+to\\s+hit\\b`, 'i') },
+  { kind: 'damage', re: new RegExp(`\\b${NUM}\\s+(?:points?\\s+of\\s+)?(?:[a-z]+\\s+)?damage\\b`, 'i') },
+  { kind: 'initiative', re: new RegExp(`\\b${NUM}\\s+(?:for|on)\\s+initiative\\b|\\binitiative\\s+(?:of\\s+)?${NUM}\\b`, 'i') },
+  { kind: 'check', skill: true, re: new RegExp(`\\b${NUM}\\s+(?:on|for)\\s+(?:(?:my|the|a|that|his|her)\\s+)?${SKILL}\\b(?:\\s+(check|save|saving throw))?`, 'i') },
+  { kind: 'unknown', needsContext: true, re: new RegExp(`\\b(?:i|you|he|she|they|we)\\s+(?:got|rolled)\\s+(?:a\\s+|an\\s+)?${NUM}\\b|\\bthat'?s\\s+(?:a|an)\\s+${NUM}\\b(?!\\s*(?:out of|percent|%|minutes?|hours?|feet|ft|gold|gp))`, 'i') },
+];
+
+const ROLL_CALLS = [
+  { kind: 'initiative', re: /\broll(?:ing)?\s+(?:for\s+)?init(?:iative)?\b/i },
+  { kind: 'check', skill: true, re: new RegExp(`\\b(?:roll|make|give me)\\s+(?:me\\s+)?(?:a|an)\\s+${SKILL}\\s+(check|save|saving throw)\\b`, 'i') },
+];
+
+// Roll talk that makes a loose "I got three" believable
+const ROLL_CONTEXT = new RegExp(`\\broll(?:s|ed|ing)?\\b|\\bd\\s?(?:4|6|8|10|12|20|100)\\b|\\bnat(?:ural)?\\b|\\b(?:plus|minus)\\s+${NUM}\\b|\\+\\s?\\d`, 'i');
+// Seconds before a loose roll to look for the DM asking for one
+const CALL_WINDOW_SEC = 30;
+
+const SUCCESS_RESPONSE = /\b(?:that hits|it hits|you hit(?! points)|you succeed|succeeds|success|you make it|you pass|passes|that works)\b/i;
+const FAILURE_RESPONSE = /\b(?:miss(?:es)?|you fail|fails|failure|doesn'?t hit|does not hit|not enough)\b/i;
+
+// Seconds after a roll to look for the DM's verdict
+const RESPONSE_WINDOW_SEC = 20;
+
+/**
+ * Extract dice events from cues.
+ *
+ * @param {object[]} cues - [{ id, start, speaker, text }]
+ * @param {object} [options] - { dmName: speaker whose replies decide outcomes }
+ * @returns {object[]} Dice events in cue order
+ */
+export function extractDiceRolls(cues, options = {}) {
+  const dmName = options.dmName || null;
+  const events = [];
+
+  cues.forEach((cue, idx) => {
+    const event = matchRoll(cue, () => hasRollContext(cues, idx, dmName)) || matchCall(cue);
+    if (!event) return;
+
+    if (!event.call) {
+      Object.assign(event, guessOutcome(event, cues, idx, dmName));
+    }
+    events.push(event);
+  });
+
+  return events;
+}
+
+/**
+ * Short per-session summary: counts and the rolls worth a Short.
+ */
+export function summarizeDiceRolls(events) {
+  const rolls = events.filter(e => !e.call);
+  return {
+    total: rolls.length,
+    nat20s: rolls.filter(e => e.natural === 20).length,
+    nat1s: rolls.filter(e => e.natural === 1).length,
+    calls: events.length - rolls.length,
+    notable: rolls.filter(isNotable).map(e => e.cueId),
+  };
+}
+
+/**
+ * Naturals and huge totals are the ones worth pointing out. A low total on
+ * its own isn't — only a natural 1 is a confirmed disaster.
+ */
+export function isNotable(event) {
+  if (event.call) return false;
+  if (event.natural) return true;
+  if (event.value === null) return false;
+  if (event.kind === 'damage') return event.value >= 30;
+  return event.value >= 25;
+}
+
+// ── Matching ──
+
+/**
+ * @param {object} cue
+ * @param {() => boolean} hasContext - Whether roll talk surrounds the cue
+ */
+function matchRoll(cue, hasContext) {
+  for (const pattern of PATTERNS) {
+    const m = cue.text.match(pattern.re);
+    if (!m) continue;
+
+    const numbers = m.slice(1).filter(g => g && toNumber(g) !== null);
+    const value = numbers.length > 0 ? toNumber(numbers[0]) : null;
+    if (value === null || value > 60) continue;
+    if (pattern.needsContext && !/^\d+$/.test(numbers[0]) && !hasContext()) continue;
+
+    const event = baseEvent(cue, pattern.kind);
+    event.value = value;
+
+    if (pattern.natural) {
+      event.natural = value === 20 ? 20 : 1;
+      event.kind = inferKind(cue.text);
+      event.skill = inferSkill(cue.text);
+    } else if (pattern.skill) {
+      const skill = m[2].toLowerCase();
+      event.skill = skill;
+      event.kind = /save|saving/i.test(m[3] || '') || skill === 'death' ? 'save' : 'check';
+    } else if (pattern.kind === 'unknown') {
+      event.kind = inferKind(cue.text);
+      event.skill = inferSkill(cue.text);
+    }
+    return event;
+  }
+  return null;
+}
+
+/**
+ * Roll talk in the cue itself, or a roll call from the DM (anyone, without
+ * a known DM) in the seconds before it.
+ */
+function hasRollContext(cues, idx, dmName) {
+  const cue = cues[idx];
+  if (ROLL_CONTEXT.test(cue.text)) return true;
+  for (let j = idx - 1; j >= 0 && cue.start - cues[j].start <= CALL_WINDOW_SEC; j--) {
+    if (dmName && cues[j].speaker !== dmName) continue;
+    if (matchCall(cues[j]) || /\broll\b/i.test(cues[j].text)) return true;
+  }
+  return false;
+}
+
+function matchCall(cue) {
+  for (const pattern of ROLL_CALLS) {
+    const m = cue.text.match(pattern.re);
+    if (!m) continue;
+
+    const event = baseEvent(cue, pattern.kind);
+    event.call = true;
+    if (pattern.skill) {
+      event.skill = m[1].toLowerCase();
+      event.kind = /save|saving/i.test(m[2] || '') ? 'save' : 'check';
+    }
+    return event;
+  }
+  return null;
+}
+
+function baseEvent(cue, kind) {
+  return {
+    cueId: cue.id,
+    time: cue.start,
+    speaker: cue.speaker || null,
+    text: cue.text,
+    kind,
+    skill: null,
+    value: null,
+    natural: null,
+    call: false,
+    outcome: 'unknown',
+    outcomeSource: null,
+  };
+}
+
+function inferKind(text) {
+  if (/\bto hit\b|\battack|\bhit\b/i.test(text)) return 'attack';
+  if (/\bdamage\b/i.test(text)) return 'damage';
+  if (/\bsav(?:e|ing throw)\b/i.test(text)) return 'save';
+  if (/\binitiative\b/i.test(text)) return 'initiative';
+  if (inferSkill(text) || /\bcheck\b/i.test(text)) return 'check';
+  return 'unknown';
+}
+
+function inferSkill(text) {
+  const m = text.match(new RegExp(`\\b${SKILL}\\b`, 'i'));
+  return m ? m[1].toLowerCase() : null;
+}
+
+function toNumber(token) {
+  const lower = token.toLowerCase();
+  if (/^\d+$/.test(lower)) return parseInt(lower, 10);
+  return NUMBER_WORDS[lower] ?? null;
+}
+
+// ── Outcome guessing ──
+
+function guessOutcome(event, cues, idx, dmName) {
+  if (event.natural === 20) return { outcome: 'critical', outcomeSource: 'natural' };
+  if (event.natural === 1) return { outcome: 'fumble', outcomeSource: 'natural' };
+  if (event.kind === 'damage' || event.kind === 'initiative') return {};
+
+  // The DM's (or anyone else's) next few lines usually say how it went
+  for (let j = idx + 1; j < cues.length && cues[j].start - event.time <= RESPONSE_WINDOW_SEC; j++) {
+    const reply = cues[j];
+    if (dmName ? reply.speaker !== dmName : reply.speaker === event.speaker) continue;
+    if (FAILURE_RESPONSE.test(reply.text)) return { outcome: 'failure', outcomeSource: 'response' };
+    if (SUCCESS_RESPONSE.test(reply.text)) return { outcome: 'success', outcomeSource: 'response' };
+  }
+
+  if (event.value >= 18) return { outcome: 'success', outcomeSource: 'value' };
+  if (event.value <= 6) return { outcome: 'failure', outcomeSource: 'value' };
+  return {};
+}
@@ -0,0 +1,195 @@
+/**
+ * Table-energy timeline — a per-second "how lively is the table" curve.
+ *
+ * Built from five signals, each smoothed over a sliding window and
+ * normalised against the session's own 95th percentile:
+ *   - density    — cues per window
+ *   - overlap    — seconds of two people talking at once
+ *   - speakers   — distinct voices in the window
+ *   - excitement — "!", laughter ("haha", "lol", "lmao") and gasps
+ *   - reactions  — short non-DM bursts right after long DM narration
+ *
+ * The curve drives candidate-window pre-selection in findHighlights and
+ * the sparkline on the plan screen.
+ */
+
+const WINDOW_SEC = 20;
+// DM narration this long followed by short replies counts as a reaction beat
+const NARRATION_SEC = 30;
+const REACTION_SEC = 20;
+const REACTION_MAX_CHARS = 25;
+
+const WEIGHTS = { density: 0.2, overlap: 0.15, speakers: 0.2, excitement: 0.25, reactions: 0.2 };
+
+const LAUGHTER = /\b(?:ha(?:ha)+|lol|lmao|rofl|hehe+)\b|\[laughter\]|\(laughs?\)/gi;
+const GASPS = /\b(?:oh my god|omg|what\?!|no way|holy \w+|oh no)\b/gi;
+
+/**
+ * Compute the energy curve.
+ *
+ * @param {object[]} cues - [{ start, end, speaker, text }]
+ * @param {object} [options] - { dmName }
+ * @returns {{ resolution: number, values: number[] }} One value (0–1) per second
+ */
+export function computeEnergy(cues, options = {}) {
+  const dmName = options.dmName || null;
+  const duration = Math.ceil(cues.reduce((max, c) => Math.max(max, c.end), 0));
+  if (duration === 0) return { resolution: 1, values: [] };
+
+  const raw = {
+    density: new Array(duration + 1).fill(0),
+    overlap: new Array(duration + 1).fill(0),
+    speakers: null,
+    excitement: new Array(duration + 1).fill(0),
+    reactions: new Array(duration + 1).fill(0),
+  };
+
+  for (const cue of cues) {
+    const sec = Math.floor(cue.start);
+    raw.density[sec] += 1;
+    const bangs = (cue.text.match(/!/g) || []).length;
+    const laughs = (cue.text.match(LAUGHTER) || []).length;
+    const gasps = (cue.text.match(GASPS) || []).length;
+    raw.excitement[sec] += Math.min(bangs, 3) + laughs * 2 + gasps * 2;
+  }
+
+  // Overlapping speech: a cue starting before the previous speaker's cue ended
+  for (let i = 1; i < cues.length; i++) {
+    const prev = cues[i - 1];
+    const cue = cues[i];
+    if (!cue.speaker || cue.speaker === prev.speaker) continue;
+    const overlap = Math.min(prev.end, cue.end) - cue.start;
+    if (overlap > 0) raw.overlap[Math.floor(cue.start)] += overlap;
+  }
+
+  raw.speakers = distinctSpeakersPerSecond(cues, duration);
+  if (dmName) markReactions(cues, dmName, raw.reactions);
+
+  const values = new Array(duration + 1).fill(0);
+  for (const [name, weight] of Object.entries(WEIGHTS)) {
+    const smoothed = name === 'speakers' ? raw.speakers : slidingSum(raw[name], WINDOW_SEC);
+    const scale = percentile(smoothed.filter(v => v > 0), 0.95) || 1;
+    for (let t = 0; t <= duration; t++) {
+      values[t] += weight * Math.min(smoothed[t] / scale, 1);
+    }
+  }
+
+  return { resolution: 1, values: values.map(v => Math.round(v * 100) / 100) };
+}
+
+/**
+ * Pick the highest-energy windows: repeatedly take the peak second, claim
+ * `windowSec` around it, and suppress anything within `windowSec` of it.
+ *
+ * @param {{ values: number[] }} energy - From computeEnergy()
+ * @param {object} [options] - { count, windowSec, minEnergy }
+ * @returns {{ start: number, end: number, peak: number, peakTime: number }[]} In time order
+ */
+export function selectEnergyWindows(energy, options = {}) {
+  const count = options.count || 10;
+  const windowSec = options.windowSec || 180;
+  const minEnergy = options.minEnergy ?? 0.15;
+  const values = energy?.values || [];
+
+  const suppressed = new Uint8Array(values.length);
+  const windows = [];
+  const order = values.map((v, t) => t).sort((a, b) => values[b] - values[a]);
+
+  for (const t of order) {
+    if (windows.length >= count || values[t] < minEnergy) break;
+    if (suppressed[t]) continue;
+
+    const start = Math.max(0, t - windowSec / 2);
+    const end = Math.min(values.length - 1, t + windowSec / 2);
+    windows.push({ start, end, peak: values[t], peakTime: t });
+
+    const from = Math.max(0, t - windowSec);
+    const to = Math.min(values.length - 1, t + windowSec);
+    for (let s = from; s <= to; s++) suppressed[s] = 1;
+  }
+
+  return windows.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Shrink a curve to at most `points` values (max of each bucket, so peaks
+ * survive) — for sparklines.
+ *
+ * @param {number[]} values
+ * @param {number} points
+ * @param {number} [from] - First second to include
+ * @param {number} [to] - Last second to include
+ */
+export function downsampleEnergy(values, points, from = 0, to = values.length - 1) {
+  const slice = values.slice(Math.max(0, Math.floor(from)), Math.min(values.length, Math.ceil(to) + 1));
+  if (slice.length <= points) return slice;
+
+  const bucket = slice.length / points;
+  const out = [];
+  for (let i = 0; i < points; i++) {
+    const chunk = slice.slice(Math.floor(i * bucket), Math.floor((i + 1) * bucket));
+    out.push(chunk.length ? Math.max(...chunk) : 0);
+  }
+  return out;
+}
+
+// ── Signals ──
+
+function distinctSpeakersPerSecond(cues, duration) {
+  const out = new Array(duration + 1).fill(0);
+  let lo = 0;
+  for (let t = 0; t <= duration; t++) {
+    const from = t - WINDOW_SEC / 2;
+    const to = t + WINDOW_SEC / 2;
+    while (lo < cues.length && cues[lo].end < from) lo++;
+    const speakers = new Set();
+    for (let i = lo; i < cues.length && cues[i].start <= to; i++) {
+      if (cues[i].speaker && cues[i].end >= from) speakers.add(cues[i].speaker);
+    }
+    out[t] = speakers.size;
+  }
+  return out;
+}
+
+/**
+ * After NARRATION_SEC+ of uninterrupted DM speech, every short non-DM
+ * line in the next REACTION_SEC counts as a reaction.
+ */
+function markReactions(cues, dmName, out) {
+  let blockStart = null;
+  for (let i = 0; i < cues.length; i++) {
+    const cue = cues[i];
+    if (cue.speaker === dmName) {
+      if (blockStart === null) blockStart = cue.start;
+      continue;
+    }
+    if (blockStart !== null && cues[i - 1].end - blockStart >= NARRATION_SEC) {
+      const narrationEnd = cues[i - 1].end;
+      for (let j = i; j < cues.length && cues[j].start - narrationEnd <= REACTION_SEC; j++) {
+        if (cues[j].speaker && cues[j].speaker !== dmName && cues[j].text.length <= REACTION_MAX_CHARS) {
+          out[Math.floor(cues[j].start)] += 1;
+        }
+      }
+    }
+    blockStart = null;
+  }
+}
+
+function slidingSum(arr, width) {
+  const out = new Array(arr.length).fill(0);
+  const half = Math.floor(width / 2);
+  let sum = 0;
+  for (let t = 0; t < arr.length + half; t++) {
+    if (t < arr.length) sum += arr[t];
+    if (t - width >= 0) sum -= arr[t - width];
+    const center = t - half;
+    if (center >= 0 && center < arr.length) out[center] = sum;
+  }
+  return out;
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
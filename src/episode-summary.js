@@ -0,0 +1,326 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createProvider, completeWithRetry } from './llm-provider.js';
+import { cuesExcludingSegments } from './segments.js';
+import { isNotable } from './dice-rolls.js';
+
+/**
+ * Episode summary and per-clip YouTube copy, written after highlights
+ * are found:
+ *
+ *   {
+ *     title, recap,                            // recap: paragraphs split by blank lines
+ *     whoDidWhat: [{ character, did }],
+ *     cliffhanger,
+ *     clips: [{ description, hashtags: [] }],  // same order as the highlights
+ *     source: 'llm' | 'heuristic'
+ *   }
+ *
+ * The LLM gets the gameplay part of the transcript (thinned out evenly
+ * when it's long, with the last stretch kept whole for the cliffhanger).
+ * Without a configured provider — or when the call fails — a plainer
+ * summary is put together from segments, dice rolls and the highlights.
+ *
+ * summaryMarkdown() renders session-data/summary.md; clipDescription()
+ * renders a segment's description.txt.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const PROMPT_PATH = join(__dirname, '..', 'prompts', 'episode-summary.md');
+
+const EXCLUDED_SEGMENTS = ['pre-session-banter', 'recap', 'break', 'wrap-up'];
+// Transcript budget for the summary prompt (~15k tokens)
+const MAX_TRANSCRIPT_CHARS = 60000;
+// The session's last lines are always sent whole (that's where the cliffhanger is)
+const TAIL_LINES = 60;
+const MAX_DESCRIPTION_CHARS = 200;
+const MAX_HASHTAGS = 6;
+const ALWAYS_HASHTAGS = ['#dnd', '#shorts'];
+
+const TYPE_HASHTAGS = {
+  epic_roll: ['#nat20', '#criticalhit'],
+  funny_banter: ['#dndfunny', '#dndmemes'],
+  dramatic_reveal: ['#plottwist', '#dndstory'],
+  combat_climax: ['#dndcombat', '#bossfight'],
+  treasure_reward: ['#loot', '#dndtreasure'],
+  atmosphere_dread: ['#dndhorror', '#dungeonmaster'],
+  character_moment: ['#roleplay', '#dndcharacters'],
+  table_chaos: ['#dndfunny', '#ttrpg'],
+};
+
+/**
+ * Write the episode summary and clip copy.
+ *
+ * @param {object} session - Parsed session
+ * @param {object[]} highlights - Final highlights (ranked)
+ * @param {object} [options] - { provider, model, apiKey, cassette, mode, userContext }
+ * @returns {Promise<object>} See the module comment
+ */
+export async function summarizeEpisode(session, highlights, options = {}) {
+  const mode = options.mode || process.env.HIGHLIGHT_MODE || 'auto';
+  let provider = null;
+  if (mode !== 'heuristic') {
+    try {
+      provider = createProvider(options);
+    } catch (err) {
+      // The summary is extra — a provider problem shouldn't fail the analysis
+      console.warn(`\n${err.message}`);
+    }
+  }
+
+  if (!provider || !provider.configured) {
+    console.log('\nWriting episode summary from the session data (no LLM).');
+    return summarizeHeuristic(session, highlights);
+  }
+
+  const systemPrompt = readFileSync(PROMPT_PATH, 'utf-8');
+  const userMessage = buildSummaryMessage(session, highlights, options.userContext);
+
+  console.log(`\nWriting episode summary with ${provider.name} (~${Math.round(userMessage.length / 4 / 1000)}k tokens)...`);
+  try {
+    const { text } = await completeWithRetry(provider, {
+      system: systemPrompt,
+      user: userMessage,
+      maxTokens: 2048,
+      purpose: 'summary',
+    });
+    return normalizeSummary(parseSummary(text, provider), session, highlights);
+  } catch (err) {
+    console.error(`  Episode summary failed: ${err.message} — falling back to the session data`);
+    return summarizeHeuristic(session, highlights);
+  }
+}
+
+/**
+ * session-data/summary.md
+ */
+export function summaryMarkdown(summary, session, highlights) {
+  const lines = [
+    `# ${summary.title}`,
+    '',
+    `*${session.sessionFile} · ${session.duration}*`,
+    '',
+    '## Recap',
+    '',
+    summary.recap,
+    '',
+  ];
+
+  if (summary.whoDidWhat.length > 0) {
+    lines.push('## Who Did What', '');
+    for (const w of summary.whoDidWhat) lines.push(`- **${w.character}** — ${w.did}`);
+    lines.push('');
+  }
+
+  if (summary.cliffhanger) {
+    lines.push('## Where We Left Off', '', summary.cliffhanger, '');
+  }
+
+  if (highlights.length > 0) {
+    lines.push('## Clips', '');
+    highlights.forEach((h, i) => {
+      const clip = summary.clips[i] || {};
+      lines.push(`${i + 1}. **${h.title}** (${formatTime(h.startTime)}–${formatTime(h.endTime)})`);
+      if (clip.description) lines.push(`   ${clip.description}`);
+      if (clip.hashtags?.length) lines.push(`   ${clip.hashtags.join(' ')}`);
+    });
+    lines.push('');
+  }
+
+  if (summary.source === 'heuristic') {
+    lines.push('---', '*Written from the session data without an LLM — edit before publishing.*', '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * A segment's description.txt: the description, then the hashtags.
+ */
+export function clipDescription(highlight) {
+  const description = highlight.description || highlight.contextForViewers || highlight.title;
+  const hashtags = highlight.hashtags?.length ? highlight.hashtags : ALWAYS_HASHTAGS;
+  return `${description}\n\n${hashtags.join(' ')}\n`;
+}
+
+// ── Prompt ──
+
+function buildSummaryMessage(session, highlights, userContext) {
+  const cues = cuesExcludingSegments(session, EXCLUDED_SEGMENTS);
+  const lines = cues.map(c => `${formatTime(c.start)} ${c.speaker ? `${c.speaker}: ` : ''}${c.text}`);
+  const transcript = thinTranscript(lines);
+
+  const characters = session.speakers
+    .map(s => (s.role === 'dm' ? `  - ${s.name}: DM` : `  - ${s.name}: plays ${s.character || 'unknown'}`))
+    .join('\n');
+  const clips = highlights.map((h, i) =>
+    `### clip${i + 1} — ${h.type}: ${h.title}\n` +
+    `Time: ${formatTime(h.startTime)}–${formatTime(h.endTime)}\n` +
+    (h.contextForViewers ? `Context for viewers: ${h.contextForViewers}\n` : '') +
+    (h.keyDialogue ? `Key dialogue: ${h.keyDialogue}\n` : '')
+  ).join('\n');
+
+  let message = `## Session
+File: ${session.sessionFile}
+Duration: ${session.duration}
+
+## Table
+${characters || '  (No speaker identification available)'}
+`;
+
+  if (userContext) {
+    message += `
+## DM Notes
+${userContext}
+`;
+  }
+
+  return message + `
+## Clips
+${clips || '(none)'}
+
+## Transcript (gameplay only${transcript.thinned ? ', thinned out — "…" marks skipped lines' : ''})
+Each line: MM:SS Speaker: Text
+
+${transcript.text}
+`;
+}
+
+/**
+ * Fit transcript lines into the budget: the last TAIL_LINES whole, an
+ * even sample of everything before.
+ */
+function thinTranscript(lines) {
+  const full = lines.join('\n');
+  if (full.length <= MAX_TRANSCRIPT_CHARS) return { text: full, thinned: false };
+
+  const tail = lines.slice(-TAIL_LINES);
+  const head = lines.slice(0, -TAIL_LINES);
+  const budget = MAX_TRANSCRIPT_CHARS - tail.join('\n').length;
+  const headChars = head.join('\n').length || 1;
+  const stride = Math.max(1, Math.ceil(headChars / Math.max(budget, 1)));
+
+  const sampled = [];
+  for (let i = 0; i < head.length; i += stride) {
+    sampled.push(head[i]);
+    if (stride > 1) sampled.push('…');
+  }
+  return { text: [...sampled, ...tail].join('\n'), thinned: true };
+}
+
+function parseSummary(responseText, provider) {
+  let jsonStr = responseText;
+  const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (jsonMatch) {
+    jsonStr = jsonMatch[1];
+  }
+
+  try {
+    return JSON.parse(jsonStr.trim());
+  } catch (e) {
+    throw new Error(`${provider.name} returned non-JSON episode summary: ${e.message}`);
+  }
+}
+
+/**
+ * Fill gaps in the LLM's answer from the heuristic summary, and clean up
+ * descriptions and hashtags.
+ */
+function normalizeSummary(raw, session, highlights) {
+  const fallback = summarizeHeuristic(session, highlights);
+  const byId = new Map((Array.isArray(raw.clips) ? raw.clips : []).map(c => [String(c?.id), c]));
+
+  return {
+    title: text(raw.title) || fallback.title,
+    recap: text(raw.recap) || fallback.recap,
+    whoDidWhat: Array.isArray(raw.whoDidWhat)
+      ? raw.whoDidWhat.filter(w => text(w?.character) && text(w?.did)).map(w => ({ character: w.character.trim(), did: w.did.trim() }))
+      : fallback.whoDidWhat,
+    cliffhanger: text(raw.cliffhanger) || fallback.cliffhanger,
+    clips: highlights.map((h, i) => {
+      const clip = byId.get(`clip${i + 1}`);
+      return {
+        description: truncate(text(clip?.description) || fallback.clips[i].description),
+        hashtags: normalizeHashtags(Array.isArray(clip?.hashtags) ? clip.hashtags : fallback.clips[i].hashtags),
+      };
+    }),
+    source: 'llm',
+  };
+}
+
+// ── Heuristic ──
+
+function summarizeHeuristic(session, highlights) {
+  const combat = session.segments.filter(s => s.type === 'combat');
+  const rolls = (session.diceRolls || []).filter(r => !r.call);
+  const nat20s = rolls.filter(r => r.natural === 20);
+  const nat1s = rolls.filter(r => r.natural === 1);
+  const inOrder = [...highlights].sort((a, b) => a.startTime - b.startTime);
+
+  const counts = [
+    [combat.length, 'combat encounter'],
+    [nat20s.length, 'natural 20'],
+    [nat1s.length, 'natural 1'],
+  ].filter(([n]) => n > 0).map(([n, what]) => `${n} ${what}${n === 1 ? '' : 's'}`);
+  const paragraphs = [`A ${session.duration} session${counts.length > 0 ? `: ${counts.join(', ')}` : ''}.`];
+  if (inOrder.length > 0) {
+    paragraphs.push(inOrder.map(h => `At ${formatTime(h.startTime)}, ${h.title}${h.contextForViewers ? ` — ${h.contextForViewers.replace(/([^.!?…])$/, '$1.')}` : '.'}`).join(' '));
+  }
+
+  const whoDidWhat = session.speakers
+    .filter(s => s.role !== 'dm' && s.character && !/^(?:dm|gm)$/i.test(s.character))
+    .map(s => {
+      const mine = rolls.filter(r => r.speaker === s.name && isNotable(r));
+      const featured = highlights.filter(h => speakersIn(session, h).has(s.name)).map(h => `"${h.title}"`);
+      const parts = [];
+      if (mine.length > 0) parts.push(`${mine.length} big roll${mine.length === 1 ? '' : 's'} (${mine.slice(0, 3).map(r => (r.natural ? `nat ${r.natural}` : r.value)).join(', ')})`);
+      if (featured.length > 0) parts.push(`in ${featured.join(', ')}`);
+      return parts.length > 0 ? { character: s.character, did: `${parts.join('; ')}.` } : null;
+    })
+    .filter(Boolean);
+
+  const dmName = session.speakers.find(s => s.role === 'dm')?.name;
+  const gameplay = cuesExcludingSegments(session, EXCLUDED_SEGMENTS);
+  const lastDmLine = [...gameplay].reverse().find(c => dmName && c.speaker === dmName && c.text.length > 20);
+
+  return {
+    title: highlights[0]?.title || session.sessionFile.replace(/\.[^.]+$/, ''),
+    recap: paragraphs.join('\n\n'),
+    whoDidWhat,
+    cliffhanger: lastDmLine ? `Last word from the DM: "${truncate(lastDmLine.text)}"` : '',
+    clips: highlights.map(h => ({
+      description: truncate(h.contextForViewers || h.whyItsGood || h.title),
+      hashtags: normalizeHashtags(TYPE_HASHTAGS[h.type] || []),
+    })),
+    source: 'heuristic',
+  };
+}
+
+function speakersIn(session, h) {
+  return new Set(session.cues.filter(c => c.start >= h.startTime && c.end <= h.endTime).map(c => c.speaker));
+}
+
+// ── Helpers ──
+
+function normalizeHashtags(tags) {
+  const cleaned = tags
+    .map(t => String(t).trim().replace(/\s+/g, '').replace(/^#*/, '#').toLowerCase())
+    .filter(t => t.length > 1 && !ALWAYS_HASHTAGS.includes(t));
+  return [...new Set(cleaned)].slice(0, MAX_HASHTAGS - ALWAYS_HASHTAGS.length).concat(ALWAYS_HASHTAGS);
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function truncate(str) {
+  return str.length > MAX_DESCRIPTION_CHARS ? str.substring(0, MAX_DESCRIPTION_CHARS - 1).trimEnd() + '…' : str;
+}
+
+function formatTime(sec) {
+  const mins = Math.floor((sec || 0) / 60);
+  const secs = Math.floor((sec || 0) % 60);
+  return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
@@ -21,6 +21,7 @@ import { execSync } from 'child_process';
  * @param {boolean} opts.mov       - Export ProRes 4444 MOV (default: false, slower)
  * @param {boolean} opts.mp4       - Export MP4 on black background (default: true)
  * @param {boolean} opts.bounce    - Capture bounce (forward + reverse) (default: auto-detect)
+ * @param {number} opts.fontSize   - Stage font size in px (default: 28, sized for 1080 wide)
  */
 export async function exportAnimation(htmlPath, outDir, opts = {}) {
   const fps = opts.fps || 5;
@@ -30,6 +31,7 @@ export async function exportAnimation(htmlPath, outDir, opts = {}) {
   const exportWebm = opts.webm ?? true;
   const exportMov = opts.mov ?? false;
   const exportMp4 = opts.mp4 ?? true;
+  const fontSize = opts.fontSize || 28;
 
   const absHtml = resolve(htmlPath);
   const framesDir = join(outDir, 'frames');
@@ -101,7 +103,7 @@ export async function exportAnimation(htmlPath, outDir, opts = {}) {
   });
 
   // ── Hide controls, center the stage ──
-  await page.evaluate(() => {
+  await page.evaluate((fontSize) => {
     // Hide all controls
     document.querySelectorAll('.controls, .mode-toggle, h1').forEach(el => {
       el.style.display = 'none';
@@ -124,12 +126,12 @@ export async function exportAnimation(htmlPath, outDir, opts = {}) {
     stage.style.background = 'transparent';
 
     // Scale up the font for video resolution
-    stage.style.fontSize = '28px';
+    stage.style.fontSize = `${fontSize}px`;
 
     document.body.style.margin = '0';
     document.body.style.padding = '0';
     document.body.style.overflow = 'hidden';
-  });
+  }, fontSize);
 
   await new Promise(r => setTimeout(r, 300));
 
@@ -1,7 +1,17 @@
-import Anthropic from '@anthropic-ai/sdk';
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { findHighlightsHeuristic } from './heuristic-highlights.js';
+import { createProvider, completeWithRetry } from './llm-provider.js';
+import { cuesExcludingSegments } from './segments.js';
+import { isNotable } from './dice-rolls.js';
+import { computeEnergy, selectEnergyWindows } from './energy.js';
+import { planChunks, transcriptCoverage } from './chunking.js';
+import { judgeHighlights } from './highlight-judge.js';
+import { validateHighlights, describeErrors } from './validate-highlights.js';
+import { refineBoundaries, boundaryOptions } from './refine-boundaries.js';
+import { memoryHeader, deprioritizePublished } from './campaign-memory.js';
+import { normalizeHighlightOptions, allowedTypes, highlightRequirements, filterHighlights, matchesHighlightOptions } from './highlight-options.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -15,32 +25,111 @@ const MAX_INPUT_TOKENS = 20000;
 const MAX_TRANSCRIPT_TOKENS = MAX_INPUT_TOKENS - 4000;
 const MAX_TRANSCRIPT_CHARS = MAX_TRANSCRIPT_TOKENS * CHARS_PER_TOKEN;
 
+// Segment types left out of the transcript by default (see segments.js)
+const DEFAULT_EXCLUDED_SEGMENTS = ['pre-session-banter', 'recap', 'break', 'wrap-up'];
+// Combat encounters are where most shareable moments happen
+const DEFAULT_COMBAT_WEIGHT = 1.5;
+// Dice rolls listed in the prompt header (notable ones first)
+const MAX_HEADER_ROLLS = 25;
+// Energy pre-selection for long transcripts: keep the liveliest windows,
+// up to this many chunks' worth of transcript
+const PRESELECT_WINDOW_SEC = 180;
+const MAX_PRESELECT_CHUNKS = 3;
+// Re-prompts with validation errors before giving up on broken highlights
+const MAX_REPAIR_PROMPTS = 1;
+// How much of the broken answer is echoed back in a re-prompt
+const MAX_REPAIR_ECHO_CHARS = 12000;
+
 /**
- * Find highlight moments in a parsed D&D session using Claude.
+ * Find highlight moments in a parsed D&D session using Claude
+ * (or whichever LLM provider is configured — see llm-provider.js).
+ *
+ * For large transcripts (>20K tokens), first keeps only the highest
+ * table-energy windows (see energy.js; `preselect: false` to disable),
+ * then drops quiet stretches and splits the rest into chunks at
+ * low-activity points (see chunking.js), sends each chunk separately,
+ * then merges and deduplicates results and has a judge pass rank the
+ * candidates globally (see highlight-judge.js; `judge: false` to skip).
+ *
+ * Modes:
+ *   - 'claude'    — always call the LLM (fails if the provider isn't configured)
+ *   - 'heuristic' — score cue windows locally, no network (heuristic-highlights.js)
+ *   - 'auto'      — LLM when the provider is configured, heuristic otherwise (default)
+ *
+ * Only cues outside `excludeSegments` are analyzed (default: banter,
+ * recap, breaks and wrap-up). Combat segments are weighted by
+ * `combatWeight` (default 1.5, or COMBAT_WEIGHT): the heuristic scales
+ * window scores, the LLM is told to favour combat, and merged chunk
+ * results are re-ranked with it.
+ *
+ * `count`, `includeTypes`, `excludeTypes`, `minDuration` and `maxDuration`
+ * (see highlight-options.js) go into the prompt and filter the results.
  *
- * For large transcripts (>20K tokens), splits into overlapping chunks
- * and sends each chunk separately, then merges and deduplicates results.
+ * Clip in/out points are then refined (see refine-boundaries.js): snapped
+ * to cue edges, extended over the setup line and reaction tail, and padded
+ * by `preRoll` / `postRoll` seconds. The finder's own times are kept as
+ * rawStartTime / rawEndTime.
+ *
+ * `memory` (see campaign-memory.js, loaded by the caller) adds past
+ * sessions, returning names, running gags and already-published moments
+ * to the prompt; highlights that repeat a published one are ranked last.
+ * `memoryKey` is this session's own key, so a re-analysis doesn't see
+ * itself as the past.
+ *
+ * `onCoverage` is called with how much of the analyzed transcript was
+ * sent to the LLM (see transcriptCoverage in chunking.js).
  *
  * @param {object} session - Parsed session data from parse-vtt.js
- * @param {object} options - { apiKey, model, userContext }
+ * @param {object} options - { provider, apiKey, model, userContext, mode,
+ *   excludeSegments, combatWeight, preselect, judge, onCoverage, count,
+ *   includeTypes, excludeTypes, minDuration, maxDuration, preRoll, postRoll,
+ *   memory, memoryKey }
  * @returns {object[]} Array of highlight objects
  */
 export async function findHighlights(session, options = {}) {
-  const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
   const userContext = options.userContext || '';
-  if (!apiKey) {
-    throw new Error('ANTHROPIC_API_KEY is required. Set it in .env or pass via options.');
+  const mode = options.mode || process.env.HIGHLIGHT_MODE || 'auto';
+  // Heuristic mode never touches the provider, so a bad LLM_PROVIDER can't break it
+  const provider = mode === 'heuristic' ? null : createProvider(options);
+
+  const excludeSegments = options.excludeSegments || DEFAULT_EXCLUDED_SEGMENTS;
+  const combatWeight = options.combatWeight ?? (parseFloat(process.env.COMBAT_WEIGHT) || DEFAULT_COMBAT_WEIGHT);
+  const targets = normalizeHighlightOptions(options);
+  const boundaries = { ...boundaryOptions(options), maxDuration: targets.maxDuration };
+  const refine = highlights => highlights.map(h => refineBoundaries(h, session, boundaries));
+  const memory = options.memory || null;
+  const fresh = highlights => deprioritizePublished(highlights, memory, session, options.memoryKey);
+  // Ask for spares when some picks may turn out to be repeats
+  const spares = memory?.published.length > 0 ? targets.count : 0;
+
+  // Gameplay + combat cues only (skip banter, recap, breaks, wrap-up)
+  const gameplayCues = cuesExcludingSegments(session, excludeSegments);
+
+  if (mode === 'heuristic' || (mode === 'auto' && !provider.configured)) {
+    if (mode === 'auto') {
+      console.log(`\n${provider.configError} Using offline heuristic highlight finder.`);
+    } else {
+      console.log('\nUsing offline heuristic highlight finder.');
+    }
+    const highlights = findHighlightsHeuristic(session, gameplayCues, {
+      userContext,
+      combatWeight,
+      count: Math.min(targets.count + spares, 10),
+      types: allowedTypes(targets),
+      minDuration: targets.minDuration,
+      maxDuration: targets.maxDuration,
+    });
+    if (highlights.length === 0) {
+      throw new Error('Heuristic finder found no scoring moments. The transcript may be too short or lack reaction signals.');
+    }
+    return refine(filterHighlights(fresh(highlights), targets));
   }
 
-  const model = options.model || 'claude-sonnet-4-20250514';
-  const systemPrompt = readFileSync(PROMPT_PATH, 'utf-8');
+  if (!provider.configured) {
+    throw new Error(provider.configError);
+  }
 
-  // Build the transcript payload for Claude
-  // Include session metadata + gameplay cues only (skip pre-session banter)
-  const gameplaySegment = session.segments.find(s => s.type === 'gameplay');
-  const gameplayCues = gameplaySegment
-    ? session.cues.filter(c => c.id >= gameplaySegment.startCue && c.id <= gameplaySegment.endCue)
-    : session.cues;
+  const systemPrompt = readFileSync(PROMPT_PATH, 'utf-8');
 
   const speakerSummary = session.speakers.length > 0
     ? session.speakers.map(s => {
@@ -49,7 +138,8 @@ export async function findHighlights(session, options = {}) {
       }).join('\n')
     : '  (No speaker identification available — this is an auto-caption transcript)';
 
-  const sessionHeader = buildSessionHeader(session, gameplayCues, speakerSummary, userContext);
+  const sessionHeader = buildSessionHeader(session, gameplayCues, speakerSummary, userContext, combatWeight, targets,
+    memoryHeader(memory, session, options.memoryKey));
 
   // Format all cue lines
   const cueLines = gameplayCues.map(c => formatCueLine(c));
@@ -60,43 +150,70 @@ export async function findHighlights(session, options = {}) {
 
   if (fullTranscript.length <= availableChars) {
     // Small enough to send in one request
-    console.log(`\nSending ${gameplayCues.length} cues to Claude (${model})...`);
+    console.log(`\nSending ${gameplayCues.length} cues to ${provider.name} (${provider.model})...`);
     console.log(`Estimated tokens: ~${Math.round((sessionHeader.length + fullTranscript.length) / CHARS_PER_TOKEN / 1000)}k`);
 
-    const userMessage = sessionHeader + `\n## Transcript (gameplay section only)\nEach line: [cueId] MM:SS Speaker: Text\n\n${fullTranscript}`;
-    const highlights = await callClaudeWithRetry(apiKey, model, systemPrompt, userMessage);
-    return highlights;
+    options.onCoverage?.({ ...transcriptCoverage(gameplayCues, gameplayCues, formatCueLine), chunks: 1, droppedStretches: 0 });
+
+    const userMessage = sessionHeader + `\n## Transcript (gameplay and combat only)\nEach line: [cueId] MM:SS Speaker: Text\n\n${fullTranscript}`;
+    const highlights = filterHighlights(fresh(await callClaudeWithRetry(provider, systemPrompt, userMessage, session)), targets);
+    if (highlights.length === 0) {
+      throw new Error('No highlights matched the requested moment types and clip durations.');
+    }
+    return refine(highlights);
   }
 
-  // Large transcript — split into chunks with overlap
+  // Large transcript — keep the high-energy stretches, then chunk at quiet points
   console.log(`\nTranscript too large for single request (${fullTranscript.length} chars, limit ${availableChars}).`);
+
+  const dmName = session.speakers.find(s => s.role === 'dm')?.name;
+  const energy = session.energy || computeEnergy(session.cues, { dmName });
+
+  const preselected = options.preselect === false
+    ? gameplayCues
+    : preselectByEnergy(energy, gameplayCues, availableChars * MAX_PRESELECT_CHUNKS);
   console.log(`Splitting into chunks...`);
 
-  const chunks = chunkCueLines(cueLines, availableChars);
-  console.log(`Split into ${chunks.length} chunks.`);
+  const notableRolls = new Set((session.diceRolls || []).filter(isNotable).map(r => r.cueId));
+  const plan = planChunks(preselected, {
+    maxChars: availableChars,
+    formatLine: formatCueLine,
+    energy: energy.values,
+    signalCueIds: notableRolls,
+  });
+  const chunks = plan.chunks;
+  const coverage = {
+    ...transcriptCoverage(gameplayCues, plan.cues, formatCueLine),
+    chunks: chunks.length,
+    droppedStretches: plan.droppedStretches,
+  };
+  options.onCoverage?.(coverage);
+  console.log(`Split into ${chunks.length} chunks (${plan.droppedStretches} quiet stretches dropped).`);
+  console.log(`Sending ${coverage.sentCues} of ${coverage.totalCues} cues — ${coverage.percent}% of speaking time, ~${Math.round(coverage.sentChars / CHARS_PER_TOKEN / 1000)}k of ~${Math.round(coverage.totalChars / CHARS_PER_TOKEN / 1000)}k tokens.`);
 
   const allHighlights = [];
+  // Replays make no real calls, so there's no rate limit to wait for
+  const replaying = options.cassette?.mode === 'replay';
 
   for (let ci = 0; ci < chunks.length; ci++) {
     const chunk = chunks[ci];
     const chunkHeader = sessionHeader +
       `\n## Transcript — Chunk ${ci + 1} of ${chunks.length}\n` +
       `This is part ${ci + 1} of a longer transcript. Find the best moments in THIS section.\n` +
+      (plan.cues.length < gameplayCues.length ? 'Only the liveliest stretches of the session are included — jumps in the timestamps are quieter play that was left out.\n' : '') +
       `Each line: [cueId] MM:SS Speaker/Text\n\n`;
     const userMessage = chunkHeader + chunk.text;
 
     console.log(`\n  Chunk ${ci + 1}/${chunks.length}: cues ${chunk.startId}-${chunk.endId} (~${Math.round(userMessage.length / CHARS_PER_TOKEN / 1000)}k tokens)`);
 
     // Wait between chunks to respect rate limits
-    if (ci > 0) {
-      const waitSec = 65; // wait just over a minute between chunks
-      console.log(`  Waiting ${waitSec}s for rate limit reset...`);
-      await sleep(waitSec * 1000);
+    if (ci > 0 && !replaying) {
+      await waitForRateLimit(chunks[ci - 1].text.length, availableChars);
     }
 
     try {
-      const highlights = await callClaudeWithRetry(apiKey, model, systemPrompt, userMessage);
-      allHighlights.push(...highlights);
+      const highlights = await callClaudeWithRetry(provider, systemPrompt, userMessage, session);
+      allHighlights.push(...highlights.map(h => ({ ...h, chunk: ci + 1, chunkRank: h.rank ?? null })));
       console.log(`  Found ${highlights.length} highlights in chunk ${ci + 1}`);
     } catch (err) {
       console.error(`  Chunk ${ci + 1} failed: ${err.message}`);
@@ -108,72 +225,156 @@ export async function findHighlights(session, options = {}) {
     throw new Error('No highlights found in any chunk. The transcript may not contain recognizable D&D moments.');
   }
 
-  // Deduplicate and pick top 3
-  const deduped = deduplicateHighlights(allHighlights);
-  const top3 = deduped.slice(0, 3).map((h, i) => ({ ...h, rank: i + 1 }));
+  const matching = allHighlights.filter(h => matchesHighlightOptions(h, targets));
+  if (matching.length === 0) {
+    throw new Error('No highlights matched the requested moment types and clip durations.');
+  }
+  if (matching.length < allHighlights.length) {
+    console.log(`  Dropped ${allHighlights.length - matching.length} candidates outside the requested types/durations`);
+  }
 
-  console.log(`\nFinal: ${top3.length} highlights selected from ${allHighlights.length} candidates.`);
-  return top3;
+  // Deduplicate, then let the judge rank what's left across chunks
+  let ranked = deduplicateHighlights(weightCombat(matching, session, combatWeight));
+  if (options.judge !== false && ranked.length > 1) {
+    if (!replaying) await waitForRateLimit(chunks[chunks.length - 1].text.length, availableChars);
+    try {
+      ranked = await judgeHighlights(provider, ranked, session, { userContext, combatWeight });
+    } catch (err) {
+      console.error(`  Judge pass failed: ${err.message} — keeping chunk ranking`);
+    }
+  }
+  const top = fresh(ranked).slice(0, targets.count).map((h, i) => ({ ...h, rank: i + 1 }));
+
+  console.log(`\nFinal: ${top.length} highlights selected from ${allHighlights.length} candidates.`);
+  return refine(top);
+}
+
+/**
+ * Keep cues inside the highest-energy windows, best window first, until
+ * `budgetChars` of transcript lines are used. Returned in time order.
+ */
+function preselectByEnergy(energy, cues, budgetChars) {
+  const windows = selectEnergyWindows(energy, { count: 60, windowSec: PRESELECT_WINDOW_SEC })
+    .sort((a, b) => b.peak - a.peak);
+  if (windows.length === 0) return cues;
+
+  const kept = new Set();
+  let used = 0;
+  let windowCount = 0;
+  for (const w of windows) {
+    const inWindow = cues.filter(c => !kept.has(c.id) && c.end >= w.start && c.start <= w.end);
+    const chars = inWindow.reduce((sum, c) => sum + formatCueLine(c).length + 1, 0);
+    if (used + chars > budgetChars && windowCount > 0) break;
+    inWindow.forEach(c => kept.add(c.id));
+    used += chars;
+    windowCount++;
+  }
+
+  const selected = cues.filter(c => kept.has(c.id));
+  const coveredSec = selected.reduce((sum, c) => sum + (c.end - c.start), 0);
+  const totalSec = cues.reduce((sum, c) => sum + (c.end - c.start), 0);
+  console.log(`Energy pre-selection: kept ${selected.length} of ${cues.length} cues in ${windowCount} windows (${Math.round((coveredSec / (totalSec || 1)) * 100)}% of speaking time).`);
+  return selected.length > 0 ? selected : cues;
 }
 
 /**
- * Call Claude with retry + exponential backoff for rate limits.
+ * Call the LLM (retry + backoff handled by the provider layer), parse the
+ * highlight JSON out of the response and validate it against the session
+ * (see validate-highlights.js). What can't be repaired is sent back with
+ * the specific errors, up to MAX_REPAIR_PROMPTS times; highlights that are
+ * still broken after that are dropped.
  */
-async function callClaudeWithRetry(apiKey, model, systemPrompt, userMessage, maxRetries = 3) {
-  const client = new Anthropic({ apiKey });
+async function callClaudeWithRetry(provider, systemPrompt, userMessage, session) {
+  let prompt = userMessage;
+  let purpose = 'highlights';
+  let best = [];
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+  for (let attempt = 0; ; attempt++) {
+    let responseText;
     try {
-      const response = await client.messages.create({
-        model,
-        max_tokens: 4096,
+      ({ text: responseText } = await completeWithRetry(provider, {
         system: systemPrompt,
-        messages: [{ role: 'user', content: userMessage }],
-      });
-
-      const responseText = response.content
-        .filter(block => block.type === 'text')
-        .map(block => block.text)
-        .join('');
-
-      // Try to parse JSON — Claude might wrap it in ```json``` blocks
-      let jsonStr = responseText;
-      const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
-      if (jsonMatch) {
-        jsonStr = jsonMatch[1];
+        user: prompt,
+        maxTokens: 4096,
+        purpose,
+      }));
+    } catch (err) {
+      // A failed repair prompt still leaves the highlights that validated
+      if (attempt > 0 && best.length > 0) {
+        console.error(`  Repair prompt failed (${err.message}) — keeping ${best.length} valid highlight(s)`);
+        return best;
       }
+      throw err;
+    }
 
-      try {
-        const highlights = JSON.parse(jsonStr.trim());
-        return Array.isArray(highlights) ? highlights : [highlights];
-      } catch (e) {
-        console.error('Failed to parse Claude response as JSON:');
-        console.error(responseText.substring(0, 500));
-        throw new Error(`Claude returned non-JSON response: ${e.message}`);
-      }
-    } catch (err) {
-      // Check for rate limit error (429)
-      const isRateLimit = err.status === 429 ||
-        err.message?.includes('rate_limit') ||
-        err.message?.includes('429');
-
-      if (isRateLimit && attempt < maxRetries) {
-        // Parse retry-after header or use exponential backoff
-        const waitSec = Math.min(60 * attempt, 180); // 60s, 120s, 180s
-        console.log(`  Rate limited (attempt ${attempt}/${maxRetries}). Waiting ${waitSec}s...`);
-        await sleep(waitSec * 1000);
-        continue;
+    let result;
+    try {
+      result = validateHighlights(parseJsonResponse(responseText), session);
+    } catch (e) {
+      console.error(`Failed to parse ${provider.name} response as JSON:`);
+      console.error(responseText.substring(0, 500));
+      if (attempt >= MAX_REPAIR_PROMPTS) {
+        if (best.length > 0) return best;
+        throw new Error(`${provider.name} returned non-JSON response: ${e.message}`);
       }
+      result = { highlights: [], errors: [{ title: '(all)', message: `the response was not a valid JSON array (${e.message})` }], repairs: [] };
+    }
 
-      throw err;
+    if (result.repairs.length > 0) {
+      console.log(`  Repaired ${result.repairs.length} highlight field(s): ${result.repairs.slice(0, 3).join('; ')}${result.repairs.length > 3 ? '; ...' : ''}`);
+    }
+    // A repaired answer wins, but highlights that were already valid aren't lost
+    // if the re-prompt left them out
+    best = attempt === 0 ? result.highlights : [
+      ...result.highlights,
+      ...best.filter(h => !result.highlights.some(r => h.startCue <= r.endCue && r.startCue <= h.endCue)),
+    ];
+    if (result.errors.length === 0) return best;
+
+    console.log(`  ${result.errors.length} highlight problem(s) the validator can't fix:\n${describeErrors(result.errors)}`);
+    if (attempt >= MAX_REPAIR_PROMPTS) {
+      if (best.length === 0) throw new Error(`${provider.name} returned no valid highlights: ${result.errors[0].message}`);
+      console.log(`  Dropping the broken highlight(s), keeping ${best.length}`);
+      return best;
     }
+
+    console.log(`  Re-prompting with the errors (attempt ${attempt + 2}/${MAX_REPAIR_PROMPTS + 1})...`);
+    purpose = 'highlights-repair';
+    prompt = userMessage + `
+
+## Your previous answer had problems
+${describeErrors(result.errors)}
+
+Your previous answer:
+\`\`\`json
+${responseText.substring(0, MAX_REPAIR_ECHO_CHARS)}
+\`\`\`
+
+Return the complete corrected JSON array — every highlight, not just the broken ones.
+`;
   }
 }
 
+/**
+ * Parse JSON out of an LLM response — Claude might wrap it in ```json``` blocks.
+ */
+function parseJsonResponse(responseText) {
+  let jsonStr = responseText;
+  const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (jsonMatch) {
+    jsonStr = jsonMatch[1];
+  }
+
+  const parsed = JSON.parse(jsonStr.trim());
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
 /**
  * Build the session header (everything before the transcript).
  */
-function buildSessionHeader(session, gameplayCues, speakerSummary, userContext) {
+function buildSessionHeader(session, gameplayCues, speakerSummary, userContext, combatWeight = 1, targets = null, memorySection = '') {
+  const combat = session.segments.filter(s => s.type === 'combat');
+
   let header = `## Session Info
 File: ${session.sessionFile}
 Duration: ${session.duration}
@@ -187,6 +388,19 @@ ${speakerSummary}
 ${session.segments.map(s => `  - ${s.type}: ${Math.floor(s.startTime / 60)}m → ${Math.floor(s.endTime / 60)}m`).join('\n')}
 `;
 
+  const diceSection = buildDiceSection(session, gameplayCues);
+  if (diceSection) header += diceSection;
+
+  if (combat.length > 0 && combatWeight > 1) {
+    header += `
+Combat encounters are where the best clips usually are. When two moments are otherwise close, prefer the one inside a combat segment.
+`;
+  }
+
+  if (targets) header += highlightRequirements(targets);
+
+  if (memorySection) header += memorySection;
+
   if (userContext) {
     header += `
 ## DM Notes (what the DM thinks was important)
@@ -199,6 +413,35 @@ Pay special attention to these notes — the DM knows what mattered. Prioritize
   return header;
 }
 
+/**
+ * "## Dice Rolls" header section: rolls extracted by dice-rolls.js within
+ * the analyzed cues, notable ones (naturals, huge totals) first.
+ */
+function buildDiceSection(session, gameplayCues) {
+  const analyzed = new Set(gameplayCues.map(c => c.id));
+  const rolls = (session.diceRolls || []).filter(r => !r.call && analyzed.has(r.cueId));
+  if (rolls.length === 0) return '';
+
+  const notable = rolls.filter(isNotable);
+  const listed = [...notable, ...rolls.filter(r => !isNotable(r))]
+    .slice(0, MAX_HEADER_ROLLS)
+    .sort((a, b) => a.time - b.time);
+
+  const lines = listed.map(r => {
+    const mins = Math.floor(r.time / 60);
+    const secs = Math.floor(r.time % 60);
+    const roll = r.natural ? `nat ${r.natural}` : r.value;
+    const what = [r.skill, r.kind !== 'unknown' ? r.kind : null].filter(Boolean).join(' ');
+    const outcome = r.outcome !== 'unknown' ? ` → ${r.outcome}` : '';
+    return `  - [${r.cueId}] ${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')} ${r.speaker || 'Unknown'}: ${roll}${what ? ` (${what})` : ''}${outcome}`;
+  });
+
+  return `
+## Dice Rolls (detected from table talk — ${rolls.length} total, ${notable.length} notable)
+${lines.join('\n')}
+`;
+}
+
 /**
  * Format a cue line for the transcript.
  * Handles both speaker-identified and speaker-less formats.
@@ -216,49 +459,18 @@ function formatCueLine(cue) {
 }
 
 /**
- * Split cue lines into chunks that fit within the character limit.
- * Uses ~10% overlap between chunks so Claude doesn't miss moments at boundaries.
+ * Re-rank chunk results so moments inside combat segments count for more:
+ * a combat highlight's rank is divided by `combatWeight`.
  */
-function chunkCueLines(cueLines, maxChars) {
-  const chunks = [];
-  let startIdx = 0;
-
-  while (startIdx < cueLines.length) {
-    // Build chunk from startIdx
-    let endIdx = startIdx;
-    let charCount = 0;
-
-    while (endIdx < cueLines.length) {
-      const lineLen = cueLines[endIdx].length + 1; // +1 for newline
-      if (charCount + lineLen > maxChars && endIdx > startIdx) break;
-      charCount += lineLen;
-      endIdx++;
-    }
-
-    const chunkLines = cueLines.slice(startIdx, endIdx);
-    const text = chunkLines.join('\n');
-
-    // Extract start/end cue IDs from the bracket notation
-    const firstMatch = chunkLines[0]?.match(/^\[(\d+)\]/);
-    const lastMatch = chunkLines[chunkLines.length - 1]?.match(/^\[(\d+)\]/);
-
-    chunks.push({
-      text,
-      startId: firstMatch ? parseInt(firstMatch[1]) : startIdx,
-      endId: lastMatch ? parseInt(lastMatch[1]) : endIdx,
-    });
-
-    // Overlap: go back ~10% of the chunk so moments at boundaries aren't missed
-    const overlap = Math.floor((endIdx - startIdx) * 0.1);
-    startIdx = endIdx - overlap;
-
-    // But don't go backwards
-    if (startIdx <= chunks[chunks.length - 1]?.startId) {
-      startIdx = endIdx;
-    }
-  }
-
-  return chunks;
+function weightCombat(highlights, session, combatWeight) {
+  const combat = session.segments.filter(s => s.type === 'combat');
+  if (combat.length === 0 || combatWeight === 1) return highlights;
+
+  return highlights.map(h => {
+    const mid = ((h.startTime || 0) + (h.endTime || 0)) / 2;
+    const inCombat = combat.some(s => mid >= s.startTime && mid <= s.endTime);
+    return inCombat ? { ...h, rank: (h.rank || 99) / combatWeight } : h;
+  });
 }
 
 /**
@@ -295,6 +507,16 @@ function deduplicateHighlights(highlights) {
   return kept;
 }
 
+/**
+ * Wait between requests to respect rate limits — just over a minute after
+ * a full-size chunk, proportionally less after a smaller one.
+ */
+async function waitForRateLimit(previousChars, maxChars) {
+  const waitSec = Math.ceil(65 * Math.min(1, previousChars / maxChars));
+  console.log(`  Waiting ${waitSec}s for rate limit reset...`);
+  await sleep(waitSec * 1000);
+}
+
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -1,13 +1,25 @@
-import Anthropic from '@anthropic-ai/sdk';
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync, writeFileSync, mkdirSync, existsSync, unlinkSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { getAnimationHtml } from './library.js';
+import { createProvider, completeWithRetry } from './llm-provider.js';
+import { validateAnimationRuntime } from './validate-animation.js';
+import { scoreAnimation, describeScore } from './score-animation.js';
+import { exportAnimation } from './export-animation.js';
+import { parseSpec, validateSpec, compileSpec } from './animation-spec.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..');
 const MAIN_REPO = join(ROOT, '..', '..', '..'); // up to ascii-animation-skill root
 
+const DEFAULT_REPAIR_ROUNDS = 2;
+// Broken HTML echoed back in a repair prompt
+const MAX_REPAIR_HTML_CHARS = 60000;
+// Low-res preview export for candidates (a quarter of the 1080×1920 video)
+const PREVIEW_EXPORT = { fps: 5, width: 270, height: 480, fontSize: 7, webm: true, mp4: false };
+// What the model is asked for: raw player HTML, or a JSON spec compiled by animation-spec.js
+const FORMATS = ['html', 'spec'];
+
 // Skill docs paths (try worktree first, then main repo)
 function readSkillDoc(filename) {
   const paths = [
@@ -65,7 +77,28 @@ function loadGeneratorPrompt() {
 }
 
 /**
- * Generate an animation HTML file using Claude Sonnet.
+ * System prompt for the format. Specs don't need the player template or
+ * the HTML rules — the compiler owns those.
+ */
+function systemPromptFor(format) {
+  if (format === 'spec') {
+    const promptPath = join(ROOT, 'prompts', 'animation-spec.md');
+    return existsSync(promptPath) ? readFileSync(promptPath, 'utf-8') : '';
+  }
+  return loadGeneratorPrompt() + '\n\n' + getSkillContext();
+}
+
+function animationFormat(value) {
+  const format = value || process.env.ANIMATION_FORMAT || 'html';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown animation format "${format}" — use one of: ${FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Generate an animation HTML file using Claude Sonnet
+ * (or whichever LLM provider is configured — see llm-provider.js).
  *
  * @param {object} params
  * @param {object} params.moment - The highlight moment data
@@ -74,8 +107,15 @@ function loadGeneratorPrompt() {
  * @param {string} [params.adaptFromId] - Library animation ID to adapt from (for ADAPT)
  * @param {string} [params.rejectionFeedback] - Previous rejection rationale (for regeneration)
  * @param {string} [params.exampleId] - Library animation ID to use as few-shot example
- * @param {object} [params.options] - { apiKey, model }
- * @returns {Promise<{ html: string, valid: boolean, errors: string[] }>}
+ * @param {object} [params.variant] - { index, count } when this is one of several candidates
+ * @param {object} [params.options] - { provider, apiKey, model, runtimeCheck,
+ *   format: 'html' (default, or ANIMATION_FORMAT) | 'spec' }
+ * @returns {Promise<{ html: string, spec: object|null, valid: boolean, errors: string[], runtime: object|null }>}
+ *   `runtime` is the headless-browser report (see validate-animation.js),
+ *   run once the static checks pass; `runtimeCheck: false` or
+ *   ANIMATION_RUNTIME_CHECK=off skips it. In spec format the model
+ *   returns a JSON spec (see animation-spec.js) and `html` is compiled
+ *   from it — empty if the spec doesn't validate.
  */
 export async function generateAnimation(params) {
   const {
@@ -85,19 +125,16 @@ export async function generateAnimation(params) {
     adaptFromId,
     rejectionFeedback,
     exampleId,
+    variant,
     options = {},
   } = params;
 
-  const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) throw new Error('ANTHROPIC_API_KEY is required');
-
-  const model = options.model || 'claude-sonnet-4-20250514';
-  const client = new Anthropic({ apiKey });
+  const format = animationFormat(options.format);
+  const provider = createProvider(options);
+  if (!provider.configured) throw new Error(provider.configError);
 
   // Build system prompt
-  const skillContext = getSkillContext();
-  const generatorPrompt = loadGeneratorPrompt();
-  const systemPrompt = generatorPrompt + '\n\n' + skillContext;
+  const systemPrompt = systemPromptFor(format);
 
   // Build user prompt
   let userPrompt = `## Animation Request
@@ -137,8 +174,8 @@ The canvas is 54 wide × 40 tall (portrait). Use the full height:
     }
   }
 
-  // Add example for few-shot learning
-  if (exampleId) {
+  // Add example for few-shot learning (the spec prompt carries its own)
+  if (exampleId && format === 'html') {
     const exampleHtml = getAnimationHtml(exampleId);
     if (exampleHtml) {
       userPrompt += `\n### Example Animation (for reference)\nHere is an example of a working animation that follows the correct patterns:\n\n\`\`\`html\n${exampleHtml}\n\`\`\`\n`;
@@ -150,64 +187,219 @@ The canvas is 54 wide × 40 tall (portrait). Use the full height:
     userPrompt += `\n### Previous Attempt Rejected\nThe previous version was rejected. User feedback: "${rejectionFeedback}"\nPlease create a DIFFERENT approach that addresses this feedback.\n`;
   }
 
-  userPrompt += `\n### Output\nReturn ONLY the complete HTML file. No explanations, no markdown code fences. Just the raw HTML starting with \`<!DOCTYPE html>\` and ending with \`</html>\`.`;
+  // Candidates for the same beat should differ from each other
+  if (variant && variant.count > 1) {
+    userPrompt += `\n### Candidate ${variant.index} of ${variant.count}\nSeveral versions of this beat are being made and the best one is kept.${variant.index > 1 ? ' Take a clearly different visual approach from the most obvious one — different imagery, composition or motion.' : ''}\n`;
+  }
+
+  userPrompt += format === 'spec'
+    ? `\n### Output\nReturn ONLY the JSON animation spec. No explanations, no markdown code fences.`
+    : `\n### Output\nReturn ONLY the complete HTML file. No explanations, no markdown code fences. Just the raw HTML starting with \`<!DOCTYPE html>\` and ending with \`</html>\`.`;
 
-  console.log(`  Generating animation: ${concept.substring(0, 60)}...`);
-  console.log(`  Model: ${model}`);
+  console.log(`  Generating animation${format === 'spec' ? ' spec' : ''}: ${concept.substring(0, 60)}...`);
+  console.log(`  Model: ${provider.name}/${provider.model}`);
 
   // Rate-limit-aware API call with retry + backoff
-  let response;
-  const maxApiRetries = 3;
-  for (let attempt = 1; attempt <= maxApiRetries; attempt++) {
-    try {
-      response = await client.messages.create({
-        model,
-        max_tokens: 16000,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: userPrompt }],
-      });
-      break; // success
-    } catch (err) {
-      const isRateLimit = err.status === 429 ||
-        err.message?.includes('rate_limit') ||
-        err.message?.includes('429');
-
-      if (isRateLimit && attempt < maxApiRetries) {
-        const waitSec = Math.min(60 * attempt, 180);
-        console.log(`  Rate limited (attempt ${attempt}/${maxApiRetries}). Waiting ${waitSec}s...`);
-        await sleep(waitSec * 1000);
-        continue;
-      }
-      throw err;
-    }
+  const response = await completeWithRetry(provider, {
+    system: systemPrompt,
+    user: userPrompt,
+    maxTokens: 16000,
+    purpose: 'animation',
+  });
+
+  return { ...(await checkResponse(response.text, format, options)), tokensUsed: response.usage.outputTokens };
+}
+
+/**
+ * Targeted fix of a broken animation: sends the previous HTML (or spec)
+ * with the concrete problems (validation errors, stack traces from the
+ * runtime check) and asks for the same animation with just those fixed.
+ *
+ * @param {object} params
+ * @param {object} params.moment - The highlight moment data
+ * @param {string} params.concept - Animation concept description
+ * @param {string} params.html - The broken HTML
+ * @param {object} [params.spec] - The broken spec; repairs the spec instead of the HTML
+ * @param {string[]} params.errors - Problems found in it
+ * @param {string[]} [params.traces] - Stack traces from validate-animation.js
+ * @param {object} [params.options] - Same as generateAnimation()
+ * @returns {Promise<{ html: string, spec: object|null, valid: boolean, errors: string[], runtime: object|null }>}
+ */
+export async function repairAnimation(params) {
+  const { moment, concept, html, spec, errors, traces = [], options = {} } = params;
+  const format = spec ? 'spec' : 'html';
+
+  const provider = createProvider(options);
+  if (!provider.configured) throw new Error(provider.configError);
+
+  const systemPrompt = systemPromptFor(format);
+
+  let userPrompt = `## Animation Repair
+
+This animation was generated for the concept below, but it fails validation. Fix the specific problems listed. Keep the concept, imagery, colours, timing and everything else that already works — this is a repair, not a redesign.
+
+**Concept:** ${concept}
+**Moment:** ${moment.type} — ${moment.title}
+
+### Problems Found
+${errors.map(e => `- ${e}`).join('\n')}
+`;
+
+  if (traces.length > 0) {
+    userPrompt += `
+### Stack Traces (headless Chrome)
+\`\`\`
+${traces.join('\n\n')}
+\`\`\`
+`;
   }
 
-  let html = response.content
-    .filter(block => block.type === 'text')
-    .map(block => block.text)
-    .join('');
+  userPrompt += currentAnimationSection(format, html, spec, 'fixed');
 
-  // Strip markdown code fences if Sonnet wrapped the output
-  const htmlMatch = html.match(/```(?:html)?\s*(<!DOCTYPE[\s\S]*?<\/html>)\s*```/i);
-  if (htmlMatch) {
-    html = htmlMatch[1];
-  } else {
-    // Try to extract just the HTML portion
-    const docMatch = html.match(/(<!DOCTYPE[\s\S]*<\/html>)/i);
-    if (docMatch) {
-      html = docMatch[1];
-    }
+  console.log(`  Repairing animation (${errors.length} problem${errors.length === 1 ? '' : 's'}): ${concept.substring(0, 50)}...`);
+
+  const response = await completeWithRetry(provider, {
+    system: systemPrompt,
+    user: userPrompt,
+    maxTokens: 16000,
+    purpose: 'animation-repair',
+  });
+
+  return { ...(await checkResponse(response.text, format, options)), tokensUsed: response.usage.outputTokens };
+}
+
+/**
+ * Targeted revision of a working animation: applies the user's
+ * instruction ("make the blood red, slow the ending") to the current
+ * HTML (or spec) and asks for everything else to stay as it is.
+ *
+ * @param {object} params
+ * @param {object} params.moment - The highlight moment data
+ * @param {string} params.concept - Animation concept description
+ * @param {string} params.html - The current HTML
+ * @param {object} [params.spec] - The current spec; revises the spec instead of the HTML
+ * @param {string} params.instruction - What to change
+ * @param {object} [params.options] - Same as generateAnimation()
+ * @returns {Promise<{ html: string, spec: object|null, valid: boolean, errors: string[], runtime: object|null }>}
+ */
+export async function reviseAnimation(params) {
+  const { moment, concept, html, spec, instruction, options = {} } = params;
+  const format = spec ? 'spec' : 'html';
+
+  const provider = createProvider(options);
+  if (!provider.configured) throw new Error(provider.configError);
+
+  let userPrompt = `## Animation Edit
+
+Apply the requested change to this animation. Change only what the instruction asks for — keep the imagery, colours, timing and structure it doesn't mention exactly as they are. This is an edit, not a redesign.
+
+**Concept:** ${concept}
+**Moment:** ${moment.type} — ${moment.title}
+
+### Requested Change
+${instruction}
+
+### Timing
+Frames play at a fixed rate. To slow part of the animation down, spread it over more frames; to speed it up, use fewer. The total stays within 16-24 frames.
+`;
+
+  userPrompt += currentAnimationSection(format, html, spec, 'edited');
+
+  console.log(`  Editing animation: "${instruction.substring(0, 60)}"`);
+
+  const response = await completeWithRetry(provider, {
+    system: systemPromptFor(format),
+    user: userPrompt,
+    maxTokens: 16000,
+    purpose: 'animation-edit',
+  });
+
+  return { ...(await checkResponse(response.text, format, options)), tokensUsed: response.usage.outputTokens };
+}
+
+/**
+ * The animation being repaired or edited, and what to send back.
+ *
+ * @param {'html'|'spec'} format
+ * @param {string} result - 'fixed' | 'edited'
+ */
+function currentAnimationSection(format, html, spec, result) {
+  if (format === 'spec') {
+    return `
+### Current Spec
+\`\`\`json
+${JSON.stringify(spec, null, 2).substring(0, MAX_REPAIR_HTML_CHARS)}
+\`\`\`
+
+### Output
+Return ONLY the complete ${result} JSON spec. No explanations, no markdown code fences.`;
   }
 
-  // Validate the generated HTML
-  const errors = validateAnimationHtml(html);
+  return `
+### The Result Must Keep
+- \`frameData\` with 16-24 frames, every frame's \`lines\` exactly 54 columns × 40 rows
+- \`render()\` and \`pause()\` defined at the top level of the script
+- No external scripts, fonts or images — the file has to work offline
 
-  return {
-    html,
-    valid: errors.length === 0,
-    errors,
-    tokensUsed: response.usage?.output_tokens || 0,
-  };
+### Current HTML
+\`\`\`html
+${html.substring(0, MAX_REPAIR_HTML_CHARS)}
+\`\`\`
+
+### Output
+Return ONLY the complete ${result} HTML file. No explanations, no markdown code fences. Just the raw HTML starting with \`<!DOCTYPE html>\` and ending with \`</html>\`.`;
+}
+
+/**
+ * Turn a model response into a checked result: the HTML as sent, or the
+ * spec validated and compiled.
+ */
+async function checkResponse(text, format, options) {
+  if (format === 'spec') {
+    const spec = parseSpec(text);
+    if (!spec) return { html: '', spec: null, valid: false, errors: ['Response is not a JSON animation spec'], runtime: null };
+    const specErrors = validateSpec(spec);
+    if (specErrors.length > 0) return { html: '', spec, valid: false, errors: specErrors, runtime: null };
+
+    const html = compileSpec(spec);
+    const { errors, runtime } = await validateGenerated(html, options);
+    return { html, spec, valid: errors.length === 0, errors, runtime };
+  }
+
+  const html = extractHtml(text);
+  const { errors, runtime } = await validateGenerated(html, options);
+  return { html, spec: null, valid: errors.length === 0, errors, runtime };
+}
+
+/**
+ * Pull the HTML document out of a response (the model sometimes wraps it
+ * in code fences or adds a sentence around it).
+ */
+function extractHtml(text) {
+  // Strip markdown code fences if Sonnet wrapped the output
+  const htmlMatch = text.match(/```(?:html)?\s*(<!DOCTYPE[\s\S]*?<\/html>)\s*```/i);
+  if (htmlMatch) return htmlMatch[1];
+
+  // Try to extract just the HTML portion
+  const docMatch = text.match(/(<!DOCTYPE[\s\S]*<\/html>)/i);
+  return docMatch ? docMatch[1] : text;
+}
+
+/**
+ * Static checks, then (when those pass) load it and run it.
+ */
+async function validateGenerated(html, options) {
+  const errors = validateAnimationHtml(html);
+  let runtime = null;
+  if (errors.length === 0 && options.runtimeCheck !== false && process.env.ANIMATION_RUNTIME_CHECK !== 'off') {
+    runtime = await validateAnimationRuntime(html);
+    errors.push(...runtime.errors);
+    if (runtime.stats) {
+      console.log(`  Runtime check: ${runtime.stats.frames} frames, render avg ${runtime.stats.avgRenderMs}ms / max ${runtime.stats.maxRenderMs}ms${runtime.valid ? '' : ` — ${runtime.errors.length} problem(s)`}`);
+    }
+    for (const warning of runtime.warnings) console.warn(`  Runtime warning: ${warning}`);
+  }
+  return { errors, runtime };
 }
 
 /**
@@ -242,24 +434,233 @@ function validateAnimationHtml(html) {
 }
 
 /**
- * Generate with retry on validation failure.
+ * Generate, then repair until it validates: each round sends the broken
+ * HTML (or spec) and its concrete problems back for a targeted fix (see
+ * repairAnimation). A response with no usable HTML document or spec is
+ * regenerated from scratch instead.
+ *
+ * Every attempt is saved under `attemptsDir` (the anim directory) as
+ * attempts/attempt_NN.html (plus attempt_NN.json for specs), with
+ * attempts.json recording what kind of attempt it was, its errors and its
+ * runtime stats and warnings.
+ *
+ * @param {object} params - As for generateAnimation()
+ * @param {object} [opts] - { rounds: repair rounds (default 2, or
+ *   ANIMATION_REPAIR_ROUNDS), attemptsDir }
+ * @returns {Promise<object>} The first valid attempt, or the one with the
+ *   fewest problems (any with HTML first — `html` is '' only when no
+ *   attempt produced any), plus `attempts` (how many were made)
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+export async function generateWithRetry(params, opts = {}) {
+  const rounds = repairRounds(opts.rounds);
+  const record = attemptRecorder(opts.attemptsDir);
 
-export async function generateWithRetry(params, maxRetries = 1) {
-  let result = await generateAnimation(params);
+  const result = await generateAnimation(params);
+  record('generate', result);
 
-  if (!result.valid && maxRetries > 0) {
-    console.log(`  Validation failed (${result.errors.join(', ')}). Retrying...`);
-    const retryParams = {
+  return repairUntilValid(params, result, rounds, record, {
+    kind: 'regenerate',
+    run: () => generateAnimation({
       ...params,
       rejectionFeedback: (params.rejectionFeedback || '') +
-        `\nTechnical issues with previous output: ${result.errors.join(', ')}. Please ensure the output is a valid, complete HTML file following the two-pass renderer pattern.`,
-    };
-    result = await generateAnimation(retryParams);
+        (animationFormat(params.options?.format) === 'spec'
+          ? '\nThe previous output was not a JSON animation spec. Please return only the spec object in the documented format.'
+          : '\nThe previous output was not a complete HTML file. Please ensure the output is a valid, complete HTML file following the two-pass renderer pattern.'),
+    }),
+  });
+}
+
+/**
+ * Edit, then repair until it validates — generateWithRetry() for
+ * reviseAnimation(). A response with nothing usable in it re-runs the
+ * edit rather than starting from scratch.
+ *
+ * @param {object} params - As for reviseAnimation()
+ * @param {object} [opts] - As for generateWithRetry()
+ * @returns {Promise<object>} As for generateWithRetry()
+ */
+export async function reviseWithRetry(params, opts = {}) {
+  const rounds = repairRounds(opts.rounds);
+  const record = attemptRecorder(opts.attemptsDir);
+
+  const result = await reviseAnimation(params);
+  record('edit', result);
+
+  return repairUntilValid(params, result, rounds, record, { kind: 'edit', run: () => reviseAnimation(params) });
+}
+
+/**
+ * Repair rounds after a first attempt. `retry` replaces repair when the
+ * attempt has no HTML document or spec to repair.
+ */
+async function repairUntilValid(params, first, rounds, record, retry) {
+  let result = first;
+  let best = result;
+  let attempts = 1;
+
+  for (let round = 1; round <= rounds && !result.valid; round++) {
+    console.log(`  Validation failed (${result.errors.join(', ')}). Repair round ${round}/${rounds}...`);
+    const kind = result.spec || isHtmlDocument(result.html) ? 'repair' : retry.kind;
+    try {
+      result = kind === 'repair'
+        ? await repairAnimation({
+            moment: params.moment,
+            concept: params.concept,
+            html: result.html,
+            spec: result.spec,
+            errors: result.errors,
+            traces: result.runtime?.traces || [],
+            options: params.options,
+          })
+        : await retry.run();
+    } catch (err) {
+      console.error(`  Repair round ${round} failed: ${err.message} — keeping the best attempt so far`);
+      break;
+    }
+    attempts++;
+    record(kind, result);
+    // Anything with HTML beats an unusable spec, however few its problems
+    if (result.valid || (result.html && !best.html)
+        || (!result.html === !best.html && result.errors.length < best.errors.length)) best = result;
   }
 
-  return result;
+  if (!best.valid && rounds > 0) {
+    console.warn(`  Still invalid after ${attempts} attempt${attempts === 1 ? '' : 's'} — keeping the one with the fewest problems`);
+  }
+  return { ...best, attempts };
+}
+
+function repairRounds(value) {
+  const raw = value ?? process.env.ANIMATION_REPAIR_ROUNDS;
+  if (raw === undefined || raw === null || raw === '') return DEFAULT_REPAIR_ROUNDS;
+  const rounds = parseInt(raw, 10);
+  if (!Number.isInteger(rounds) || rounds < 0) {
+    throw new Error('Animation repair rounds must be zero or a positive whole number');
+  }
+  return rounds;
+}
+
+function isHtmlDocument(html) {
+  return /<!DOCTYPE html>/i.test(html || '') && /<\/html>/i.test(html);
+}
+
+/**
+ * Writes each attempt into <dir>/attempts/. Numbering carries on from
+ * earlier attempts (e.g. before a user-requested regeneration).
+ */
+function attemptRecorder(dir) {
+  if (!dir) return () => {};
+  const attemptsDir = join(dir, 'attempts');
+  const logPath = join(attemptsDir, 'attempts.json');
+
+  return (kind, result) => {
+    mkdirSync(attemptsDir, { recursive: true });
+    const log = existsSync(logPath) ? JSON.parse(readFileSync(logPath, 'utf-8')) : [];
+    const n = log.length + 1;
+    const name = `attempt_${String(n).padStart(2, '0')}`;
+    const file = `${name}.html`;
+    writeFileSync(join(attemptsDir, file), result.html || '');
+    if (result.spec) writeFileSync(join(attemptsDir, `${name}.json`), JSON.stringify(result.spec, null, 2));
+    log.push({
+      attempt: n,
+      kind,
+      file,
+      spec: result.spec ? `${name}.json` : null,
+      valid: result.valid,
+      errors: result.errors,
+      traces: result.runtime?.traces || [],
+      warnings: result.runtime?.warnings || [],
+      runtime: result.runtime?.stats || null,
+      tokensUsed: result.tokensUsed ?? null,
+      at: new Date().toISOString(),
+    });
+    writeFileSync(logPath, JSON.stringify(log, null, 2));
+  };
+}
+
+/**
+ * Several candidates for one beat, scored automatically (see
+ * score-animation.js). Each candidate is generated and repaired on its
+ * own, saved as candidates/candidate_NN/animation.html with a low-res
+ * preview export next to it, and the list is ranked best first.
+ *
+ * @param {object} params - As for generateAnimation()
+ * @param {object} opts - { count, dir: the anim directory, rounds,
+ *   delayMs: wait between candidates (rate limits), preview: false to
+ *   skip the preview export }
+ * @returns {Promise<{ best: object, candidates: object[] }>} `best` is the
+ *   winning result; candidates are { index, file, preview, valid, errors,
+ *   score, summary }, best first
+ */
+export async function generateCandidates(params, opts) {
+  const { count, dir, rounds, delayMs = 0 } = opts;
+  const results = [];
+  let lastError = null;
+
+  for (let i = 1; i <= count; i++) {
+    if (i > 1 && delayMs > 0) {
+      console.log(`  Waiting ${delayMs / 1000}s before the next candidate...`);
+      await new Promise(r => setTimeout(r, delayMs));
+    }
+
+    const name = `candidate_${String(i).padStart(2, '0')}`;
+    const candidateDir = join(dir, 'candidates', name);
+    console.log(`  Candidate ${i}/${count}`);
+    try {
+      const result = await generateWithRetry({ ...params, variant: { index: i, count } }, { rounds, attemptsDir: candidateDir });
+      if (!result.html) throw new Error(`No usable animation: ${result.errors[0]}`);
+      writeAnimationFiles(candidateDir, result);
+
+      let preview = null;
+      if (opts.preview !== false) {
+        try {
+          await exportAnimation(join(candidateDir, 'animation.html'), candidateDir, PREVIEW_EXPORT);
+          preview = `candidates/${name}/thumbnail.png`;
+        } catch (err) {
+          console.warn(`  Preview export failed for ${name}: ${err.message.split('\n')[0]}`);
+        }
+      }
+
+      const score = scoreAnimation(result);
+      console.log(`  Candidate ${i} score: ${describeScore(score)}`);
+      results.push({ index: i, file: `candidates/${name}/animation.html`, preview, result, score });
+    } catch (err) {
+      lastError = err;
+      console.error(`  Candidate ${i} failed: ${err.message}`);
+    }
+  }
+
+  if (results.length === 0) throw lastError || new Error('No animation candidates were generated');
+
+  results.sort((a, b) => (b.result.valid - a.result.valid) || (b.score.total - a.score.total));
+  const candidates = results.map(c => ({
+    index: c.index,
+    file: c.file,
+    preview: c.preview,
+    valid: c.result.valid,
+    errors: c.result.errors,
+    score: c.score,
+    summary: describeScore(c.score),
+  }));
+  writeFileSync(join(dir, 'candidates', 'candidates.json'), JSON.stringify(candidates, null, 2));
+
+  return { best: results[0].result, candidates };
+}
+
+/**
+ * Save a result as animation.html, plus animation.json when it came from
+ * a spec (a stale spec from an earlier HTML-format run is removed, so the
+ * JSON always matches the HTML next to it).
+ *
+ * @param {string} dir
+ * @param {{ html: string, spec?: object|null }} result
+ */
+export function writeAnimationFiles(dir, result) {
+  writeFileSync(join(dir, 'animation.html'), result.html);
+  const specPath = join(dir, 'animation.json');
+  if (result.spec) {
+    writeFileSync(specPath, JSON.stringify(result.spec, null, 2) + '\n');
+  } else if (existsSync(specPath)) {
+    unlinkSync(specPath);
+  }
 }
@@ -0,0 +1,232 @@
+import { readFileSync } from 'fs';
+import wordListPath from 'word-list';
+
+/**
+ * Proper-noun correction pass for transcripts.
+ *
+ * Zoom's auto-transcription mangles fantasy names ("Vexus" → "Vexis",
+ * "Vex us", "Vexes"). Given a campaign glossary (see campaign.js), this
+ * rewrites cue text to the canonical spellings:
+ *
+ *   1. Known variants — exact, case-insensitive, whole-word replacement
+ *   2. Fuzzy matches — a capitalised word (or two-word split like
+ *      "Vex us") whose phonetic key equals a term's key and whose
+ *      spelling is within an edit distance that grows with the term's
+ *      length (1 up to 7 letters, 2 up to 11, 3 beyond)
+ *
+ * Fuzzy matching only applies to single-word terms of 5+ letters, so short
+ * names like "Mara" don't swallow real words ("Mary"), and never rewrites
+ * a word from the English word list ("Thorn" stays "Thorn" even with a
+ * "Thorin" in the party). Player names are only corrected through their
+ * variants — real names sit too close to each other ("Danielle", "Daniel").
+ * Set `fuzzy: false` on a term to rely on its variants only.
+ *
+ * Changed cues keep the transcript wording as `originalText`.
+ */
+
+const MIN_FUZZY_LENGTH = 5;
+
+// Loaded on first use — only fuzzy matching needs it
+let englishWords = null;
+
+/**
+ * Build the term list: glossary entries plus cast names (characters and
+ * players are proper nouns too; player names get `fuzzy: false`).
+ *
+ * @param {object|null} glossary - Parsed glossary.json
+ * @param {object|null} [cast] - Normalized cast (see campaign.js)
+ * @returns {{ name: string, variants: string[], fuzzy: boolean }[]}
+ */
+export function glossaryTerms(glossary, cast = null) {
+  const terms = new Map();
+  const add = (entry) => {
+    const term = typeof entry === 'string' ? { name: entry } : entry;
+    const name = String(term?.name || '').trim();
+    if (!name) return;
+    const existing = terms.get(name.toLowerCase());
+    const variants = (term.variants || []).map(v => String(v).trim()).filter(Boolean);
+    if (existing) {
+      existing.variants = [...new Set([...existing.variants, ...variants])];
+      if (term.fuzzy === false) existing.fuzzy = false;
+      return;
+    }
+    terms.set(name.toLowerCase(), { name, variants, fuzzy: term.fuzzy !== false });
+  };
+
+  for (const entry of glossary?.terms || []) add(entry);
+  for (const member of [cast?.dm, ...(cast?.players || [])].filter(Boolean)) {
+    if (member.character) add({ name: member.character });
+    add({ name: member.player, fuzzy: false });
+  }
+
+  return [...terms.values()];
+}
+
+/**
+ * Correct proper nouns in cue text.
+ *
+ * @param {object[]} cues - [{ id, text, ... }]
+ * @param {object[]} terms - From glossaryTerms()
+ * @returns {{ cues: object[], corrections: { cueCount: number, replacements: number, terms: object } }}
+ */
+export function correctCues(cues, terms) {
+  const variantRules = buildVariantRules(terms);
+  const fuzzyTargets = terms
+    .filter(t => t.fuzzy && !/\s/.test(t.name) && t.name.length >= MIN_FUZZY_LENGTH)
+    .map(t => ({ name: t.name, lower: t.name.toLowerCase(), key: phoneticKey(t.name) }));
+
+  const counts = {};
+  let cueCount = 0;
+  let replacements = 0;
+
+  const corrected = cues.map(cue => {
+    let text = cue.text;
+    const record = (name) => { counts[name] = (counts[name] || 0) + 1; replacements++; };
+
+    for (const rule of variantRules) {
+      text = text.replace(rule.pattern, () => { record(rule.name); return rule.name; });
+    }
+    if (fuzzyTargets.length > 0) {
+      text = correctFuzzy(text, fuzzyTargets, record);
+    }
+
+    if (text === cue.text) return cue;
+    cueCount++;
+    return { ...cue, text, originalText: cue.originalText || cue.text };
+  });
+
+  return { cues: corrected, corrections: { cueCount, replacements, terms: counts } };
+}
+
+// ── Matching ──
+
+function buildVariantRules(terms) {
+  return terms
+    .flatMap(t => t.variants.map(v => ({ name: t.name, variant: v })))
+    .filter(r => r.variant.toLowerCase() !== r.name.toLowerCase())
+    // Longest first so "Vex us the Pale" wins over "Vex us"
+    .sort((a, b) => b.variant.length - a.variant.length)
+    .map(r => ({
+      name: r.name,
+      pattern: new RegExp(`(?<![A-Za-z'])${escapeRegex(r.variant).replace(/\s+/g, '\\s+')}(?![A-Za-z])`, 'gi'),
+    }));
+}
+
+/**
+ * Replace capitalised words (or two-word splits) that sound like a term.
+ */
+function correctFuzzy(text, targets, record) {
+  const words = [...text.matchAll(/[A-Za-z]+/g)];
+  const edits = []; // [start, end, replacement]
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (!/^[A-Z]/.test(word[0])) continue;
+
+    // The word joined with the next one ("Vex us") first, then the word alone.
+    // Joins must be near-exact so "Bixie is" doesn't swallow the "is"
+    const next = words[i + 1];
+    const joinable = next && /^\s+$/.test(text.slice(word.index + word[0].length, next.index));
+    const candidates = [{ text: word[0], end: word.index + word[0].length, span: 1, maxDist: null }];
+    if (joinable) candidates.unshift({ text: word[0] + next[0], end: next.index + next[0].length, span: 2, maxDist: 1 });
+
+    for (const candidate of candidates) {
+      const target = findFuzzyTarget(candidate.text, targets, candidate.maxDist);
+      if (!target) continue;
+      if (candidate.span === 1 && target.lower === candidate.text.toLowerCase()) break; // already right
+      edits.push([word.index, candidate.end, target.name]);
+      record(target.name);
+      i += candidate.span - 1;
+      break;
+    }
+  }
+
+  for (const [start, end, replacement] of edits.reverse()) {
+    text = text.slice(0, start) + replacement + text.slice(end);
+  }
+  return text;
+}
+
+function findFuzzyTarget(word, targets, maxDist = null) {
+  const lower = word.toLowerCase();
+  if (lower.length < MIN_FUZZY_LENGTH - 1) return null;
+  const exact = targets.find(t => t.lower === lower);
+  if (exact) return exact;
+  // A real word is what the speaker said. Joins ("Salt marsh") are two words
+  // either way, so only single words are checked
+  if (maxDist === null && isEnglishWord(lower)) return null;
+
+  const key = phoneticKey(word);
+  for (const t of targets) {
+    if (key !== t.key) continue;
+    if (editDistance(lower, t.lower) <= (maxDist ?? maxDistance(t.lower.length))) return t;
+  }
+  return null;
+}
+
+function maxDistance(length) {
+  if (length < 8) return 1;
+  return length < 12 ? 2 : 3;
+}
+
+function isEnglishWord(lower) {
+  if (!englishWords) englishWords = new Set(readFileSync(wordListPath, 'utf-8').split('\n'));
+  return englishWords.has(lower);
+}
+
+/**
+ * Rough English phonetic key (in the spirit of Metaphone): similar-sounding
+ * spellings collapse to the same consonant skeleton.
+ * "Vexus", "Vexis", "Vexes" → "FKS"; "Bixie", "Bixy" → "PKS";
+ * "Saltmarsh", "Saltmarch" → "SLTMRX".
+ */
+export function phoneticKey(word) {
+  let w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!w) return '';
+
+  w = w
+    .replace(/^kn|^gn|^pn|^wr/, m => m[1])
+    .replace(/^x/, 's')
+    .replace(/ph/g, 'f')
+    .replace(/ck|q/g, 'k')
+    .replace(/sch/g, 'sk')
+    // "sh" and soft "ch" are the same sound ("Christine" keeps its hard ch)
+    .replace(/t?ch(?!r)|sh/g, '%')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/dg/g, 'j')
+    .replace(/gh/g, '')
+    .replace(/x/g, 'ks');
+
+  const first = /[aeiouy]/.test(w[0]) ? 'A' : '';
+  const consonants = w
+    .replace(/[aeiouyhw]/g, '')
+    .replace(/[bp]/g, 'P')
+    .replace(/[fv]/g, 'F')
+    .replace(/[cgk]/g, 'K')
+    .replace(/[sz]/g, 'S')
+    .replace(/[dt]/g, 'T')
+    .replace(/j/g, 'J')
+    .replace(/%/g, 'X')
+    .replace(/[lmnr]/g, c => c.toUpperCase())
+    .replace(/(.)\1+/g, '$1');
+
+  return first + consonants;
+}
+
+function editDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
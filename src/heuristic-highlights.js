@@ -0,0 +1,316 @@
+/**
+ * Offline highlight finder — ranks windows of transcript cues with the
+ * same signals the highlight-finder prompt tells Claude to look for.
+ * No API key or network needed.
+ *
+ * Output matches the Claude highlight JSON shape (including
+ * animationSequence) so the rest of the pipeline doesn't care which
+ * finder produced it.
+ */
+
+// Target clip length in seconds (Shorts sweet spot is 15-45s)
+const MIN_WINDOW_SEC = 12;
+const MAX_WINDOW_SEC = 40;
+
+// A DM block this long right before a window counts as "buildup"
+const MONOLOGUE_MIN_SEC = 20;
+
+/**
+ * Text signals. Each match adds `weight` to the window score and votes
+ * for `type` when picking the moment type.
+ */
+const SIGNALS = [
+  { name: 'nat20', type: 'epic_roll', weight: 6,
+    pattern: /\b(nat(ural)?\s*(20|twenty)|crit(ical)?\s+(hit|success)|crit)\b/i },
+  { name: 'nat1', type: 'epic_roll', weight: 6,
+    pattern: /\b(nat(ural)?\s*(1|one)|crit(ical)?\s+fail(ure)?)\b/i },
+  { name: 'laughter', type: 'funny_banter', weight: 1.5,
+    pattern: /\b(ha(ha)+|he(he)+|lol|lmao|laugh(ing)?)\b/i },
+  { name: 'shock', type: 'dramatic_reveal', weight: 2,
+    pattern: /\b(oh my god|omg|oh my gosh|no way|are you serious|holy (shit|crap|cow)|wait what)\b|what\?!/i },
+  { name: 'combat', type: 'combat_climax', weight: 1,
+    pattern: /\b(damage|attack|hit points?|kill(s|ed)?|dies|dead|unconscious|death save|initiative)\b/i },
+  { name: 'treasure', type: 'treasure_reward', weight: 1.5,
+    pattern: /\b(chest|treasure|loot|gold pieces|magic item|artifact|gems?)\b/i },
+  { name: 'dread', type: 'atmosphere_dread', weight: 1,
+    pattern: /\b(dark(ness)?|shadows?|blood|scream(s|ing)?|cold|silence|creep(y|ing))\b/i },
+  { name: 'chaos', type: 'table_chaos', weight: 1.5,
+    pattern: /\b(what do we do|everybody run|oh no|wait wait|hold on)\b/i },
+];
+
+// Words ignored when matching the DM's notes against the transcript
+const STOPWORDS = new Set([
+  'the', 'and', 'that', 'this', 'with', 'there', 'their', 'they', 'were', 'was',
+  'have', 'from', 'when', 'what', 'into', 'about', 'then', 'than', 'been', 'also',
+]);
+
+/**
+ * Animation beat templates per moment type (setup → peak → aftermath).
+ */
+const BEAT_TEMPLATES = {
+  epic_roll: [
+    { concept: 'A single d20 tumbling through darkness, faces blurring', emotion: 'anticipation, held breath', weight: 0.35 },
+    { concept: 'The die lands and its number flares with light', emotion: 'the verdict — triumph or doom', weight: 0.4 },
+    { concept: 'Sparks or cracks radiate outward from the die', emotion: 'release, table erupts', weight: 0.25 },
+  ],
+  funny_banter: [
+    { concept: 'Speech bubbles popping up faster and faster', emotion: 'playful build', weight: 0.4 },
+    { concept: 'Bubbles collide and burst into confetti', emotion: 'comedy, joy', weight: 0.6 },
+  ],
+  dramatic_reveal: [
+    { concept: 'A curtain of shadow slowly drawing back', emotion: 'suspense, quiet dread', weight: 0.4 },
+    { concept: 'A blinding shape emerges from the dark', emotion: 'shock, awe', weight: 0.35 },
+    { concept: 'Light settles into an uneasy glow', emotion: 'stunned aftermath', weight: 0.25 },
+  ],
+  combat_climax: [
+    { concept: 'Two blades circling, edges glinting', emotion: 'tension', weight: 0.35 },
+    { concept: 'A decisive strike slashes across the screen', emotion: 'violence, climax', weight: 0.4 },
+    { concept: 'Embers drifting down over a still battlefield', emotion: 'relief', weight: 0.25 },
+  ],
+  treasure_reward: [
+    { concept: 'Torch light creeping across a locked chest', emotion: 'curiosity', weight: 0.35 },
+    { concept: 'Lid bursts open with a golden glow', emotion: 'wonder, excitement', weight: 0.4 },
+    { concept: 'Coins and gems cascading down the screen', emotion: 'reward', weight: 0.25 },
+  ],
+  atmosphere_dread: [
+    { concept: 'Fog rolling over a silent landscape', emotion: 'unease', weight: 0.5 },
+    { concept: 'A pair of eyes opening in the darkness', emotion: 'fear', weight: 0.5 },
+  ],
+  character_moment: [
+    { concept: 'A lone candle flickering in the dark', emotion: 'vulnerability', weight: 0.5 },
+    { concept: 'Two small flames drifting together and brightening', emotion: 'connection, warmth', weight: 0.5 },
+  ],
+  table_chaos: [
+    { concept: 'Gears spinning out of sync, sparks flying', emotion: 'escalating chaos', weight: 0.5 },
+    { concept: 'Everything collapses into a spinning whirlwind', emotion: 'chaos, fun', weight: 0.5 },
+  ],
+};
+
+const TYPE_TITLES = {
+  epic_roll: 'The Roll',
+  funny_banter: 'Table Banter',
+  dramatic_reveal: 'The Reveal',
+  combat_climax: 'Combat Climax',
+  treasure_reward: 'The Loot',
+  atmosphere_dread: 'Something in the Dark',
+  character_moment: 'A Character Moment',
+  table_chaos: 'Total Chaos',
+};
+
+/**
+ * Find highlights by scoring cue windows locally.
+ *
+ * @param {object} session - Parsed session data from parse-vtt.js
+ * @param {object[]} cues - Cues to consider (usually the gameplay segment)
+ * @param {object} [options] - { userContext, count, combatWeight: score multiplier
+ *   for windows inside a combat segment (default 1), types: moment types to
+ *   pick from (default all), minDuration / maxDuration: window length bounds }
+ * @returns {object[]} Array of highlight objects (same shape as Claude's)
+ */
+export function findHighlightsHeuristic(session, cues, options = {}) {
+  const count = options.count || 3;
+  const contextWords = extractContextWords(options.userContext || '');
+  const dmName = session.speakers.find(s => s.role === 'dm')?.name || null;
+  const combatWeight = options.combatWeight ?? 1;
+  const combat = (session.segments || []).filter(s => s.type === 'combat');
+  const types = options.types || null;
+  const maxSec = options.maxDuration ?? MAX_WINDOW_SEC;
+  const minSec = Math.min(options.minDuration ?? MIN_WINDOW_SEC, maxSec);
+
+  const windows = [];
+  for (let i = 0; i < cues.length; i++) {
+    const window = buildWindow(cues, i, minSec, maxSec);
+    if (!window) continue;
+    const scored = scoreWindow(window, cues, i, dmName, contextWords);
+    if (types && !types.includes(scored.type)) continue;
+
+    const mid = (scored.startTime + scored.endTime) / 2;
+    if (combatWeight !== 1 && combat.some(s => mid >= s.startTime && mid <= s.endTime)) {
+      scored.score = Math.round(scored.score * combatWeight * 10) / 10;
+      scored.signals.inCombat = true;
+    }
+    windows.push(scored);
+  }
+
+  // Greedy non-overlapping pick, best first
+  windows.sort((a, b) => b.score - a.score);
+  const picked = [];
+  for (const w of windows) {
+    if (w.score <= 0) break;
+    if (picked.some(p => w.startTime < p.endTime && p.startTime < w.endTime)) continue;
+    picked.push(w);
+    if (picked.length >= count) break;
+  }
+
+  // Clip estimate stays in the Shorts range unless the caller asked for other bounds
+  const maxClip = options.maxDuration ?? 45;
+  const minClip = Math.min(options.minDuration ?? 15, maxClip);
+  return picked.map((w, i) => toHighlight(w, i + 1, minClip, maxClip));
+}
+
+/**
+ * Grow a window from cue `startIdx` until it reaches maxSec (MAX_WINDOW_SEC).
+ * Returns null if the remaining transcript is shorter than minSec (MIN_WINDOW_SEC).
+ */
+function buildWindow(cues, startIdx, minSec = MIN_WINDOW_SEC, maxSec = MAX_WINDOW_SEC) {
+  const start = cues[startIdx].start;
+  let endIdx = startIdx;
+  while (endIdx + 1 < cues.length && cues[endIdx + 1].end - start <= maxSec) {
+    endIdx++;
+  }
+  if (cues[endIdx].end - start < minSec) return null;
+  return cues.slice(startIdx, endIdx + 1);
+}
+
+function scoreWindow(windowCues, allCues, startIdx, dmName, contextWords) {
+  const typeVotes = {};
+  const signals = {};
+  const keyCueIds = new Set();
+  let score = 0;
+
+  for (const cue of windowCues) {
+    for (const sig of SIGNALS) {
+      if (!sig.pattern.test(cue.text)) continue;
+      score += sig.weight;
+      typeVotes[sig.type] = (typeVotes[sig.type] || 0) + sig.weight;
+      signals[sig.name] = (signals[sig.name] || 0) + 1;
+      keyCueIds.add(cue.id);
+    }
+    if (contextWords.length > 0) {
+      const lower = cue.text.toLowerCase();
+      const hits = contextWords.filter(w => lower.includes(w)).length;
+      if (hits > 0) {
+        score += Math.min(hits, 2);
+        signals.dmNotes = (signals.dmNotes || 0) + hits;
+        keyCueIds.add(cue.id);
+      }
+    }
+  }
+
+  // Rapid multi-speaker exchange: several voices, frequent hand-offs, short lines
+  const speakers = new Set(windowCues.map(c => c.speaker).filter(Boolean));
+  let switches = 0;
+  for (let i = 1; i < windowCues.length; i++) {
+    if (windowCues[i].speaker && windowCues[i].speaker !== windowCues[i - 1].speaker) switches++;
+  }
+  const duration = windowCues[windowCues.length - 1].end - windowCues[0].start;
+  const switchesPerMin = duration > 0 ? (switches / duration) * 60 : 0;
+  if (speakers.size >= 3) {
+    const bonus = (speakers.size - 2) * 1.5;
+    score += bonus;
+    typeVotes.table_chaos = (typeVotes.table_chaos || 0) + bonus / 2;
+    signals.speakers = speakers.size;
+  }
+  if (switchesPerMin >= 12) {
+    score += 2;
+    typeVotes.funny_banter = (typeVotes.funny_banter || 0) + 1;
+    signals.rapidExchange = Math.round(switchesPerMin);
+  }
+
+  // DM monologue → player reaction: long DM block right before (or opening)
+  // the window, followed by short non-DM lines
+  if (dmName) {
+    const monologue = measureDmBlock(allCues, startIdx, dmName);
+    const reactions = windowCues.filter(c => c.speaker && c.speaker !== dmName && c.text.length < 40).length;
+    if (monologue >= MONOLOGUE_MIN_SEC && reactions >= 2) {
+      score += 3;
+      typeVotes.dramatic_reveal = (typeVotes.dramatic_reveal || 0) + 3;
+      signals.monologueReaction = Math.round(monologue);
+    }
+  }
+
+  // Pure DM narration is what the prompt says to avoid
+  if (dmName && windowCues.every(c => c.speaker === dmName)) {
+    score = 0;
+  }
+
+  const type = Object.entries(typeVotes).sort((a, b) => b[1] - a[1])[0]?.[0] || 'table_chaos';
+
+  return {
+    cues: windowCues,
+    startTime: windowCues[0].start,
+    endTime: windowCues[windowCues.length - 1].end,
+    score: Math.round(score * 10) / 10,
+    type,
+    signals,
+    keyCueIds: [...keyCueIds],
+  };
+}
+
+/**
+ * Seconds of uninterrupted DM speech that opens the window at cue `idx`,
+ * or that ends right before it.
+ */
+function measureDmBlock(cues, idx, dmName) {
+  const anchor = cues[idx].speaker === dmName ? idx : idx - 1;
+  if (anchor < 0 || cues[anchor].speaker !== dmName) return 0;
+
+  let first = anchor;
+  let last = anchor;
+  while (first > 0 && cues[first - 1].speaker === dmName) first--;
+  while (last + 1 < cues.length && cues[last + 1].speaker === dmName) last++;
+  return cues[last].end - cues[first].start;
+}
+
+function extractContextWords(userContext) {
+  return [...new Set(
+    userContext.toLowerCase()
+      .split(/[^a-z0-9']+/)
+      .filter(w => w.length >= 4 && !STOPWORDS.has(w))
+  )];
+}
+
+function toHighlight(w, rank, minClip = 15, maxClip = 45) {
+  const first = w.cues[0];
+  const last = w.cues[w.cues.length - 1];
+  const duration = Math.round(w.endTime - w.startTime);
+  const keyCue = w.cues.find(c => w.keyCueIds.includes(c.id)) || first;
+  const who = keyCue.speaker ? keyCue.speaker.replace(/\s*\(.*\)\s*/, '').trim() : null;
+  const template = BEAT_TEMPLATES[w.type] || BEAT_TEMPLATES.table_chaos;
+
+  return {
+    rank,
+    type: w.type,
+    title: who ? `${TYPE_TITLES[w.type]} — ${who}` : TYPE_TITLES[w.type],
+    startCue: first.id,
+    endCue: last.id,
+    startTime: w.startTime,
+    endTime: w.endTime,
+    emotionalArc: `Setup: "${truncate(first.text, 60)}" Peak: "${truncate(keyCue.text, 60)}" Payoff: "${truncate(last.text, 60)}"`,
+    whyItsGood: `Heuristic pick (score ${w.score}): ${describeSignals(w.signals)}.`,
+    keyDialogueCueIds: w.keyCueIds.length > 0 ? w.keyCueIds : [first.id],
+    estimatedClipDuration: Math.min(maxClip, Math.max(minClip, duration)),
+    contextForViewers: truncate(keyCue.text, 80),
+    animationSequence: template.map((beat, i) => ({
+      order: i + 1,
+      concept: beat.concept,
+      emotion: beat.emotion,
+      suggestedType: w.type,
+      durationWeight: beat.weight,
+    })),
+    source: 'heuristic',
+    score: w.score,
+  };
+}
+
+function describeSignals(signals) {
+  const parts = [];
+  if (signals.nat20) parts.push(`${signals.nat20}× nat 20 / crit call`);
+  if (signals.nat1) parts.push(`${signals.nat1}× nat 1 / crit fail call`);
+  if (signals.laughter) parts.push(`${signals.laughter}× laughter`);
+  if (signals.shock) parts.push(`${signals.shock}× shocked reaction`);
+  if (signals.speakers) parts.push(`${signals.speakers} speakers`);
+  if (signals.rapidExchange) parts.push(`${signals.rapidExchange} speaker switches/min`);
+  if (signals.monologueReaction) parts.push(`${signals.monologueReaction}s DM buildup → reactions`);
+  if (signals.combat) parts.push(`${signals.combat}× combat language`);
+  if (signals.treasure) parts.push(`${signals.treasure}× loot language`);
+  if (signals.dread) parts.push(`${signals.dread}× dread language`);
+  if (signals.chaos) parts.push(`${signals.chaos}× chaos language`);
+  if (signals.dmNotes) parts.push(`${signals.dmNotes}× DM note keywords`);
+  if (signals.inCombat) parts.push('inside a combat encounter');
+  return parts.join(', ') || 'general activity';
+}
+
+function truncate(text, max) {
+  return text.length > max ? text.substring(0, max - 1) + '…' : text;
+}
@@ -0,0 +1,154 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { completeWithRetry } from './llm-provider.js';
+import { isNotable } from './dice-rolls.js';
+
+/**
+ * Judge pass — the "reduce" step after chunked highlight finding.
+ *
+ * Each chunk's highlights are ranked only against that chunk. The judge
+ * gets a compact summary of every candidate (type, title, time, why it's
+ * good, a few lines of key dialogue, combat / dice context) and returns
+ * one global ranking with a justification per candidate.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const PROMPT_PATH = join(__dirname, '..', 'prompts', 'highlight-judge.md');
+
+// Candidates sent to the judge (best local ranks first)
+const MAX_CANDIDATES = 12;
+// Key dialogue lines quoted per candidate
+const MAX_DIALOGUE_LINES = 4;
+const MAX_LINE_CHARS = 120;
+
+/**
+ * Rank chunk candidates globally.
+ *
+ * @param {object} provider - From createProvider()
+ * @param {object[]} candidates - Deduplicated chunk highlights, best local rank first
+ * @param {object} session - Parsed session (cues, segments, diceRolls)
+ * @param {object} [options] - { userContext, combatWeight }
+ * @returns {Promise<object[]>} Candidates in global order with `rank` and
+ *   `judgeJustification`
+ */
+export async function judgeHighlights(provider, candidates, session, options = {}) {
+  const pool = candidates.slice(0, MAX_CANDIDATES);
+  const ids = pool.map((h, i) => `c${i + 1}`);
+
+  const systemPrompt = readFileSync(PROMPT_PATH, 'utf-8');
+  const userMessage = buildJudgeMessage(pool, ids, session, options);
+
+  console.log(`\nJudging ${pool.length} candidates across chunks (~${Math.round(userMessage.length / 4 / 1000)}k tokens)...`);
+  const { text } = await completeWithRetry(provider, {
+    system: systemPrompt,
+    user: userMessage,
+    maxTokens: 2048,
+    purpose: 'judge',
+  });
+
+  const verdicts = parseVerdicts(text, provider);
+  const byId = new Map(ids.map((id, i) => [id, pool[i]]));
+
+  const ranked = [];
+  const seen = new Set();
+  for (const v of [...verdicts].sort((a, b) => (a.rank || 99) - (b.rank || 99))) {
+    const h = byId.get(String(v.id));
+    if (!h || seen.has(h)) continue;
+    seen.add(h);
+    ranked.push({ ...h, judgeJustification: v.justification || null });
+  }
+
+  // Anything the judge skipped keeps its local order after the judged ones
+  const skipped = candidates.filter(h => !seen.has(h)).map(h => ({ ...h, judgeJustification: null }));
+  if (skipped.length > 0 && ranked.length > 0) {
+    console.log(`  Judge ranked ${ranked.length} of ${candidates.length} candidates; the rest keep their chunk order.`);
+  }
+
+  return [...ranked, ...skipped].map((h, i) => ({ ...h, rank: i + 1 }));
+}
+
+/**
+ * Candidate summaries for the judge prompt.
+ */
+function buildJudgeMessage(pool, ids, session, options) {
+  const combat = (session.segments || []).filter(s => s.type === 'combat');
+  const cueById = new Map(session.cues.map(c => [c.id, c]));
+  const rolls = (session.diceRolls || []).filter(r => !r.call && isNotable(r));
+
+  const blocks = pool.map((h, i) => {
+    const start = h.startTime || 0;
+    const end = h.endTime || 0;
+    const mid = (start + end) / 2;
+
+    const lines = [
+      `### ${ids[i]} — ${h.type || 'unknown'}: ${h.title || 'Untitled'}`,
+      `Time: ${formatTime(start)}–${formatTime(end)} (${Math.round(end - start)}s)` +
+        (h.chunk ? ` · chunk ${h.chunk}, chunk rank ${h.chunkRank ?? '?'}` : ''),
+    ];
+    if (combat.some(s => mid >= s.startTime && mid <= s.endTime)) lines.push('During a combat encounter');
+
+    const momentRolls = rolls.filter(r => r.time >= start && r.time <= end);
+    if (momentRolls.length > 0) {
+      lines.push(`Dice: ${momentRolls.map(r => (r.natural ? `nat ${r.natural}` : r.value) + (r.outcome !== 'unknown' ? ` (${r.outcome})` : '')).join(', ')}`);
+    }
+    if (h.whyItsGood) lines.push(`Why: ${h.whyItsGood}`);
+    if (h.emotionalArc) lines.push(`Arc: ${h.emotionalArc}`);
+
+    const dialogue = (h.keyDialogueCueIds || [])
+      .map(id => cueById.get(id))
+      .filter(Boolean)
+      .slice(0, MAX_DIALOGUE_LINES)
+      .map(c => `  > ${c.speaker ? `${c.speaker}: ` : ''}${clip(c.text)}`);
+    if (dialogue.length > 0) lines.push('Key dialogue:', ...dialogue);
+
+    return lines.join('\n');
+  });
+
+  let message = `## Session
+File: ${session.sessionFile}
+Duration: ${session.duration}
+Candidates: ${pool.length}
+`;
+
+  if (combat.length > 0 && (options.combatWeight || 1) > 1) {
+    message += `
+Combat encounters are where the best clips usually are. When two moments are otherwise close, prefer the one during a combat encounter.
+`;
+  }
+
+  if (options.userContext) {
+    message += `
+## DM Notes (what the DM thinks was important)
+${options.userContext}
+`;
+  }
+
+  return message + `\n## Candidates\n\n${blocks.join('\n\n')}\n`;
+}
+
+function parseVerdicts(responseText, provider) {
+  let jsonStr = responseText;
+  const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (jsonMatch) {
+    jsonStr = jsonMatch[1];
+  }
+
+  try {
+    const verdicts = JSON.parse(jsonStr.trim());
+    return Array.isArray(verdicts) ? verdicts : [verdicts];
+  } catch (e) {
+    throw new Error(`${provider.name} judge returned non-JSON response: ${e.message}`);
+  }
+}
+
+function formatTime(sec) {
+  const mins = Math.floor(sec / 60);
+  const secs = Math.floor(sec % 60);
+  return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
+
+function clip(text) {
+  return text.length > MAX_LINE_CHARS ? text.substring(0, MAX_LINE_CHARS - 1) + '…' : text;
+}
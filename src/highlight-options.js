@@ -0,0 +1,157 @@
+/**
+ * What to look for: how many clips, which moment types, how long.
+ *
+ *   {
+ *     count: 3,                          // clips to produce (1–10)
+ *     includeTypes: ['funny_banter'],    // only these types (null = any)
+ *     excludeTypes: ['atmosphere_dread'],
+ *     minDuration: 15,                   // clip length bounds in seconds
+ *     maxDuration: 45,                   // (null = the prompt's 15–45s default)
+ *   }
+ *
+ * Options flow into the highlight-finder prompt (see highlightRequirements)
+ * and into post-filtering of whatever comes back (see filterHighlights).
+ */
+
+// Must match the moment types table in prompts/highlight-finder.md
+export const MOMENT_TYPES = [
+  'epic_roll', 'funny_banter', 'dramatic_reveal', 'combat_climax',
+  'treasure_reward', 'atmosphere_dread', 'character_moment', 'table_chaos',
+];
+
+const DEFAULT_COUNT = 3;
+const MAX_COUNT = 10;
+
+/**
+ * Validate and fill in highlight options. Accepts strings from form fields
+ * and CLI flags ("2", "funny_banter,epic_roll").
+ *
+ * @param {object} [raw]
+ * @returns {{ count: number, includeTypes: string[]|null, excludeTypes: string[], minDuration: number|null, maxDuration: number|null }}
+ * @throws {Error} On unknown moment types or impossible bounds
+ */
+export function normalizeHighlightOptions(raw = {}) {
+  const count = raw.count === undefined || raw.count === null || raw.count === ''
+    ? DEFAULT_COUNT
+    : parseInt(raw.count, 10);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+    throw new Error(`Highlight count must be between 1 and ${MAX_COUNT}`);
+  }
+
+  const includeTypes = parseTypes(raw.includeTypes);
+  const excludeTypes = parseTypes(raw.excludeTypes) || [];
+  const minDuration = parseSeconds(raw.minDuration, 'minDuration');
+  const maxDuration = parseSeconds(raw.maxDuration, 'maxDuration');
+
+  if (minDuration !== null && maxDuration !== null && minDuration > maxDuration) {
+    throw new Error(`minDuration (${minDuration}s) is longer than maxDuration (${maxDuration}s)`);
+  }
+  if (includeTypes && includeTypes.every(t => excludeTypes.includes(t))) {
+    throw new Error('Every included moment type is also excluded');
+  }
+
+  return {
+    count,
+    includeTypes,
+    excludeTypes,
+    minDuration,
+    maxDuration,
+  };
+}
+
+/**
+ * Moment types the options allow, in table order.
+ */
+export function allowedTypes(options) {
+  return MOMENT_TYPES.filter(t =>
+    (!options.includeTypes || options.includeTypes.includes(t)) && !options.excludeTypes.includes(t)
+  );
+}
+
+/**
+ * True when the options only ask for the defaults (3 clips, any type,
+ * the prompt's own duration range).
+ */
+export function isDefaultHighlightOptions(options) {
+  return options.count === DEFAULT_COUNT && !options.includeTypes && options.excludeTypes.length === 0 &&
+    options.minDuration === null && options.maxDuration === null;
+}
+
+/**
+ * "## Highlight Requirements" prompt section — overrides the 2-3 count,
+ * the type table and the 15–45s range in the system prompt.
+ */
+export function highlightRequirements(options) {
+  if (isDefaultHighlightOptions(options)) return '';
+
+  const lines = [`- Return up to ${options.count} highlight${options.count === 1 ? '' : 's'}, best first (this replaces "2-3")`];
+  const types = allowedTypes(options);
+  if (types.length < MOMENT_TYPES.length) {
+    lines.push(`- Only these moment types: ${types.map(t => `\`${t}\``).join(', ')}. Skip everything else, even if it's a great moment`);
+  }
+  if (options.minDuration !== null || options.maxDuration !== null) {
+    const min = options.minDuration ?? 0;
+    const range = options.maxDuration !== null ? `${min}-${options.maxDuration}` : `at least ${min}`;
+    lines.push(`- \`estimatedClipDuration\` (and endTime - startTime) must be ${range} seconds`);
+  }
+
+  return `
+## Highlight Requirements (for this request)
+${lines.join('\n')}
+`;
+}
+
+/**
+ * Drop highlights of disallowed types or out-of-range length, then keep
+ * the best `count` and re-number ranks.
+ *
+ * @param {object[]} highlights - Ranked best first
+ * @param {object} options - From normalizeHighlightOptions()
+ * @returns {object[]}
+ */
+export function filterHighlights(highlights, options) {
+  const kept = highlights.filter(h => matchesHighlightOptions(h, options));
+
+  const dropped = highlights.length - kept.length;
+  if (dropped > 0) {
+    console.log(`  Dropped ${dropped} highlight${dropped === 1 ? '' : 's'} outside the requested types/durations`);
+  }
+  return kept.slice(0, options.count).map((h, i) => ({ ...h, rank: i + 1 }));
+}
+
+/**
+ * Whether one highlight fits the requested types and clip length.
+ */
+export function matchesHighlightOptions(h, options) {
+  if (h.type && !allowedTypes(options).includes(h.type)) return false;
+  const duration = clipDuration(h);
+  if (duration === null) return true;
+  if (options.minDuration !== null && duration < options.minDuration) return false;
+  if (options.maxDuration !== null && duration > options.maxDuration) return false;
+  return true;
+}
+
+function clipDuration(h) {
+  if (typeof h.estimatedClipDuration === 'number') return h.estimatedClipDuration;
+  if (typeof h.startTime === 'number' && typeof h.endTime === 'number') return h.endTime - h.startTime;
+  return null;
+}
+
+function parseTypes(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const types = [...new Set(list.map(t => String(t).trim()).filter(Boolean))];
+  if (types.length === 0) return null;
+  const unknown = types.filter(t => !MOMENT_TYPES.includes(t));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown moment type: ${unknown.join(', ')} (expected ${MOMENT_TYPES.join(', ')})`);
+  }
+  return types;
+}
+
+function parseSeconds(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) throw new Error(`${name} must be a positive number of seconds`);
+  return seconds;
+}
@@ -1,10 +1,17 @@
-import { parseVTT } from './parse-vtt.js';
+import { parseTranscripts, parseOffset } from './transcript-formats.js';
 import { findHighlights } from './find-highlights.js';
-import { generateWithRetry } from './generate-animation.js';
+import { generateWithRetry, generateCandidates, reviseWithRetry, writeAnimationFiles } from './generate-animation.js';
+import { recordVersion, readVersion, listVersions } from './animation-versions.js';
 import { exportAnimation } from './export-animation.js';
 import { findMatch, getAnimationHtml, listAnimations } from './library.js';
-import { writeFileSync, mkdirSync, existsSync, readFileSync, cpSync } from 'fs';
-import { join, resolve } from 'path';
+import { campaignId, loadCast, saveCast, mergeCast, loadGlossary } from './campaign.js';
+import { glossaryTerms } from './glossary.js';
+import { loadMemory, rememberSession, markPublished } from './campaign-memory.js';
+import { summarizeEpisode, summaryMarkdown, clipDescription } from './episode-summary.js';
+import { normalizeHighlightOptions } from './highlight-options.js';
+import { boundaryOptions } from './refine-boundaries.js';
+import { writeFileSync, mkdirSync, existsSync, readFileSync, readdirSync, cpSync } from 'fs';
+import { join, resolve, dirname } from 'path';
 import archiver from 'archiver';
 import { createWriteStream } from 'fs';
 
@@ -18,28 +25,79 @@ import { createWriteStream } from 'fs';
  *     animations: [{
  *       order, concept, emotion, suggestedType, durationWeight,
  *       decision, libraryMatch, reason,
- *       status, animDir, animationHtml, exportFiles, error
+ *       status, animDir, animationHtml, exportFiles, error,
+ *       warnings,  // validation problems left after repair (see validate-animation.js);
+ *                  // every attempt is kept in animDir/attempts/
+ *       candidates, selectedCandidate  // key beats: scored alternates in
+ *                  // animDir/candidates/ (see generateCandidates)
+ *       // ANIMATION_FORMAT=spec also leaves animDir/animation.json, the spec
+ *       // animation.html was compiled from (see animation-spec.js)
+ *       version    // current entry in animDir/versions/ (see animation-versions.js)
  *     }, ...]
  *   }
  */
 
 // Session states: uploaded → analyzing → plan_ready → generating → exporting → complete → failed
 const sessions = new Map();
+// Session ID → cassette recordings already replayed in its current run
+const replayRuns = new Map();
 
 const INTER_ANIMATION_DELAY_MS = 35000; // 35s between API calls to stay under rate limit
 
+// Candidates generated for each clip's key beat. Opt-in with
+// ANIMATION_CANDIDATES=N: every candidate is a full generation (N× the
+// model calls and cost for that beat, plus a preview export each)
+const DEFAULT_ANIMATION_CANDIDATES = 1;
+
+const OUTPUT_DIR = 'output';
+
+// Stages that only make sense while a background task is running —
+// a session found in one of these on boot was cut off by a restart
+const IN_FLIGHT_STAGES = ['uploaded', 'analyzing', 'generating', 'exporting'];
+
 /**
- * Create a new session from an uploaded VTT file.
+ * Create a new session from one or more uploaded transcript files (any
+ * format in transcript-formats.js — the `vttPath` name predates that).
+ *
+ * @param {string|object[]} vttPath - A file path, or several transcripts to
+ *   merge: [{ path, name, offset, speaker }] (see parseTranscripts)
+ * @param {string} [userContext]
+ * @param {object} [opts] - {
+ *   originalName: uploaded file name (used for format detection),
+ *   replayFrom: session ID whose LLM cassette should be replayed,
+ *   campaign: campaign name whose cast file is applied when parsing,
+ *   highlightOptions: { count, includeTypes, excludeTypes, minDuration,
+ *     maxDuration } (see highlight-options.js),
+ *   clipPadding: { preRoll, postRoll } seconds (see refine-boundaries.js)
+ * }
  */
-export function createSession(vttPath, userContext = '') {
+export function createSession(vttPath, userContext = '', opts = {}) {
+  const transcripts = Array.isArray(vttPath)
+    ? vttPath.map(t => ({ path: resolve(t.path), name: t.name || null, offset: parseOffset(t.offset), speaker: t.speaker || null }))
+    : [{ path: resolve(vttPath), name: opts.originalName || null, offset: 0, speaker: null }];
+
+  let replaySource = null;
+  if (opts.replayFrom) {
+    const source = sessions.get(opts.replayFrom);
+    if (!source) throw new Error(`Session to replay not found: ${opts.replayFrom}`);
+    replaySource = join(source.outDir, 'session-data', 'cassette.json');
+    if (!existsSync(replaySource)) throw new Error(`Session ${opts.replayFrom} has no recorded cassette`);
+  }
+
   const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
-  const outDir = join('output', `session_${id}`);
+  const outDir = join(OUTPUT_DIR, `session_${id}`);
   mkdirSync(join(outDir, 'session-data'), { recursive: true });
 
+  // Replay sessions get their own copy so the source cassette is never touched
+  if (replaySource) {
+    cpSync(replaySource, join(outDir, 'session-data', 'cassette.json'));
+  }
+
   const session = {
     id,
     stage: 'uploaded',
-    vttPath: resolve(vttPath),
+    vttPath: transcripts[0].path,
+    transcripts,
     userContext,
     outDir: resolve(outDir),
     createdAt: new Date().toISOString(),
@@ -49,6 +107,14 @@ export function createSession(vttPath, userContext = '') {
     highlights: null,
     segments: null,
     estimatedMinutes: null,
+    cassetteMode: replaySource ? 'replay' : 'record',
+    replayedFrom: opts.replayFrom || null,
+    campaign: campaignId(opts.campaign) || null,
+    castOverrides: null,
+    highlightOptions: normalizeHighlightOptions(opts.highlightOptions || {}),
+    clipPadding: boundaryOptions(opts.clipPadding || {}),
+    coverage: null,
+    episode: null,
   };
 
   sessions.set(id, session);
@@ -64,17 +130,86 @@ export function getSession(id) {
 }
 
 /**
- * List all sessions.
+ * List all sessions, newest first.
  */
 export function listSessions() {
-  return Array.from(sessions.values()).map(s => ({
-    id: s.id,
-    stage: s.stage,
-    createdAt: s.createdAt,
-    error: s.error,
-    progress: s.progress,
-    segmentCount: s.segments?.length || 0,
-  }));
+  return Array.from(sessions.values())
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+    .map(s => ({
+      id: s.id,
+      stage: s.stage,
+      createdAt: s.createdAt,
+      error: s.error,
+      progress: s.progress,
+      segmentCount: s.segments?.length || 0,
+      interruptedStage: s.interruptedStage || null,
+    }));
+}
+
+/**
+ * Rebuild the in-memory session map from state.json files under output/.
+ * Called once on server boot so sessions survive a restart.
+ *
+ * Sessions caught mid-task are marked failed (the background task died
+ * with the old process) and remember which stage they were in.
+ *
+ * @param {string} [outputDir] - Directory holding session_<id> folders
+ * @returns {number} Number of sessions loaded
+ */
+export function loadSessions(outputDir = OUTPUT_DIR) {
+  if (!existsSync(outputDir)) return 0;
+
+  let loaded = 0;
+  for (const entry of readdirSync(outputDir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || !entry.name.startsWith('session_')) continue;
+
+    // CLI runs (bin/pipeline.js) write session folders without state.json
+    const sessionDir = join(outputDir, entry.name);
+    if (!existsSync(join(sessionDir, 'state.json'))) continue;
+
+    try {
+      if (loadSession(sessionDir)) loaded++;
+    } catch (err) {
+      console.warn(`Skipping ${entry.name}: could not load state (${err.message})`);
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Load a single session folder (one containing state.json) into memory.
+ * Returns the already-loaded session if its ID is known.
+ *
+ * @param {string} sessionDir - Path to an output/session_<id> folder
+ * @returns {object|null} The session, or null if the folder has no usable state
+ */
+export function loadSession(sessionDir) {
+  const statePath = join(sessionDir, 'state.json');
+  if (!existsSync(statePath)) return null;
+
+  const session = JSON.parse(readFileSync(statePath, 'utf-8'));
+  if (!session.id) return null;
+  if (sessions.has(session.id)) return sessions.get(session.id);
+
+  session.outDir = resolve(sessionDir);
+
+  // parsedSession is left out of state.json — re-read it from session-data
+  const sessionDataPath = join(session.outDir, 'session-data', 'session.json');
+  session.parsedSession = existsSync(sessionDataPath)
+    ? JSON.parse(readFileSync(sessionDataPath, 'utf-8'))
+    : null;
+
+  if (IN_FLIGHT_STAGES.includes(session.stage)) {
+    session.interruptedStage = session.stage;
+    session.stage = 'failed';
+    session.error = `Interrupted by server restart during ${session.interruptedStage}`;
+    session.progress = { message: session.error, percent: session.progress?.percent || 0 };
+    saveState(session);
+  }
+
+  sessions.set(session.id, session);
+  return session;
 }
 
 /**
@@ -97,18 +232,23 @@ export async function runAnalysis(sessionId) {
 
   session.stage = 'analyzing';
   session.progress = { message: 'Parsing transcript...', percent: 10 };
+  startReplayRun(session);
   saveState(session);
 
   try {
-    // Parse VTT
-    const parsed = parseVTT(session.vttPath);
+    // Parse transcript(s) (format auto-detected, multiple files merged)
+    const transcripts = session.transcripts || [{ path: session.vttPath }];
+    // Campaign cast + glossary fix speaker names and proper-noun spellings
+    const cast = mergeCast(loadCast(session.campaign), session.castOverrides);
+    const glossary = glossaryTerms(loadGlossary(session.campaign), cast);
+    const parsed = parseTranscripts(transcripts, { cast, glossary });
     session.parsedSession = parsed;
 
     // Validate we got actual content
     if (!parsed.cues || parsed.cues.length === 0) {
       throw new Error(
-        'VTT file parsed but contained 0 dialogue cues. ' +
-        'Make sure this is a Zoom transcript VTT file (not a caption-only or empty file).'
+        `Transcript parsed as ${parsed.format} but contained 0 dialogue cues. ` +
+        'Make sure this is a timestamped session transcript (not a caption-only or empty file).'
       );
     }
 
@@ -117,6 +257,9 @@ export async function runAnalysis(sessionId) {
     }
 
     console.log(`Parsed ${parsed.cues.length} cues, ${parsed.speakers.length} speakers, duration ${parsed.duration}`);
+    if (parsed.corrections?.replacements) {
+      console.log(`Glossary: corrected ${parsed.corrections.replacements} name(s) in ${parsed.corrections.cueCount} cues`);
+    }
 
     const sessionDataPath = join(session.outDir, 'session-data', 'session.json');
     writeFileSync(sessionDataPath, JSON.stringify(parsed, null, 2));
@@ -125,13 +268,43 @@ export async function runAnalysis(sessionId) {
     saveState(session);
 
     // Find highlights
-    const highlights = await findHighlights(parsed, { userContext: session.userContext });
+    session.coverage = null;
+    const highlights = await findHighlights(parsed, {
+      userContext: session.userContext,
+      cassette: cassetteFor(session),
+      ...(session.highlightOptions || {}),
+      ...(session.clipPadding || {}),
+      memory: session.campaign ? loadMemory(session.campaign) : null,
+      memoryKey: session.id,
+      onCoverage: (coverage) => { session.coverage = coverage; },
+    });
+
+    // Resolve key dialogue cue IDs to (corrected) lines for the animation prompt
+    for (const h of highlights) {
+      if (!h.keyDialogue) h.keyDialogue = keyDialogueLines(parsed, h.keyDialogueCueIds).join(' / ') || null;
+    }
+
+    // Episode summary + YouTube description/hashtags per clip
+    session.progress = { message: 'Writing episode summary...', percent: 45 };
+    saveState(session);
+    const summary = await summarizeEpisode(parsed, highlights, {
+      userContext: session.userContext,
+      cassette: cassetteFor(session),
+    });
+    highlights.forEach((h, i) => {
+      h.description = summary.clips[i].description;
+      h.hashtags = summary.clips[i].hashtags;
+    });
+    writeFileSync(join(session.outDir, 'session-data', 'summary.md'), summaryMarkdown(summary, parsed, highlights));
+    session.episode = { title: summary.title, cliffhanger: summary.cliffhanger, source: summary.source };
 
     const highlightsPath = join(session.outDir, 'session-data', 'highlights.json');
     writeFileSync(highlightsPath, JSON.stringify({
       sessionFile: parsed.sessionFile,
       analyzedAt: new Date().toISOString(),
       userContext: session.userContext,
+      highlightOptions: session.highlightOptions || null,
+      coverage: session.coverage,
       highlights,
     }, null, 2));
 
@@ -180,6 +353,7 @@ export async function runAnalysis(sessionId) {
     });
 
     session.segments = segments;
+    if (session.campaign) updateMemory(() => rememberSession(session.campaign, session.id, parsed, highlights));
     session.stage = 'plan_ready';
     session.progress = { message: 'Plan ready for review', percent: 50 };
 
@@ -209,12 +383,22 @@ export async function runAnalysis(sessionId) {
 /**
  * Run generation + export for all approved segments.
  * Processes animations SEQUENTIALLY to respect rate limits.
+ *
+ * With `resume`, work already on disk is kept: exported animations are
+ * skipped, animations with an animation.html but no video are only
+ * re-exported, and everything else is generated again.
+ *
+ * @param {string} sessionId
+ * @param {object} [opts] - { resume }
  */
-export async function runGeneration(sessionId) {
+export async function runGeneration(sessionId, opts = {}) {
   const session = sessions.get(sessionId);
   if (!session) throw new Error(`Session not found: ${sessionId}`);
   if (!session.segments) throw new Error('No segments to generate');
 
+  const resume = opts.resume ?? false;
+  startReplayRun(session);
+
   session.stage = 'generating';
   session.progress = { message: 'Generating animations...', percent: 55 };
   saveState(session);
@@ -224,6 +408,7 @@ export async function runGeneration(sessionId) {
 
   try {
     let animIndex = 0;
+    let apiCalls = 0;
     const totalAnims = session.segments.reduce((sum, s) => sum + s.animations.length, 0);
 
     // Process segments sequentially
@@ -231,6 +416,7 @@ export async function runGeneration(sessionId) {
       const segDir = join(session.outDir, `segment_${String(seg.index + 1).padStart(2, '0')}_${slugify(seg.highlight.title)}`);
       mkdirSync(segDir, { recursive: true });
       seg.segDir = segDir;
+      writeFileSync(join(segDir, 'description.txt'), clipDescription(seg.highlight));
 
       // Process each animation sequentially (rate limit compliance)
       for (const anim of seg.animations) {
@@ -239,6 +425,24 @@ export async function runGeneration(sessionId) {
         mkdirSync(animDir, { recursive: true });
         anim.animDir = animDir;
 
+        if (resume) {
+          const htmlPath = join(animDir, 'animation.html');
+          if (anim.status === 'complete' && hasExportedVideo(animDir)) {
+            console.log(`  Resume: already complete — ${anim.concept.substring(0, 50)}`);
+            continue;
+          }
+          if (existsSync(htmlPath)) {
+            // Generated before the interruption — only the export is missing
+            anim.animationHtml = readFileSync(htmlPath, 'utf-8');
+            anim.status = 'generated';
+            anim.error = null;
+            console.log(`  Resume: re-exporting — ${anim.concept.substring(0, 50)}`);
+            continue;
+          }
+          anim.status = 'pending';
+          anim.error = null;
+        }
+
         // REUSE: copy from library
         if (anim.decision === 'REUSE' && anim.libraryMatch) {
           anim.status = 'generating';
@@ -246,8 +450,7 @@ export async function runGeneration(sessionId) {
 
           const html = getAnimationHtml(anim.libraryMatch.id);
           if (html) {
-            writeFileSync(join(animDir, 'animation.html'), html);
-            anim.animationHtml = html;
+            useAnimation(anim, { html }, { kind: 'reuse' });
             anim.status = 'generated';
             console.log(`  Reused: ${anim.libraryMatch.name} → ${anim.concept}`);
             updateAnimProgress(session, animIndex, totalAnims);
@@ -262,31 +465,54 @@ export async function runGeneration(sessionId) {
         updateAnimProgress(session, animIndex, totalAnims);
         saveState(session);
 
-        // Wait between API calls to respect rate limits
-        if (animIndex > 1) {
+        // Wait between API calls to respect rate limits (replays make no real calls)
+        if (apiCalls > 0 && session.cassetteMode !== 'replay') {
           console.log(`  Waiting ${INTER_ANIMATION_DELAY_MS / 1000}s for rate limit...`);
           await sleep(INTER_ANIMATION_DELAY_MS);
         }
 
+        apiCalls++;
         try {
-          const result = await generateWithRetry({
+          const params = {
             moment: seg.highlight,
             decision: anim.decision,
             concept: anim.concept,
             adaptFromId: anim.decision === 'ADAPT' && anim.libraryMatch ? anim.libraryMatch.id : undefined,
             exampleId,
-          });
+            options: { cassette: cassetteFor(session) },
+          };
+
+          // Key beats get several scored candidates when enabled; the rest stay as alternates
+          const count = candidateCount(seg, anim);
+          let result;
+          if (count > 1) {
+            const generated = await generateCandidates(params, {
+              count,
+              dir: animDir,
+              delayMs: session.cassetteMode === 'replay' ? 0 : INTER_ANIMATION_DELAY_MS,
+            });
+            result = generated.best;
+            anim.candidates = generated.candidates;
+            anim.selectedCandidate = generated.candidates[0].index;
+          } else {
+            result = await generateWithRetry(params, { attemptsDir: animDir });
+          }
 
           if (result.valid) {
-            writeFileSync(join(animDir, 'animation.html'), result.html);
-            anim.animationHtml = result.html;
+            useAnimation(anim, result, { kind: 'generate' });
             anim.status = 'generated';
+            anim.warnings = null;
             console.log(`  Generated: ${anim.concept.substring(0, 50)}... (valid)`);
+          } else if (!result.html) {
+            // Nothing to show (e.g. a spec that never validated) — the attempts are in attempts/
+            anim.status = 'failed';
+            anim.error = `No usable animation: ${result.errors[0]}`;
+            console.error(`  Failed: ${anim.concept.substring(0, 50)}... — ${anim.error}`);
           } else {
             // Still save for manual inspection
-            writeFileSync(join(animDir, 'animation.html'), result.html);
-            anim.animationHtml = result.html;
+            useAnimation(anim, result, { kind: 'generate' });
             anim.status = 'generated'; // allow export attempt even with validation warnings
+            anim.warnings = result.errors;
             console.warn(`  Generated with warnings: ${result.errors.join(', ')}`);
           }
         } catch (err) {
@@ -345,7 +571,7 @@ export async function runGeneration(sessionId) {
       }
 
       // Write director's notes per segment (clip)
-      const notes = generateDirectorsNotes(seg);
+      const notes = generateDirectorsNotes(seg, session.parsedSession);
       writeFileSync(join(seg.segDir, 'directors-notes.md'), notes);
 
       // Update segment-level status
@@ -354,6 +580,11 @@ export async function runGeneration(sessionId) {
         : 'failed';
     }
 
+    const published = session.segments.filter(s => s.status !== 'failed').map(s => s.highlight);
+    if (session.campaign && published.length > 0) {
+      updateMemory(() => markPublished(session.campaign, session.id, session.parsedSession, published));
+    }
+
     session.stage = 'complete';
     session.progress = { message: 'All done!', percent: 100 };
     saveState(session);
@@ -368,80 +599,266 @@ export async function runGeneration(sessionId) {
 }
 
 /**
- * Regenerate a single animation within a clip.
+ * Resume a session from its persisted state after an interruption.
+ * Sessions that never got a plan are re-analyzed; sessions with a plan
+ * pick up generation/export where they left off.
  */
-export async function regenerateAnimation(sessionId, segmentIndex, animIndex, rationale) {
+export async function resumeSession(sessionId) {
   const session = sessions.get(sessionId);
   if (!session) throw new Error(`Session not found: ${sessionId}`);
 
-  const seg = session.segments[segmentIndex];
-  if (!seg) throw new Error(`Segment ${segmentIndex} not found`);
+  session.error = null;
+  delete session.interruptedStage;
 
-  const anim = seg.animations[animIndex];
-  if (!anim) throw new Error(`Animation ${animIndex} not found in segment ${segmentIndex}`);
+  if (!session.segments) {
+    return runAnalysis(sessionId);
+  }
+  return runGeneration(sessionId, { resume: true });
+}
+
+/**
+ * Correct speaker identities for a parsed session. The corrections are
+ * stored as a session-level cast layered over the campaign cast (and
+ * optionally saved into the campaign's cast.json); call runAnalysis()
+ * afterwards so highlights are found with the right names.
+ *
+ * @param {string} sessionId
+ * @param {object[]} corrections - [{ name, role: 'dm'|'player', player, character }]
+ *   `name` is the speaker name as currently shown in parsedSession.speakers
+ * @param {object} [opts] - { saveToCampaign, campaign: name to save under }
+ * @returns {object} The session's cast overrides
+ */
+export function updateSpeakers(sessionId, corrections, opts = {}) {
+  const session = sessions.get(sessionId);
+  if (!session) throw new Error(`Session not found: ${sessionId}`);
+  if (!session.parsedSession) throw new Error('Session has not been parsed yet');
+
+  const known = new Map(session.parsedSession.speakers.map(s => [s.name, s]));
+  const override = { dm: null, players: [] };
+
+  for (const c of corrections) {
+    const speaker = known.get(c.name);
+    if (!speaker) throw new Error(`Unknown speaker: ${c.name}`);
+
+    const player = (c.player || speaker.player || speaker.name.replace(/\([^)]*\)/g, '')).trim();
+    const aliases = speaker.displayNames || [speaker.name];
+
+    if (c.role === 'dm') {
+      if (override.dm) throw new Error(`Only one DM allowed (got ${override.dm.player} and ${player})`);
+      override.dm = { player, aliases };
+    } else {
+      const character = c.character !== undefined ? c.character || null : speaker.character;
+      override.players.push({ player, character, aliases });
+    }
+  }
+
+  session.castOverrides = mergeCast(session.castOverrides, override);
+
+  if (opts.campaign) session.campaign = campaignId(opts.campaign) || session.campaign;
+  if (opts.saveToCampaign) {
+    if (!session.campaign) throw new Error('Pick a campaign name to save the cast to');
+    saveCast(session.campaign, mergeCast(loadCast(session.campaign), override));
+    console.log(`Saved cast for campaign ${session.campaign}`);
+  }
 
+  saveState(session);
+  return session.castOverrides;
+}
+
+/**
+ * Regenerate a single animation within a clip.
+ *
+ * @param {string} rationale - Why it was rejected / what to change
+ * @param {'regenerate'|'edit'} [mode] - 'regenerate' creates a fresh
+ *   animation from the concept; 'edit' applies the rationale to the
+ *   current animation as a targeted revision (see reviseAnimation). An
+ *   edit that still fails validation after repair is not applied.
+ */
+export async function regenerateAnimation(sessionId, segmentIndex, animIndex, rationale, mode = 'regenerate') {
+  const { session, seg, anim } = findAnimation(sessionId, segmentIndex, animIndex);
+  if (mode === 'edit' && !existsSync(join(anim.animDir || '', 'animation.html'))) {
+    throw new Error('Nothing to edit yet — the animation has not been generated');
+  }
+
+  startReplayRun(session);
+  const previousStatus = anim.status;
   anim.status = 'generating';
   anim.error = null;
   session.stage = 'generating';
-  updateAnimProgress(session, 1, 1);
+  updateAnimProgress(session, 1, 1, mode === 'edit' ? 'Editing' : undefined);
   saveState(session);
 
   const library = listAnimations();
   const exampleId = library.length > 0 ? library[0].id : null;
 
   try {
-    const result = await generateWithRetry({
-      moment: seg.highlight,
-      decision: 'CREATE', // Always create fresh on regeneration
-      concept: anim.concept,
-      rejectionFeedback: rationale,
-      exampleId,
-    });
-
-    if (result.valid || result.html) {
-      writeFileSync(join(anim.animDir, 'animation.html'), result.html);
-      anim.animationHtml = result.html;
-      anim.status = 'generated';
+    const current = ensureVersioned(anim);
+    const options = { cassette: cassetteFor(session) };
+    const result = mode === 'edit'
+      ? await reviseWithRetry({
+          moment: seg.highlight,
+          concept: anim.concept,
+          html: current.html,
+          spec: current.spec,
+          instruction: rationale,
+          options,
+        }, { attemptsDir: anim.animDir })
+      : await generateWithRetry({
+          moment: seg.highlight,
+          decision: 'CREATE', // Always create fresh on regeneration
+          concept: anim.concept,
+          rejectionFeedback: rationale,
+          exampleId,
+          options,
+        }, { attemptsDir: anim.animDir });
+
+    if (!result.html || (mode === 'edit' && !result.valid)) {
+      // Keep the working version (if any); the failed attempts are in attempts/
+      const what = mode === 'edit' ? 'Edit' : 'Regeneration';
+      anim.status = previousStatus;
+      anim.error = `${what} not applied — it failed validation (${result.errors[0]}).`
+        + (anim.version ? ` Still on version ${anim.version}.` : '');
+      session.stage = 'complete';
+      session.progress = { message: `${what} failed validation`, percent: 100 };
+      saveState(session);
+      return;
     }
 
-    // Re-export
-    anim.status = 'exporting';
-    updateAnimProgress(session, 1, 1, 'Exporting');
-    saveState(session);
+    useAnimation(anim, result, { kind: mode, instruction: rationale });
+    anim.status = 'generated';
+    anim.warnings = result.valid ? null : result.errors;
+    anim.selectedCandidate = null; // earlier candidates stay available as alternates
 
-    try {
-      await exportAnimation(join(anim.animDir, 'animation.html'), anim.animDir, {
-        fps: 5, webm: true, mp4: true, mov: false,
-      });
-      anim.status = 'complete';
-      anim.exportFiles = {
-        html: 'animation.html',
-        webm: 'animation.webm',
-        mp4: 'animation.mp4',
-        peakFrame: 'peak-frame.png',
-        thumbnail: 'thumbnail.png',
-      };
-    } catch (err) {
-      anim.status = 'export_failed';
-      anim.error = `Export failed: ${err.message}`;
-    }
-
-    // Update segment and session status
-    seg.status = seg.animations.every(a => a.status === 'complete') ? 'complete' : 'partial';
-    session.stage = 'complete';
-    session.progress = { message: 'Regeneration complete', percent: 100 };
-    saveState(session);
+    await reexportAnimation(session, seg, anim, mode === 'edit' ? 'Edit complete' : 'Regeneration complete');
 
   } catch (err) {
     anim.status = 'failed';
     anim.error = err.message;
     session.stage = 'complete'; // Return to results screen
-    session.progress = { message: 'Regeneration failed', percent: 100 };
+    session.progress = { message: mode === 'edit' ? 'Edit failed' : 'Regeneration failed', percent: 100 };
     saveState(session);
     throw err;
   }
 }
 
+/**
+ * Switch an animation to one of its alternate candidates and re-export it.
+ *
+ * @param {number} candidateIndex - `index` of an entry in anim.candidates
+ */
+export async function selectCandidate(sessionId, segmentIndex, animIndex, candidateIndex) {
+  const { session, seg, anim } = findAnimation(sessionId, segmentIndex, animIndex);
+
+  const candidate = (anim.candidates || []).find(c => c.index === candidateIndex);
+  if (!candidate) throw new Error(`Animation has no candidate ${candidateIndex}`);
+
+  ensureVersioned(anim);
+  const html = readFileSync(join(anim.animDir, candidate.file), 'utf-8');
+  const specPath = join(anim.animDir, dirname(candidate.file), 'animation.json');
+  useAnimation(anim, {
+    html,
+    spec: existsSync(specPath) ? JSON.parse(readFileSync(specPath, 'utf-8')) : null,
+  }, { kind: 'candidate', instruction: `Candidate ${candidate.index}` });
+  anim.selectedCandidate = candidate.index;
+  anim.warnings = candidate.valid ? null : candidate.errors;
+  anim.error = null;
+
+  await reexportAnimation(session, seg, anim, `Switched to candidate ${candidate.index}`);
+}
+
+/**
+ * Go back to an earlier version of an animation (see animation-versions.js)
+ * and re-export it. The revert is itself a new version, so it can be undone.
+ */
+export async function revertAnimation(sessionId, segmentIndex, animIndex, version) {
+  const { session, seg, anim } = findAnimation(sessionId, segmentIndex, animIndex);
+
+  const target = anim.animDir ? readVersion(anim.animDir, version) : null;
+  if (!target) throw new Error(`Animation has no version ${version}`);
+
+  useAnimation(anim, target, { kind: 'revert', revertedTo: version });
+  anim.selectedCandidate = null;
+  anim.warnings = null;
+  anim.error = null;
+
+  await reexportAnimation(session, seg, anim, `Reverted to version ${version}`);
+}
+
+function findAnimation(sessionId, segmentIndex, animIndex) {
+  const session = sessions.get(sessionId);
+  if (!session) throw new Error(`Session not found: ${sessionId}`);
+
+  const seg = session.segments?.[segmentIndex];
+  if (!seg) throw new Error(`Segment ${segmentIndex} not found`);
+
+  const anim = seg.animations[animIndex];
+  if (!anim) throw new Error(`Animation ${animIndex} not found in segment ${segmentIndex}`);
+
+  return { session, seg, anim };
+}
+
+/**
+ * Make `result` the beat's animation.html (and animation.json) and add it
+ * to the version history.
+ */
+function useAnimation(anim, result, version) {
+  writeAnimationFiles(anim.animDir, result);
+  anim.animationHtml = result.html;
+  anim.version = recordVersion(anim.animDir, result, version).version;
+}
+
+/**
+ * The current animation, recorded as the first version if the beat has no
+ * history yet (sessions from before versions were kept).
+ */
+function ensureVersioned(anim) {
+  const htmlPath = join(anim.animDir || '', 'animation.html');
+  if (!anim.animDir || !existsSync(htmlPath)) return { html: '', spec: null };
+
+  const specPath = join(anim.animDir, 'animation.json');
+  const current = {
+    html: readFileSync(htmlPath, 'utf-8'),
+    spec: existsSync(specPath) ? JSON.parse(readFileSync(specPath, 'utf-8')) : null,
+  };
+  if (listVersions(anim.animDir).length === 0) {
+    anim.version = recordVersion(anim.animDir, current, { kind: 'original' }).version;
+  }
+  return current;
+}
+
+/**
+ * Export a single changed animation and return the session to the
+ * results screen.
+ */
+async function reexportAnimation(session, seg, anim, message) {
+  anim.status = 'exporting';
+  updateAnimProgress(session, 1, 1, 'Exporting');
+  saveState(session);
+
+  try {
+    await exportAnimation(join(anim.animDir, 'animation.html'), anim.animDir, {
+      fps: 5, webm: true, mp4: true, mov: false,
+    });
+    anim.status = 'complete';
+    anim.exportFiles = {
+      html: 'animation.html',
+      webm: 'animation.webm',
+      mp4: 'animation.mp4',
+      peakFrame: 'peak-frame.png',
+      thumbnail: 'thumbnail.png',
+    };
+  } catch (err) {
+    anim.status = 'export_failed';
+    anim.error = `Export failed: ${err.message}`;
+  }
+
+  // Update segment and session status
+  seg.status = seg.animations.every(a => a.status === 'complete') ? 'complete' : 'partial';
+  session.stage = 'complete';
+  session.progress = { message, percent: 100 };
+  saveState(session);
+}
+
 /**
  * Create a zip of the session output.
  */
@@ -460,14 +877,17 @@ export function createSessionZip(sessionId) {
 
     archive.pipe(output);
 
-    // Add all segment folders
+    // Add all segment folders (with their description.txt)
     for (const seg of session.segments) {
       if (!seg.segDir || !existsSync(seg.segDir)) continue;
       const dirName = seg.segDir.split('/').pop();
+      if (!existsSync(join(seg.segDir, 'description.txt'))) {
+        archive.append(clipDescription(seg.highlight), { name: `${dirName}/description.txt` });
+      }
       archive.directory(seg.segDir, dirName);
     }
 
-    // Add session data
+    // Add session data (summary.md, highlights, transcript)
     const sessionDataDir = join(session.outDir, 'session-data');
     if (existsSync(sessionDataDir)) {
       archive.directory(sessionDataDir, 'session-data');
@@ -490,6 +910,59 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Cassette settings for a session's LLM calls. Every call is recorded to
+ * session-data/cassette.json unless LLM_CASSETTE=off; replay sessions
+ * serve responses back from it instead.
+ */
+function cassetteFor(session) {
+  if (process.env.LLM_CASSETTE === 'off') return null;
+  if (!replayRuns.has(session.id)) replayRuns.set(session.id, new Set());
+  return {
+    path: join(session.outDir, 'session-data', 'cassette.json'),
+    mode: session.cassetteMode || 'record',
+    strict: process.env.LLM_CASSETTE_STRICT === '1',
+    used: replayRuns.get(session.id),
+  };
+}
+
+/**
+ * Start a new replay run: every recording in the cassette is available
+ * again (a re-analysis after a speaker edit has different prompts, so it
+ * needs the purpose fallback from the top).
+ */
+function startReplayRun(session) {
+  replayRuns.set(session.id, new Set());
+}
+
+/**
+ * Write to campaign memory. A memory problem is logged, never fails the
+ * job — the clips are still good without it.
+ */
+function updateMemory(write) {
+  try {
+    write();
+  } catch (err) {
+    console.error(`Campaign memory not updated: ${err.message}`);
+  }
+}
+
+/**
+ * How many candidates to generate for an animation: ANIMATION_CANDIDATES
+ * for the clip's key beat (the one with the largest duration weight) when
+ * enabled, one for everything else.
+ */
+function candidateCount(seg, anim) {
+  const key = seg.animations.reduce((best, a) => ((a.durationWeight || 0) > (best.durationWeight || 0) ? a : best));
+  if (key !== anim) return 1;
+  const count = parseInt(process.env.ANIMATION_CANDIDATES ?? DEFAULT_ANIMATION_CANDIDATES, 10);
+  return Number.isInteger(count) && count > 1 ? count : 1;
+}
+
+function hasExportedVideo(animDir) {
+  return existsSync(join(animDir, 'animation.mp4')) || existsSync(join(animDir, 'animation.webm'));
+}
+
 function updateAnimProgress(session, current, total, phase = 'Generating') {
   const percent = 55 + Math.floor((current / total) * 45);
   session.progress = {
@@ -498,12 +971,16 @@ function updateAnimProgress(session, current, total, phase = 'Generating') {
   };
 }
 
-function generateDirectorsNotes(seg) {
+function generateDirectorsNotes(seg, parsedSession) {
   const h = seg.highlight;
+  const speakers = clipSpeakers(parsedSession, h.startTime || 0, h.endTime || 0);
+  const dialogue = keyDialogueLines(parsedSession, h.keyDialogueCueIds);
   const startMin = Math.floor((h.startTime || 0) / 60);
   const startSec = Math.floor((h.startTime || 0) % 60);
   const endMin = Math.floor((h.endTime || 0) / 60);
   const endSec = Math.floor((h.endTime || 0) % 60);
+  const rawIn = clock(h.rawStartTime ?? h.startTime ?? 0);
+  const rawOut = clock(h.rawEndTime ?? h.endTime ?? 0);
 
   let animSection = '';
   for (const anim of seg.animations) {
@@ -521,7 +998,10 @@ ${anim.status === 'complete' ? '**Status:** Exported' : `**Status:** ${anim.stat
 
 ## The Moment
 **Timestamp:** ${pad(startMin)}:${pad(startSec)} → ${pad(endMin)}:${pad(endSec)}
+**In/Out:** ${clock(h.startTime || 0)} → ${clock(h.endTime || 0)} (refined) · ${rawIn} → ${rawOut} (as picked)${h.boundary ? `
+**Refinement:** ${describeBoundary(h.boundary)}` : ''}
 **Type:** ${h.type}
+**Speakers:** ${speakers.length ? speakers.join(', ') : 'N/A'}
 **Emotional Arc:** ${h.emotionalArc || 'N/A'}
 **Duration:** ~${h.estimatedClipDuration || 20}s
 
@@ -531,6 +1011,9 @@ ${h.contextForViewers || 'N/A'}
 ## Why This Moment
 ${h.whyItsGood || 'N/A'}
 
+## Key Dialogue
+${dialogue.length ? dialogue.map(line => `> ${line}`).join('\n') : 'N/A'}
+
 ## Animations (${seg.animations.length} beats)
 
 ${animSection}
@@ -545,6 +1028,53 @@ Arrange beats sequentially in your timeline. Each beat's duration weight tells y
 `;
 }
 
+/**
+ * One-line summary of what refine-boundaries.js did to a clip.
+ */
+function describeBoundary(b) {
+  const parts = [];
+  if (b.setupCues) parts.push(`+${b.setupCues} setup line${b.setupCues === 1 ? '' : 's'}`);
+  if (b.tailCues) parts.push(`+${b.tailCues} reaction line${b.tailCues === 1 ? '' : 's'}`);
+  parts.push(`${b.preRoll}s pre-roll`, `${b.postRoll}s post-roll`);
+  return parts.join(', ');
+}
+
+/**
+ * MM:SS.s — sub-second precision for editing in/out points.
+ */
+function clock(sec) {
+  return `${pad(Math.floor(sec / 60))}:${(sec % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Speakers heard during a clip, DM first, as "Name (DM)" / "Player (Character)".
+ */
+function clipSpeakers(parsedSession, start, end) {
+  if (!parsedSession) return [];
+  const heard = new Set(
+    parsedSession.cues
+      .filter(c => c.speaker && c.end >= start && c.start <= end)
+      .map(c => c.speaker)
+  );
+  return parsedSession.speakers
+    .filter(s => heard.has(s.name))
+    .sort((a, b) => (b.role === 'dm') - (a.role === 'dm'))
+    .map(s => s.role === 'dm' ? `${s.name} (DM)` : s.name);
+}
+
+/**
+ * Resolve keyDialogueCueIds to "Speaker: text" lines, using the
+ * glossary-corrected cue text.
+ */
+function keyDialogueLines(parsedSession, cueIds) {
+  if (!parsedSession || !Array.isArray(cueIds)) return [];
+  const byId = new Map(parsedSession.cues.map(c => [c.id, c]));
+  return cueIds
+    .map(id => byId.get(id))
+    .filter(Boolean)
+    .map(c => c.speaker ? `${c.speaker}: ${c.text}` : c.text);
+}
+
 function pad(n) {
   return String(n).padStart(2, '0');
 }
@@ -0,0 +1,130 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * Record/replay cassettes for LLM calls.
+ *
+ * Wraps a provider (see llm-provider.js) so every request/response pair
+ * is written to a JSON cassette file, or served back from one.
+ *
+ * Cassette format:
+ *   {
+ *     version: 1,
+ *     createdAt,
+ *     interactions: [{
+ *       hash, purpose, provider, model, recordedAt,
+ *       request: { systemHash, user, maxTokens },
+ *       response: { text, usage }
+ *     }, ...]
+ *   }
+ *
+ * Replay looks up interactions by prompt hash. When the prompt changed
+ * (e.g. while iterating on parse-vtt.js) and `strict` is off, it falls
+ * back to the next unused recording with the same purpose, in recorded
+ * order — so the same highlight picks and animations come back.
+ *
+ * "Unused" is per replay run: a fresh provider is created for every
+ * findHighlights/generateAnimation call, so callers pass one `used` Set
+ * in the cassette options for everything that belongs to the same run.
+ */
+
+/**
+ * Stable hash of a prompt — identifies "the same request" across runs.
+ */
+export function hashPrompt({ system, user }) {
+  return createHash('sha256')
+    .update(system || '')
+    .update('\u0000')
+    .update(user || '')
+    .digest('hex')
+    .substring(0, 16);
+}
+
+/**
+ * Load a cassette file (or an empty cassette if it doesn't exist yet).
+ */
+export function loadCassette(path) {
+  if (!existsSync(path)) {
+    return { version: 1, createdAt: new Date().toISOString(), interactions: [] };
+  }
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * Wrap a provider with a cassette.
+ *
+ * @param {object} provider - From createProvider()
+ * @param {object} cassette - { path, mode: 'record' | 'replay', strict,
+ *   used: Set of recordings already served in this replay run (default: this provider's own) }
+ * @returns {object} Provider with the same interface
+ */
+export function withCassette(provider, { path, mode = 'record', strict = false, used = new Set() }) {
+  if (mode === 'replay') return createReplayProvider(provider, path, strict, used);
+  if (mode === 'record') return createRecordingProvider(provider, path);
+  throw new Error(`Unknown cassette mode: ${mode} (expected record or replay)`);
+}
+
+function createRecordingProvider(provider, path) {
+  return {
+    ...provider,
+
+    async complete(request) {
+      const response = await provider.complete(request);
+
+      // Re-read before appending — several providers may share one cassette
+      const cassette = loadCassette(path);
+      cassette.interactions.push({
+        hash: hashPrompt(request),
+        purpose: request.purpose || 'default',
+        provider: provider.name,
+        model: provider.model,
+        recordedAt: new Date().toISOString(),
+        request: {
+          systemHash: hashPrompt({ system: request.system }),
+          user: request.user,
+          maxTokens: request.maxTokens,
+        },
+        response,
+      });
+      mkdirSync(dirname(path), { recursive: true });
+      writeFileSync(path, JSON.stringify(cassette, null, 2));
+
+      return response;
+    },
+  };
+}
+
+function createReplayProvider(provider, path, strict, used) {
+  const exists = existsSync(path);
+  const cassette = exists ? loadCassette(path) : null;
+
+  return {
+    name: `${provider.name} (replay)`,
+    model: provider.model,
+    configured: exists,
+    configError: `Cassette not found: ${path}`,
+
+    async complete(request) {
+      const hash = hashPrompt(request);
+      const purpose = request.purpose || 'default';
+      const entries = cassette.interactions;
+
+      // Exact match first (unused ones before repeats), then the purpose fallback
+      let idx = entries.findIndex((e, i) => !used.has(i) && e.hash === hash);
+      if (idx < 0) idx = entries.findIndex(e => e.hash === hash);
+      if (idx < 0 && !strict) {
+        idx = entries.findIndex((e, i) => !used.has(i) && e.purpose === purpose);
+        if (idx >= 0) {
+          console.log(`  Cassette: prompt ${hash} not recorded — replaying next '${purpose}' response (${entries[idx].hash})`);
+        }
+      }
+      if (idx < 0) {
+        throw new Error(`Cassette ${path} has no ${strict ? 'matching' : 'unused'} recording for '${purpose}' prompt ${hash}`);
+      }
+
+      used.add(idx);
+      return entries[idx].response;
+    },
+  };
+}
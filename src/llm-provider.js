@@ -0,0 +1,207 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { hashPrompt, withCassette } from './llm-cassette.js';
+
+/**
+ * Pluggable LLM provider layer.
+ *
+ * Every provider exposes the same shape:
+ *   {
+ *     name, model,
+ *     configured,   // false when required settings (key, URL, dir) are missing
+ *     configError,  // human-readable reason when not configured
+ *     complete({ system, user, maxTokens, purpose }) → Promise<{ text, usage }>
+ *   }
+ *
+ * Selected by `options.provider` or LLM_PROVIDER (default: anthropic):
+ *   - anthropic — Anthropic Messages API (ANTHROPIC_API_KEY)
+ *   - openai    — any OpenAI-compatible /chat/completions endpoint
+ *                 (OPENAI_BASE_URL, optional OPENAI_API_KEY)
+ *   - mock      — replays canned responses from MOCK_LLM_DIR, no network
+ *
+ * The model comes from `options.model`, then LLM_MODEL, then the
+ * provider's default.
+ *
+ * Pass `options.cassette` ({ path, mode, strict, used }) to record or replay
+ * calls through a cassette file (see llm-cassette.js).
+ */
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-sonnet-4-20250514',
+  openai: 'gpt-4o',
+  mock: 'mock',
+};
+
+/**
+ * Create the provider selected by options/environment.
+ *
+ * @param {object} [options] - { provider, model, apiKey, baseUrl, mockDir, cassette }
+ * @returns {object} Provider
+ */
+export function createProvider(options = {}) {
+  const name = options.provider || process.env.LLM_PROVIDER || 'anthropic';
+  const model = options.model || process.env.LLM_MODEL || DEFAULT_MODELS[name];
+
+  let provider;
+  switch (name) {
+    case 'anthropic': provider = createAnthropicProvider(model, options); break;
+    case 'openai': provider = createOpenAIProvider(model, options); break;
+    case 'mock': provider = createMockProvider(model, options); break;
+    default:
+      throw new Error(`Unknown LLM provider: ${name} (expected anthropic, openai or mock)`);
+  }
+
+  return options.cassette ? withCassette(provider, options.cassette) : provider;
+}
+
+/**
+ * Call a provider with retry + backoff for rate limits (429).
+ *
+ * @param {object} provider - From createProvider()
+ * @param {object} request - { system, user, maxTokens, purpose }
+ * @param {number} [maxRetries]
+ * @returns {Promise<{ text: string, usage: { inputTokens: number, outputTokens: number } }>}
+ */
+export async function completeWithRetry(provider, request, maxRetries = 3) {
+  if (!provider.configured) throw new Error(provider.configError);
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await provider.complete(request);
+    } catch (err) {
+      const isRateLimit = err.status === 429 ||
+        err.message?.includes('rate_limit') ||
+        err.message?.includes('429');
+
+      if (isRateLimit && attempt < maxRetries) {
+        const waitSec = Math.min(60 * attempt, 180); // 60s, 120s, 180s
+        console.log(`  Rate limited (attempt ${attempt}/${maxRetries}). Waiting ${waitSec}s...`);
+        await sleep(waitSec * 1000);
+        continue;
+      }
+      throw err;
+    }
+  }
+}
+
+// ── Providers ──
+
+function createAnthropicProvider(model, options) {
+  const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+  let client = null;
+
+  return {
+    name: 'anthropic',
+    model,
+    configured: !!apiKey,
+    configError: 'ANTHROPIC_API_KEY is required. Set it in .env or pass via options.',
+
+    async complete({ system, user, maxTokens = 4096 }) {
+      if (!client) client = new Anthropic({ apiKey });
+      const response = await client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages: [{ role: 'user', content: user }],
+      });
+
+      return {
+        text: response.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        usage: {
+          inputTokens: response.usage?.input_tokens || 0,
+          outputTokens: response.usage?.output_tokens || 0,
+        },
+      };
+    },
+  };
+}
+
+function createOpenAIProvider(model, options) {
+  const baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || '').replace(/\/+$/, '');
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+
+  return {
+    name: 'openai',
+    model,
+    configured: !!baseUrl,
+    configError: 'OPENAI_BASE_URL is required for the openai provider (e.g. http://localhost:8080/v1).',
+
+    async complete({ system, user, maxTokens = 4096 }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const res = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: user },
+          ],
+        }),
+      });
+
+      if (!res.ok) {
+        const body = await res.text().catch(() => '');
+        const err = new Error(`OpenAI-compatible request failed (${res.status}): ${body.substring(0, 200)}`);
+        err.status = res.status;
+        throw err;
+      }
+
+      const data = await res.json();
+      return {
+        text: data.choices?.[0]?.message?.content || '',
+        usage: {
+          inputTokens: data.usage?.prompt_tokens || 0,
+          outputTokens: data.usage?.completion_tokens || 0,
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Mock provider: looks up `<promptHash>.txt` in the mock directory, then
+ * falls back to `<purpose>.txt` (e.g. highlights.txt, animation.txt).
+ * Same prompt in → same response out.
+ */
+function createMockProvider(model, options) {
+  const dir = options.mockDir || process.env.MOCK_LLM_DIR;
+
+  return {
+    name: 'mock',
+    model,
+    configured: !!dir && existsSync(dir),
+    configError: dir
+      ? `Mock LLM directory not found: ${dir}`
+      : 'MOCK_LLM_DIR is required for the mock provider.',
+
+    async complete({ system, user, purpose = 'default' }) {
+      const hash = hashPrompt({ system, user });
+      const candidates = [`${hash}.txt`, `${purpose}.txt`];
+      const file = candidates.map(f => join(dir, f)).find(p => existsSync(p));
+      if (!file) {
+        throw new Error(`Mock LLM has no response for this prompt (looked for ${candidates.join(', ')} in ${dir})`);
+      }
+
+      const text = readFileSync(file, 'utf-8');
+      return {
+        text,
+        usage: {
+          inputTokens: Math.round(((system || '').length + (user || '').length) / 4),
+          outputTokens: Math.round(text.length / 4),
+        },
+      };
+    },
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -1,5 +1,10 @@
 import { readFileSync } from 'fs';
 import { basename } from 'path';
+import { normalizeCast, resolveSpeaker } from './campaign.js';
+import { correctCues } from './glossary.js';
+import { detectSegments } from './segments.js';
+import { extractDiceRolls } from './dice-rolls.js';
+import { computeEnergy } from './energy.js';
 
 /**
  * Parse a Zoom VTT transcript into structured session data.
@@ -10,15 +15,28 @@ import { basename } from 'path';
  *   1
  *   00:00:02.656 --> 00:00:03.230
  *   Speaker Name: Dialogue text here.
+ *
+ * Any spec-conformant WebVTT (YouTube, Descript, ...) also works —
+ * see parseVTTCues() for what is supported.
  */
 
-function parseTimestamp(ts) {
-  const parts = ts.trim().match(/(\d+):(\d+):(\d+)\.(\d+)/);
+// "[HH:]MM:SS.mmm --> [HH:]MM:SS.mmm [cue settings]"
+const TIMING_LINE = /^((?:\d+:)?\d{1,2}:\d{1,2}\.\d{1,3})[ \t]+-->[ \t]+((?:\d+:)?\d{1,2}:\d{1,2}\.\d{1,3})(?:[ \t].*)?$/;
+
+const CHAR_REFS = {
+  amp: '&', lt: '<', gt: '>', nbsp: ' ', lrm: '', rlm: '', quot: '"', apos: "'",
+};
+
+/**
+ * Parse "[HH:]MM:SS.mmm" into seconds. Hours are optional per the WebVTT spec.
+ */
+export function parseTimestamp(ts) {
+  const parts = ts.trim().match(/^(?:(\d+):)?(\d+):(\d+)(?:\.(\d+))?$/);
   if (!parts) return 0;
-  return parseInt(parts[1]) * 3600
+  return parseInt(parts[1] || '0') * 3600
        + parseInt(parts[2]) * 60
        + parseInt(parts[3])
-       + parseInt(parts[4]) / 1000;
+       + (parts[4] ? parseInt(parts[4].padEnd(3, '0').substring(0, 3)) / 1000 : 0);
 }
 
 function formatDuration(seconds) {
@@ -33,94 +51,187 @@ function extractCharacterName(speakerName) {
   return match ? match[1] : null;
 }
 
-export function parseVTT(filePath) {
+/**
+ * @param {string} filePath
+ * @param {object} [opts] - { cast, glossary } (see buildSession)
+ */
+export function parseVTT(filePath, opts = {}) {
   const raw = readFileSync(filePath, 'utf-8');
-  const lines = raw.split(/\r?\n/);
+  return buildSession(parseVTTCues(raw), basename(filePath), opts);
+}
+
+/**
+ * Parse raw WebVTT text into cues: [{ id, start, end, speaker, text }].
+ *
+ * Follows the WebVTT spec:
+ * - NOTE, STYLE and REGION blocks are skipped
+ * - Cue identifiers may be any string; numeric ones become the cue `id`,
+ *   other strings are kept as `identifier` and the cue gets the next number
+ * - Timestamps may omit hours (MM:SS.mmm); cue settings after the end
+ *   timestamp (align:, position:, line: ...) are ignored
+ * - `<v Speaker>` voice tags become the cue speaker; all other inline
+ *   markup (<c>, <i>, <b>, <u>, <ruby>, <lang>, karaoke timestamps) is
+ *   stripped and character references are decoded
+ *
+ * Stays lenient for Zoom exports: missing blank lines between cues and
+ * "Speaker Name: text" payloads are handled as before.
+ */
+export function parseVTTCues(raw) {
+  const lines = raw.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
 
-  // Skip WEBVTT header
+  // Skip the WEBVTT header block (header line plus any metadata lines)
   let i = 0;
-  if (lines[0]?.trim().startsWith('WEBVTT')) i = 1;
-  while (i < lines.length && lines[i].trim() === '') i++;
+  if (/^WEBVTT([ \t].*)?$/.test(lines[0]?.trim() || '')) {
+    while (i < lines.length && lines[i].trim() !== '') i++;
+  }
 
   const cues = [];
-  let autoId = 0;
+  let lastId = 0;
 
   while (i < lines.length) {
-    // Skip blank lines
-    if (lines[i].trim() === '') { i++; continue; }
-
-    // Try to parse: either "cueId\ntimestamp" or just "timestamp" (no cue ID)
     const line = lines[i].trim();
 
-    let cueId;
-    let tsLine;
-
-    // Check if current line is a timestamp
-    const directTsMatch = line.match(/^(\d+:\d+:\d+\.\d+)\s*-->\s*(\d+:\d+:\d+\.\d+)/);
+    // Skip blank lines
+    if (line === '') { i++; continue; }
 
-    if (directTsMatch) {
-      // No cue ID — auto-caption format (Zoom .cc.vtt or similar)
-      autoId++;
-      cueId = autoId;
-      tsLine = directTsMatch;
-      i++;
-    } else {
-      // Try numeric cue ID followed by timestamp on next line
-      const numericId = parseInt(line);
-      if (isNaN(numericId)) { i++; continue; }
-      cueId = numericId;
-      autoId = numericId;
-      i++;
+    // NOTE / STYLE / REGION blocks run until the next blank line
+    if (/^NOTE(\s|$)/.test(line) || /^(STYLE|REGION)$/.test(line)) {
+      while (i < lines.length && lines[i].trim() !== '') i++;
+      continue;
+    }
 
-      if (i >= lines.length) break;
-      tsLine = lines[i].match(/^(\d+:\d+:\d+\.\d+)\s*-->\s*(\d+:\d+:\d+\.\d+)/);
-      if (!tsLine) { i++; continue; }
+    // Optional cue identifier line, then the timing line
+    let identifier = null;
+    if (!TIMING_LINE.test(line)) {
+      if (line.includes('-->') || i + 1 >= lines.length || !TIMING_LINE.test(lines[i + 1].trim())) {
+        i++; // not a cue — skip stray line
+        continue;
+      }
+      identifier = line;
       i++;
     }
 
-    const start = parseTimestamp(tsLine[1]);
-    const end = parseTimestamp(tsLine[2]);
+    const timing = lines[i].trim().match(TIMING_LINE);
+    i++;
+    const start = parseTimestamp(timing[1]);
+    const end = parseTimestamp(timing[2]);
 
-    // Collect content lines until blank line or next timestamp/cue
-    const contentLines = [];
+    // Collect payload lines until blank line or the start of the next cue
+    const payloadLines = [];
     while (i < lines.length && lines[i].trim() !== '') {
-      // Stop if we hit a timestamp line (next cue without blank separator)
-      if (lines[i].match(/^\d+:\d+:\d+\.\d+\s*-->\s*\d+:\d+:\d+\.\d+/)) break;
-      // Stop if we hit a numeric cue ID followed by a timestamp
+      // A line containing "-->" ends the payload (next cue without blank separator)
+      if (lines[i].includes('-->')) break;
+      // Numeric Zoom cue ID directly followed by a timing line
       if (/^\d+$/.test(lines[i].trim()) && i + 1 < lines.length &&
-          lines[i + 1].match(/^\d+:\d+:\d+\.\d+\s*-->\s*\d+:\d+:\d+\.\d+/)) break;
-      contentLines.push(lines[i]);
+          TIMING_LINE.test(lines[i + 1].trim())) break;
+      payloadLines.push(lines[i]);
       i++;
     }
-    const fullText = contentLines.join(' ').trim();
+
+    // Numeric identifiers keep their number when they move forward; anything
+    // else (strings, duplicates, missing IDs) gets the next sequential ID
+    const numericId = identifier !== null && /^\d+$/.test(identifier) ? parseInt(identifier) : NaN;
+    const cueId = numericId > lastId ? numericId : lastId + 1;
+    lastId = cueId;
+
+    const payload = payloadLines.join(' ');
+    const voice = payload.match(/<v(?:\.[^\s>]*)*[ \t]+([^>]+)>/);
+    const fullText = stripCueMarkup(payload);
     if (!fullText) continue;
 
-    // Parse speaker from "Speaker Name: dialogue text"
-    const speakerMatch = fullText.match(/^(.+?):\s+(.+)$/);
-    let speaker = null;
+    let speaker = voice ? voice[1].trim() : null;
     let text = fullText;
-    if (speakerMatch) {
-      speaker = speakerMatch[1].trim();
-      text = speakerMatch[2].trim();
+    if (!speaker) {
+      // Parse speaker from "Speaker Name: dialogue text"
+      const speakerMatch = fullText.match(/^(.+?):\s+(.+)$/);
+      if (speakerMatch) {
+        speaker = speakerMatch[1].trim();
+        text = speakerMatch[2].trim();
+      }
     }
 
-    cues.push({ id: cueId, start, end, speaker, text });
+    const cue = { id: cueId, start, end, speaker, text };
+    if (identifier !== null && isNaN(numericId)) cue.identifier = identifier;
+    cues.push(cue);
   }
 
+  return cues;
+}
+
+/**
+ * Strip WebVTT inline markup and decode character references.
+ */
+function stripCueMarkup(payload) {
+  return payload
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|nbsp|lrm|rlm|quot|apos|#\d+|#x[0-9a-f]+);/gi, (m, ref) => {
+      const lower = ref.toLowerCase();
+      if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+      if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10));
+      return CHAR_REFS[lower];
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build structured session data (speakers, DM detection, segments,
+ * dice rolls, energy curve, metadata) from a list of cues. Shared by every transcript format.
+ *
+ * With `opts.cast` (see campaign.js), speakers are matched against the
+ * campaign cast: matching cues are renamed to the cast label (the
+ * transcript name is kept as `rawSpeaker`), characters come from the
+ * cast, and the cast's DM replaces the speaking-time heuristic.
+ *
+ * With `opts.glossary` (terms from glossaryTerms() in glossary.js), cue
+ * text is corrected to the campaign's spellings first; changed cues keep
+ * `originalText` and the session gets a `corrections` summary.
+ *
+ * @param {object[]} cues - [{ id, start, end, speaker, text }]
+ * @param {string} sessionFile - Source file name, kept for reference
+ * @param {object} [opts] - { cast, glossary }
+ */
+export function buildSession(cues, sessionFile, opts = {}) {
+  let corrections = null;
+  if (opts.glossary?.length) {
+    ({ cues, corrections } = correctCues(cues, opts.glossary));
+  }
+
+  const cast = opts.cast ? normalizeCast(opts.cast) : null;
+  const resolved = new Map(); // display name → cast member (or null)
+
+  if (cast) {
+    cues = cues.map(cue => {
+      const raw = cue.rawSpeaker || cue.speaker;
+      if (!raw) return cue;
+      if (!resolved.has(raw)) resolved.set(raw, resolveSpeaker(raw, cast));
+      const member = resolved.get(raw);
+      return member && member.label !== raw ? { ...cue, speaker: member.label, rawSpeaker: raw } : cue;
+    });
+  }
+  const castByLabel = new Map(
+    [...resolved.values()].filter(Boolean).map(m => [m.label, m])
+  );
+
   // Build speaker stats
   const speakerMap = new Map();
   for (const cue of cues) {
     if (!cue.speaker) continue;
     if (!speakerMap.has(cue.speaker)) {
+      const member = castByLabel.get(cue.speaker);
       speakerMap.set(cue.speaker, {
         name: cue.speaker,
-        character: extractCharacterName(cue.speaker),
+        player: member?.player || null,
+        character: member ? member.character : extractCharacterName(cue.speaker),
+        displayNames: new Set(),
+        fromCast: !!member,
         cueCount: 0,
         totalSpeakingTime: 0,
         totalTextLength: 0,
       });
     }
     const s = speakerMap.get(cue.speaker);
+    s.displayNames.add(cue.rawSpeaker || cue.speaker);
     s.cueCount++;
     s.totalSpeakingTime += (cue.end - cue.start);
     s.totalTextLength += cue.text.length;
@@ -128,17 +239,21 @@ export function parseVTT(filePath) {
 
   const speakers = [...speakerMap.values()].map(s => ({
     ...s,
+    displayNames: [...s.displayNames],
     totalSpeakingTime: Math.round(s.totalSpeakingTime * 10) / 10,
     avgTextLength: Math.round(s.totalTextLength / s.cueCount),
   }));
 
-  // Auto-detect DM: highest speaking time AND longest average text
+  // The cast's DM wins when they spoke. Otherwise auto-detect among
+  // speakers the cast doesn't already know as players:
+  // highest speaking time AND longest average text.
   // DM narrates in long blocks; players respond in short bursts
   speakers.sort((a, b) => b.totalSpeakingTime - a.totalSpeakingTime);
-  const dmCandidate = speakers.find(s =>
+  const castDm = speakers.find(s => castByLabel.get(s.name)?.role === 'dm');
+  const dmCandidate = castDm || speakers.find(s => !s.fromCast && (
     s.totalSpeakingTime === speakers[0].totalSpeakingTime
     || (s.avgTextLength > 30 && s.totalSpeakingTime > speakers[0].totalSpeakingTime * 0.5)
-  );
+  ));
 
   for (const s of speakers) {
     if (s.name === dmCandidate?.name) {
@@ -152,109 +267,27 @@ export function parseVTT(filePath) {
   // Detect session segments
   const segments = detectSegments(cues, dmCandidate?.name);
 
+  // Structured dice events ("nat 20", "27 to hit", "roll for initiative")
+  const diceRolls = extractDiceRolls(cues, { dmName: dmCandidate?.name });
+
+  // Per-second table-energy curve (see energy.js)
+  const energy = computeEnergy(cues, { dmName: dmCandidate?.name });
+
   // Session metadata
   const lastCue = cues[cues.length - 1];
   const duration = lastCue ? lastCue.end : 0;
 
   return {
-    sessionFile: basename(filePath),
+    sessionFile,
     parsedAt: new Date().toISOString(),
     duration: formatDuration(duration),
     durationSeconds: Math.round(duration),
     totalCues: cues.length,
     speakers,
     segments,
+    corrections,
+    diceRolls,
+    energy,
     cues,
   };
 }
-
-/**
- * Detect session segments: pre-game banter, recap, gameplay.
- *
- * Heuristic:
- * - Pre-game banter: short exchanges, casual, no sustained DM narration
- * - Recap: first sustained DM monologue (3+ consecutive DM cues, total > 60s)
- * - Gameplay: everything after the recap
- */
-function detectSegments(cues, dmName) {
-  if (!dmName || cues.length === 0) {
-    return [{ type: 'gameplay', startCue: 1, endCue: cues.length, startTime: 0, endTime: cues[cues.length - 1]?.end || 0 }];
-  }
-
-  // Find the first sustained DM monologue (recap)
-  let recapStart = -1;
-  let recapEnd = -1;
-
-  for (let i = 0; i < cues.length - 2; i++) {
-    // Look for 3+ consecutive DM cues
-    if (cues[i].speaker !== dmName) continue;
-
-    let consecutive = 1;
-    let j = i + 1;
-    while (j < cues.length && cues[j].speaker === dmName) {
-      consecutive++;
-      j++;
-    }
-
-    // A recap is 3+ consecutive DM cues spanning at least 45 seconds
-    if (consecutive >= 3) {
-      const span = cues[j - 1].end - cues[i].start;
-      if (span >= 45) {
-        recapStart = i;
-        // Recap continues as long as the DM keeps talking with at most
-        // 1 short interruption between DM blocks
-        let k = j;
-        while (k < cues.length) {
-          // Allow a short non-DM interruption (1-2 cues)
-          let gap = 0;
-          while (k < cues.length && cues[k].speaker !== dmName) { gap++; k++; }
-          if (gap > 2 || k >= cues.length) break;
-          // DM continues
-          while (k < cues.length && cues[k].speaker === dmName) k++;
-        }
-        recapEnd = k - 1;
-        break;
-      }
-    }
-  }
-
-  const segments = [];
-  const lastTime = cues[cues.length - 1].end;
-
-  if (recapStart > 0) {
-    segments.push({
-      type: 'pre-session-banter',
-      startCue: cues[0].id,
-      endCue: cues[recapStart - 1].id,
-      startTime: cues[0].start,
-      endTime: cues[recapStart].start,
-    });
-  }
-
-  if (recapStart >= 0) {
-    segments.push({
-      type: 'recap',
-      startCue: cues[recapStart].id,
-      endCue: cues[recapEnd].id,
-      startTime: cues[recapStart].start,
-      endTime: cues[recapEnd].end,
-    });
-    segments.push({
-      type: 'gameplay',
-      startCue: cues[recapEnd + 1]?.id || cues[recapEnd].id,
-      endCue: cues[cues.length - 1].id,
-      startTime: cues[recapEnd + 1]?.start || cues[recapEnd].end,
-      endTime: lastTime,
-    });
-  } else {
-    segments.push({
-      type: 'gameplay',
-      startCue: cues[0].id,
-      endCue: cues[cues.length - 1].id,
-      startTime: cues[0].start,
-      endTime: lastTime,
-    });
-  }
-
-  return segments;
-}
@@ -0,0 +1,134 @@
+/**
+ * Clip boundary refinement — turns the finder's in/out points into ones
+ * that cut cleanly:
+ *
+ *   1. Snap to cue edges (start of the first cue, end of the last)
+ *   2. Pull in the setup line when the clip opens on a reaction or
+ *      mid-sentence ("...and it lands on a 20" before "NO WAY")
+ *   3. Run the end on through the laughter / reaction tail
+ *   4. Pad with pre-roll and post-roll
+ *
+ * The finder's original times are kept as rawStartTime / rawEndTime.
+ */
+
+const DEFAULT_PRE_ROLL_SEC = 0.5;
+const DEFAULT_POST_ROLL_SEC = 1.0;
+
+// Setup: at most this many earlier cues, each starting within this gap
+const MAX_SETUP_CUES = 2;
+const SETUP_GAP_SEC = 4;
+// Tail: reaction cues right after the clip, up to this much extra time
+const TAIL_GAP_SEC = 3;
+const MAX_TAIL_SEC = 12;
+
+const REACTION_MAX_CHARS = 30;
+const REACTION = /\b(?:ha(?:ha)+|he(?:he)+|lol|lmao|oh my god|omg|no way|what|yes+|no+|oh no|wow)\b|!|\[laughter\]|\(laughs?\)/i;
+
+/**
+ * Pre/post-roll from options, then CLIP_PRE_ROLL / CLIP_POST_ROLL, then
+ * the defaults.
+ *
+ * @returns {{ preRoll: number, postRoll: number }}
+ */
+export function boundaryOptions(options = {}) {
+  const pick = (value, env, fallback) => {
+    for (const v of [value, process.env[env]]) {
+      if (v === undefined || v === null || v === '') continue;
+      const n = Number(v);
+      if (!Number.isFinite(n) || n < 0) throw new Error(`${env === 'CLIP_PRE_ROLL' ? 'preRoll' : 'postRoll'} must be zero or a positive number of seconds`);
+      return n;
+    }
+    return fallback;
+  };
+  return {
+    preRoll: pick(options.preRoll, 'CLIP_PRE_ROLL', DEFAULT_PRE_ROLL_SEC),
+    postRoll: pick(options.postRoll, 'CLIP_POST_ROLL', DEFAULT_POST_ROLL_SEC),
+  };
+}
+
+/**
+ * Refine one highlight's boundaries.
+ *
+ * @param {object} highlight - { startTime, endTime, startCue?, endCue?, rawStartTime?, rawEndTime? }
+ * @param {object} session - Parsed session (cues, durationSeconds)
+ * @param {object} [options] - { preRoll, postRoll, maxDuration }
+ * @returns {object} Highlight with refined startTime/endTime/startCue/endCue,
+ *   rawStartTime/rawEndTime and `boundary` ({ preRoll, postRoll, setupCues, tailCues })
+ */
+export function refineBoundaries(highlight, session, options = {}) {
+  const cues = session.cues;
+  const rawStartTime = highlight.rawStartTime ?? highlight.startTime;
+  const rawEndTime = highlight.rawEndTime ?? highlight.endTime;
+  if (cues.length === 0 || typeof highlight.startTime !== 'number' || typeof highlight.endTime !== 'number') {
+    return { ...highlight, rawStartTime, rawEndTime };
+  }
+
+  const { preRoll, postRoll } = boundaryOptions(options);
+  const maxDuration = options.maxDuration ?? null;
+  const sessionEnd = session.durationSeconds || cues[cues.length - 1].end;
+
+  // 1. Snap
+  let first = cues.findIndex(c => c.end > highlight.startTime);
+  let last = findLastIndex(cues, c => c.start < highlight.endTime);
+  if (first < 0) first = cues.length - 1;
+  if (last < first) last = first;
+
+  const fits = (from, to) => maxDuration === null || cues[to].end - cues[from].start + preRoll + postRoll <= maxDuration;
+
+  // 2. Setup line
+  let setupCues = 0;
+  while (setupCues < MAX_SETUP_CUES && first > 0 && opensCold(cues[first]) &&
+         cues[first].start - cues[first - 1].end <= SETUP_GAP_SEC && fits(first - 1, last)) {
+    first--;
+    setupCues++;
+  }
+
+  // 3. Reaction tail
+  let tailCues = 0;
+  const tailLimit = cues[last].end + MAX_TAIL_SEC;
+  while (last + 1 < cues.length && isReaction(cues[last + 1]) &&
+         cues[last + 1].start - cues[last].end <= TAIL_GAP_SEC &&
+         cues[last + 1].end <= tailLimit && fits(first, last + 1)) {
+    last++;
+    tailCues++;
+  }
+
+  // 4. Pre-roll / post-roll
+  const startTime = round(Math.max(0, cues[first].start - preRoll));
+  const endTime = round(Math.min(sessionEnd, cues[last].end + postRoll));
+
+  return {
+    ...highlight,
+    rawStartTime,
+    rawEndTime,
+    startCue: cues[first].id,
+    endCue: cues[last].id,
+    startTime,
+    endTime,
+    estimatedClipDuration: Math.round(endTime - startTime),
+    boundary: { preRoll, postRoll, setupCues, tailCues },
+  };
+}
+
+/**
+ * A clip "opens cold" on a short reaction or a line that starts
+ * mid-sentence (lowercase, or a continuation like "and ..." / "...").
+ */
+function opensCold(cue) {
+  const text = cue.text.trim();
+  return isReaction(cue) || /^(?:\.\.\.|…|and\b|but\b|so\b|then\b|[a-z])/.test(text);
+}
+
+function isReaction(cue) {
+  const text = cue.text.trim();
+  return text.length <= REACTION_MAX_CHARS && REACTION.test(text);
+}
+
+function findLastIndex(arr, predicate) {
+  for (let i = arr.length - 1; i >= 0; i--) if (predicate(arr[i])) return i;
+  return -1;
+}
+
+function round(sec) {
+  return Math.round(sec * 1000) / 1000;
+}
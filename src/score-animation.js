@@ -0,0 +1,134 @@
+/**
+ * Automatic scoring of animation candidates (see generateCandidates in
+ * generate-animation.js). Works from the runtime report that
+ * validate-animation.js already collects, so scoring needs no extra
+ * browser load:
+ *
+ *   validity  (40) — passed every check; loses a share per problem
+ *   activity  (20) — how much of the canvas changes between frames:
+ *                    a still image scores low, full-screen noise too
+ *   vertical  (20) — ink in all three zones (top 0-11, centre 12-28,
+ *                    bottom 29-39) rather than one band in the middle
+ *   colour    (20) — lightness swing across the mood arc plus a few
+ *                    distinct hues
+ *
+ * Without a runtime report (Chrome unavailable) only validity counts and
+ * the score is marked `partial`.
+ */
+
+const WEIGHTS = { validity: 40, activity: 20, vertical: 20, colour: 20 };
+
+// Share of cells changing frame to frame that reads as "alive but legible"
+const ACTIVITY_LOW = 0.03;
+const ACTIVITY_HIGH = 0.35;
+// A zone counts as used at this much ink (non-space share of its cells)
+const ZONE_FILL = 0.04;
+const ZONES = [[0, 12], [12, 29], [29, 40]];
+// Lightness swing (percentage points) that scores full marks
+const FULL_LIGHTNESS_RANGE = 25;
+// Hue buckets (of 12) with at least this share of the styles count as distinct
+const HUE_SHARE = 0.05;
+const FULL_HUES = 4;
+// Each validation problem costs this share of the validity points
+const PROBLEM_COST = 0.25;
+
+/**
+ * Score a generated animation.
+ *
+ * @param {object} result - From generateAnimation() / generateWithRetry()
+ * @returns {{ total: number, validity: number, activity: number|null,
+ *   vertical: number|null, colour: number|null, partial: boolean }}
+ *   Components are 0-1; total is 0-100
+ */
+export function scoreAnimation(result) {
+  const validity = result.valid ? 1 : Math.max(0, 1 - result.errors.length * PROBLEM_COST) * 0.5;
+  const frames = (result.runtime?.frames || []).filter(f => f.rows.length > 0);
+
+  if (frames.length === 0) {
+    return { total: Math.round(validity * 100), validity: round(validity), activity: null, vertical: null, colour: null, partial: true };
+  }
+
+  const activity = activityScore(frames);
+  const vertical = verticalScore(frames);
+  const colour = colourScore(result.runtime.frames);
+
+  const total = validity * WEIGHTS.validity + activity * WEIGHTS.activity +
+    vertical * WEIGHTS.vertical + colour * WEIGHTS.colour;
+
+  return {
+    total: Math.round(total),
+    validity: round(validity),
+    activity: round(activity),
+    vertical: round(vertical),
+    colour: round(colour),
+    partial: false,
+  };
+}
+
+/**
+ * One-line summary for logs and the results screen.
+ */
+export function describeScore(score) {
+  if (score.partial) return `${score.total}/100 (validity only — no runtime report)`;
+  const pct = v => `${Math.round(v * 100)}%`;
+  return `${score.total}/100 — activity ${pct(score.activity)}, vertical ${pct(score.vertical)}, colour ${pct(score.colour)}${score.validity < 1 ? ', has problems' : ''}`;
+}
+
+// ── Components ──
+
+function activityScore(frames) {
+  if (frames.length < 2) return 0;
+  let changed = 0;
+  let cells = 0;
+  // Loops wrap around, so the last → first transition counts too
+  for (let i = 0; i < frames.length; i++) {
+    const a = frames[i].rows;
+    const b = frames[(i + 1) % frames.length].rows;
+    for (let r = 0; r < Math.max(a.length, b.length); r++) {
+      const ra = a[r] || '';
+      const rb = b[r] || '';
+      for (let c = 0; c < Math.max(ra.length, rb.length); c++) {
+        cells++;
+        if (ra[c] !== rb[c]) changed++;
+      }
+    }
+  }
+  const ratio = cells > 0 ? changed / cells : 0;
+  if (ratio < ACTIVITY_LOW) return ratio / ACTIVITY_LOW;
+  if (ratio <= ACTIVITY_HIGH) return 1;
+  return Math.max(0, 1 - (ratio - ACTIVITY_HIGH) / 0.5);
+}
+
+function verticalScore(frames) {
+  const zoneScores = ZONES.map(([from, to]) => {
+    let ink = 0;
+    let cells = 0;
+    for (const f of frames) {
+      for (const row of f.rows.slice(from, to)) {
+        cells += row.length;
+        ink += row.replace(/\s/g, '').length;
+      }
+    }
+    return cells > 0 ? Math.min(1, ink / cells / ZONE_FILL) : 0;
+  });
+  return zoneScores.reduce((a, b) => a + b, 0) / ZONES.length;
+}
+
+function colourScore(frames) {
+  const lit = frames.filter(f => f.lightness !== null);
+  if (lit.length === 0) return 0;
+
+  const lightness = lit.map(f => f.lightness);
+  const range = Math.min(1, (Math.max(...lightness) - Math.min(...lightness)) / FULL_LIGHTNESS_RANGE);
+
+  const hues = new Array(12).fill(0);
+  for (const f of lit) f.hues.forEach((n, i) => { hues[i] += n; });
+  const styles = hues.reduce((a, b) => a + b, 0);
+  const distinct = styles > 0 ? hues.filter(n => n / styles >= HUE_SHARE).length : 0;
+
+  return range * 0.6 + Math.min(1, distinct / FULL_HUES) * 0.4;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,261 @@
+/**
+ * Session segmentation — split a parsed transcript into a timeline of
+ * what the table was doing.
+ *
+ * Segment types:
+ *   - pre-session-banter — chatter before the DM starts the recap
+ *   - recap              — first sustained DM monologue
+ *   - gameplay           — roleplay / exploration
+ *   - combat             — from "roll for initiative" until turn-order talk dies down
+ *   - break              — long silences, or "bathroom break" until "we're back"
+ *   - wrap-up            — end-of-session goodbyes and scheduling
+ *
+ * Each segment: { type, startCue, endCue, startTime, endTime, cueCount }.
+ * Silence breaks contain no cues (startCue/endCue are null); breaks also
+ * carry `reason` ('silence' | 'announced').
+ */
+
+// Silence between cues that counts as a break on its own
+const BREAK_GAP_SEC = 180;
+// Shorter silence that ends an announced break with no "we're back"
+const BREAK_RESUME_GAP_SEC = 60;
+// How far after "let's take a break" to look for the table coming back
+const BREAK_MAX_SEC = 30 * 60;
+// Combat ends once this long passes without initiative/turn/attack talk
+const COMBAT_IDLE_SEC = 150;
+const MIN_COMBAT_SIGNALS = 3;
+// Wrap-up is only looked for in the last part of the session
+const WRAP_UP_TAIL = 0.2;
+// ...and LATE_WRAP_UP phrases only in its last minutes
+const LATE_WRAP_UP_SEC = 10 * 60;
+// A "brb" only starts a break when the table goes quiet this soon after it
+const QUIET_AFTER_BRB_SEC = 30;
+
+const COMBAT_START = /\broll(?:ing)?\s+(?:for\s+)?init(?:iative)?\b|\binitiative\s+(?:order|count)\b|\beveryone roll initiative\b/i;
+const COMBAT_SIGNAL = /\binitiative\b|\byour turn\b|\byou'?re up\b|\bon deck\b|\bnext up\b|\bround (?:one|two|three|four|five|six|\d+)\b|\bend (?:of )?(?:my|your|his|her|their) turn\b|\battack(?:s|ing)?\b|\bdamage\b|\bhit points?\b|\bdoes that hit\b|\bmiss(?:es)?\b|\bsaving throw\b|\bbonus action\b|\bopportunity attack\b|\bd(?:4|6|8|10|12|20)s?\b/i;
+const COMBAT_END = /\b(?:combat|the fight|the battle) (?:is )?(?:over|ends?)\b|\bend(?:s)? (?:of )?combat\b|\bout of (?:combat|initiative)\b/i;
+
+const BREAK_START = /\b(?:bathroom|pizza|snack|food|dinner|smoke|quick|short|(?:five|ten|5|10)[- ]minute)\s+break\b|\btake (?:a|five|ten|5|10)\b.{0,20}\bbreak\b|\bpizza(?:'s| is) here\b/i;
+// Said in character too ("I'll be right back with your ale")
+const MAYBE_BREAK_START = /\bbe right back\b|\bbrb\b/i;
+const BREAK_END = /\b(?:we're|we are|i'm|i am|everyone'?s) back\b|\bwhere were we\b|\bback to (?:it|the game|the action)\b|\blet'?s (?:get (?:back|going)|resume)\b/i;
+
+const WRAP_UP = /\b(?:that's|that is) (?:where we(?:'ll)? (?:stop|end|leave it)|all for (?:tonight|today))\b|\b(?:we'?ll|let's) (?:stop|end|pick (?:it|this|that) up) (?:here|there|next)\b|\bgood (?:game|session)\b|\bsee (?:you|y'all|everyone) next\b|\bthanks for playing\b|\bend (?:of )?(?:the )?session\b/i;
+// Also said in character ("the next session of the council")
+const LATE_WRAP_UP = /\bnext session\b/i;
+
+/**
+ * Detect session segments.
+ *
+ * Heuristic:
+ * - Pre-game banter: short exchanges, casual, no sustained DM narration
+ * - Recap: first sustained DM monologue (3+ consecutive DM cues, total > 45s)
+ * - Wrap-up: first wrap-up phrase in the last 20% of the session, to the end
+ * - Between recap and wrap-up: gameplay, split by combat encounters and breaks
+ *
+ * @param {object[]} cues
+ * @param {string|null} dmName - Speaker name of the DM (recap needs it)
+ * @returns {object[]} Segments in time order
+ */
+export function detectSegments(cues, dmName) {
+  if (cues.length === 0) {
+    return [{ type: 'gameplay', startCue: 1, endCue: 0, startTime: 0, endTime: 0, cueCount: 0 }];
+  }
+
+  const segments = [];
+  const { recapStart, recapEnd } = dmName ? findRecap(cues, dmName) : { recapStart: -1, recapEnd: -1 };
+
+  if (recapStart > 0) {
+    segments.push(makeSegment('pre-session-banter', cues, 0, recapStart - 1, { endTime: cues[recapStart].start }));
+  }
+  if (recapStart >= 0) {
+    segments.push(makeSegment('recap', cues, recapStart, recapEnd));
+  }
+
+  const bodyStart = recapStart >= 0 ? recapEnd + 1 : 0;
+  const wrapStart = findWrapUp(cues, bodyStart);
+  const bodyEnd = wrapStart >= 0 ? wrapStart - 1 : cues.length - 1;
+
+  if (bodyStart <= bodyEnd) {
+    segments.push(...splitBody(cues, bodyStart, bodyEnd));
+  }
+  if (wrapStart >= 0) {
+    segments.push(makeSegment('wrap-up', cues, wrapStart, cues.length - 1));
+  }
+
+  return segments;
+}
+
+/**
+ * Cues that fall outside the given segment types (e.g. everything but
+ * banter, recap, breaks and wrap-up). Falls back to all cues if nothing is left.
+ */
+export function cuesExcludingSegments(session, excludedTypes) {
+  const excluded = (session.segments || [])
+    .filter(s => excludedTypes.includes(s.type) && s.startCue !== null && s.cueCount !== 0);
+  if (excluded.length === 0) return session.cues;
+
+  const kept = session.cues.filter(c => !excluded.some(s => c.id >= s.startCue && c.id <= s.endCue));
+  return kept.length > 0 ? kept : session.cues;
+}
+
+// ── Recap / wrap-up ──
+
+function findRecap(cues, dmName) {
+  for (let i = 0; i < cues.length - 2; i++) {
+    // Look for 3+ consecutive DM cues
+    if (cues[i].speaker !== dmName) continue;
+
+    let consecutive = 1;
+    let j = i + 1;
+    while (j < cues.length && cues[j].speaker === dmName) {
+      consecutive++;
+      j++;
+    }
+
+    // A recap is 3+ consecutive DM cues spanning at least 45 seconds
+    if (consecutive >= 3) {
+      const span = cues[j - 1].end - cues[i].start;
+      if (span >= 45) {
+        // Recap continues as long as the DM keeps talking with at most
+        // 1 short interruption between DM blocks
+        let k = j;
+        while (k < cues.length) {
+          // Allow a short non-DM interruption (1-2 cues)
+          let gap = 0;
+          while (k < cues.length && cues[k].speaker !== dmName) { gap++; k++; }
+          if (gap > 2 || k >= cues.length) break;
+          // DM continues
+          while (k < cues.length && cues[k].speaker === dmName) k++;
+        }
+        return { recapStart: i, recapEnd: k - 1 };
+      }
+    }
+  }
+  return { recapStart: -1, recapEnd: -1 };
+}
+
+function findWrapUp(cues, fromIdx) {
+  const sessionEnd = cues[cues.length - 1].end;
+  const tailStart = sessionEnd - (sessionEnd - cues[0].start) * WRAP_UP_TAIL;
+
+  for (let i = Math.max(fromIdx, 1); i < cues.length; i++) {
+    if (cues[i].start < tailStart) continue;
+    if (WRAP_UP.test(cues[i].text)) return i;
+    if (LATE_WRAP_UP.test(cues[i].text) && sessionEnd - cues[i].start <= LATE_WRAP_UP_SEC) return i;
+  }
+  return -1;
+}
+
+// ── Gameplay body: combat + breaks ──
+
+/**
+ * Label every cue in [from, to] as gameplay, combat or break, then turn
+ * runs of labels into segments. Silences of BREAK_GAP_SEC+ become their
+ * own (cue-less) break segments.
+ */
+function splitBody(cues, from, to) {
+  const labels = new Array(to - from + 1).fill('gameplay');
+
+  for (const [start, end] of findCombat(cues, from, to)) {
+    for (let i = start; i <= end; i++) labels[i - from] = 'combat';
+  }
+  // Breaks win over combat — "let's break here" mid-fight splits the encounter
+  for (const [start, end] of findAnnouncedBreaks(cues, from, to)) {
+    for (let i = start; i <= end; i++) labels[i - from] = 'break';
+  }
+
+  const segments = [];
+  let runStart = from;
+  for (let i = from; i <= to; i++) {
+    const gap = i < to ? cues[i + 1].start - cues[i].end : 0;
+    const runEnds = i === to || labels[i + 1 - from] !== labels[i - from] || gap >= BREAK_GAP_SEC;
+    if (!runEnds) continue;
+
+    const type = labels[i - from];
+    segments.push(makeSegment(type, cues, runStart, i, type === 'break' ? { reason: 'announced' } : {}));
+
+    if (gap >= BREAK_GAP_SEC) {
+      segments.push({
+        type: 'break',
+        startCue: null,
+        endCue: null,
+        startTime: cues[i].end,
+        endTime: cues[i + 1].start,
+        cueCount: 0,
+        reason: 'silence',
+      });
+    }
+    runStart = i + 1;
+  }
+
+  return segments;
+}
+
+/**
+ * Combat: starts at an initiative call, runs while combat talk keeps
+ * coming (no COMBAT_IDLE_SEC lull) or until an explicit "combat is over".
+ * @returns {number[][]} [startIdx, endIdx] pairs
+ */
+function findCombat(cues, from, to) {
+  const encounters = [];
+
+  for (let i = from; i <= to; i++) {
+    if (!COMBAT_START.test(cues[i].text)) continue;
+
+    let last = i;
+    let signals = 1;
+    for (let j = i + 1; j <= to; j++) {
+      if (cues[j].start - cues[last].end > COMBAT_IDLE_SEC) break;
+      if (COMBAT_END.test(cues[j].text)) { last = j; break; }
+      if (COMBAT_SIGNAL.test(cues[j].text)) { last = j; signals++; }
+    }
+
+    if (signals >= MIN_COMBAT_SIGNALS) encounters.push([i, last]);
+    i = last;
+  }
+
+  return encounters;
+}
+
+/**
+ * Announced breaks: "bathroom break" until "we're back", or until the
+ * first 60s+ silence when nobody says they're back. A "brb" only counts
+ * when that silence follows within QUIET_AFTER_BRB_SEC.
+ * @returns {number[][]} [startIdx, endIdx] pairs
+ */
+function findAnnouncedBreaks(cues, from, to) {
+  const breaks = [];
+
+  for (let i = from; i <= to; i++) {
+    const announced = BREAK_START.test(cues[i].text);
+    if (!announced && !MAYBE_BREAK_START.test(cues[i].text)) continue;
+
+    let end = -1;
+    let silence = false;
+    for (let j = i + 1; j <= to && cues[j].start - cues[i].start <= BREAK_MAX_SEC; j++) {
+      if (BREAK_END.test(cues[j].text)) { end = j - 1; break; }
+      if (cues[j].start - cues[j - 1].end >= BREAK_RESUME_GAP_SEC) { end = j - 1; silence = true; break; }
+    }
+    if (!announced && !(silence && cues[end].end - cues[i].end <= QUIET_AFTER_BRB_SEC)) continue;
+
+    if (end >= i) {
+      breaks.push([i, end]);
+      i = end;
+    }
+  }
+
+  return breaks;
+}
+
+function makeSegment(type, cues, startIdx, endIdx, extra = {}) {
+  return {
+    type,
+    startCue: cues[startIdx].id,
+    endCue: cues[endIdx].id,
+    startTime: cues[startIdx].start,
+    endTime: cues[endIdx].end,
+    cueCount: endIdx - startIdx + 1,
+    ...extra,
+  };
+}
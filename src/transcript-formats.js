@@ -0,0 +1,409 @@
+import { readFileSync } from 'fs';
+import { basename, extname } from 'path';
+import { parseVTTCues, parseTimestamp, buildSession } from './parse-vtt.js';
+
+/**
+ * Transcript format registry.
+ *
+ * Every format turns raw file text into cues ({ id, start, end, speaker, text }),
+ * which buildSession() then normalises into the same { cues, speakers, segments }
+ * structure parseVTT has always produced.
+ *
+ * Supported out of the box:
+ *   vtt  — Zoom / WebVTT
+ *   srt  — SubRip (Craig transcriptions, most caption tools)
+ *   json — arrays of { start, end, speaker, text } and common export wrappers
+ *   text — "Speaker: text" logs with timestamps (Google Meet, Otter, chat logs)
+ *
+ * Format entry: { id, name, extensions, detect(raw) → boolean, parse(raw) → cues }
+ */
+
+const formats = [];
+
+/**
+ * Register a transcript format. Later registrations win on detection ties.
+ */
+export function registerTranscriptFormat(format) {
+  const existing = formats.findIndex(f => f.id === format.id);
+  if (existing >= 0) formats.splice(existing, 1);
+  formats.unshift(format);
+}
+
+/**
+ * All registered formats (id, name, extensions).
+ */
+export function listTranscriptFormats() {
+  return formats.map(f => ({ id: f.id, name: f.name, extensions: f.extensions }));
+}
+
+/**
+ * File extensions accepted by any registered format (e.g. ['.vtt', '.srt', ...]).
+ */
+export function supportedExtensions() {
+  return [...new Set(formats.flatMap(f => f.extensions))];
+}
+
+/**
+ * Pick a format for a file: by extension first, then by sniffing content.
+ *
+ * @param {string} raw - File contents
+ * @param {string} [filename] - Original file name (uploads lose their extension on disk)
+ * @returns {object|null} Format entry
+ */
+export function detectTranscriptFormat(raw, filename = '') {
+  const ext = extname(filename).toLowerCase();
+  const byExt = formats.find(f => f.extensions.includes(ext));
+  if (byExt && byExt.detect(raw)) return byExt;
+  return formats.find(f => f.detect(raw)) || byExt || null;
+}
+
+/**
+ * Parse any supported transcript into structured session data.
+ *
+ * @param {string} filePath
+ * @param {object} [opts] - {
+ *   filename: original name for detection,
+ *   format: force a format id,
+ *   cast: campaign cast to apply (see campaign.js),
+ *   glossary: proper-noun terms to correct (see glossary.js)
+ * }
+ * @returns {object} Same shape as parseVTT(), plus `format`
+ */
+export function parseTranscript(filePath, opts = {}) {
+  const raw = readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, '');
+  const filename = opts.filename || basename(filePath);
+
+  const format = opts.format
+    ? formats.find(f => f.id === opts.format)
+    : detectTranscriptFormat(raw, filename);
+  if (!format) {
+    throw new Error(
+      `Unrecognised transcript format: ${filename}. ` +
+      `Supported: ${formats.map(f => f.name).join(', ')}`
+    );
+  }
+
+  const cues = format.parse(raw);
+  return { ...buildSession(cues, filename, { cast: opts.cast, glossary: opts.glossary }), format: format.id };
+}
+
+/**
+ * Parse several transcripts of one game session and merge them onto a
+ * single timeline — Zoom splitting a long session into several recordings,
+ * or per-player Craig tracks.
+ *
+ * Each file's cues are shifted by its offset, interleaved by absolute time
+ * (ties keep file order, then original order) and renumbered 1..n, so the
+ * same inputs always produce the same cue IDs. Speakers and segments are
+ * recomputed over the merged timeline.
+ *
+ * @param {object[]} files - [{ path, name, offset (seconds or "H:MM:SS"), speaker }]
+ *   `speaker` names every speaker-less cue in that file (per-player tracks).
+ * @param {object} [opts] - { cast, glossary } applied to the merged timeline
+ * @returns {object} Same shape as parseTranscript(), plus `sources`
+ */
+export function parseTranscripts(files, opts = {}) {
+  if (files.length === 1 && !files[0].offset && !files[0].speaker) {
+    const single = parseTranscript(files[0].path, { filename: files[0].name, cast: opts.cast, glossary: opts.glossary });
+    return { ...single, sources: [describeSource(files[0], single.format, 0, single.cues.length)] };
+  }
+
+  const tagged = [];
+  const sources = [];
+  files.forEach((file, fileIndex) => {
+    const filename = file.name || basename(file.path);
+    const offset = parseOffset(file.offset);
+    const parsed = parseTranscript(file.path, { filename });
+
+    parsed.cues.forEach((cue, order) => {
+      tagged.push({
+        fileIndex,
+        order,
+        cue: {
+          ...cue,
+          start: cue.start + offset,
+          end: cue.end + offset,
+          speaker: cue.speaker || file.speaker || null,
+          sourceFile: fileIndex,
+        },
+      });
+    });
+    sources.push(describeSource(file, parsed.format, offset, parsed.cues.length));
+  });
+
+  tagged.sort((a, b) => a.cue.start - b.cue.start || a.fileIndex - b.fileIndex || a.order - b.order);
+  const cues = tagged.map((t, i) => ({ ...t.cue, id: i + 1 }));
+
+  const sessionFile = sources.map(s => s.file).join(' + ');
+  return { ...buildSession(cues, sessionFile, { cast: opts.cast, glossary: opts.glossary }), format: 'merged', sources };
+}
+
+function describeSource(file, format, offset, cueCount) {
+  return {
+    file: file.name || basename(file.path),
+    format,
+    offset,
+    speaker: file.speaker || null,
+    cueCount,
+  };
+}
+
+/**
+ * Parse a per-file offset: seconds (number or numeric string) or "H:MM:SS".
+ * Offsets shift a file later in the merged timeline, so they can't be negative.
+ */
+export function parseOffset(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  const seconds = parseLooseTime(typeof value === 'string' ? value : Number(value));
+  if (isNaN(seconds) || seconds < 0 || String(value).trim().startsWith('-')) throw new Error(`Invalid transcript offset: ${value}`);
+  return seconds;
+}
+
+// ── Shared helpers ──
+
+// "Speaker Name: dialogue text" — speaker names are short and have no sentence punctuation
+const SPEAKER_PREFIX = /^([^:.!?]{1,60}?):\s+(.+)$/;
+
+function splitSpeaker(text) {
+  const m = text.match(SPEAKER_PREFIX);
+  return m ? { speaker: m[1].trim(), text: m[2].trim() } : { speaker: null, text: text.trim() };
+}
+
+/**
+ * Parse loose timestamps: "1:02:03", "02:03", "2:03.5", "00:02:03,500", or seconds.
+ */
+function parseLooseTime(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+  const v = value.trim().replace(',', '.');
+  if (/^\d+(\.\d+)?$/.test(v)) return parseFloat(v);
+  const parts = v.split(':').map(Number);
+  if (parts.some(isNaN)) return NaN;
+  return parts.reduce((acc, p) => acc * 60 + p, 0);
+}
+
+/**
+ * Formats without end times: a cue runs until the next one starts, capped at
+ * a reading-speed estimate so long silences don't count as speaking time.
+ */
+function fillEndTimes(cues) {
+  for (let i = 0; i < cues.length; i++) {
+    if (cues[i].end > cues[i].start) continue;
+    const words = cues[i].text.split(/\s+/).length;
+    const estimate = cues[i].start + Math.max(1, words / 2.5);
+    const next = cues[i + 1]?.start;
+    cues[i].end = next !== undefined && next > cues[i].start ? Math.min(next, estimate) : estimate;
+  }
+  return cues;
+}
+
+// ── SRT ──
+
+const SRT_TIMESTAMP = /^(\d+:\d{2}:\d{2}[,.]\d{1,3})\s*-->\s*(\d+:\d{2}:\d{2}[,.]\d{1,3})/;
+
+function parseSRTCues(raw) {
+  const blocks = raw.split(/\r?\n\s*\r?\n/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split(/\r?\n/).filter(l => l.trim() !== '');
+    const tsIdx = lines.findIndex(l => SRT_TIMESTAMP.test(l.trim()));
+    if (tsIdx < 0) continue;
+
+    const ts = lines[tsIdx].trim().match(SRT_TIMESTAMP);
+    const text = lines.slice(tsIdx + 1).join(' ').replace(/<[^>]+>/g, '').trim();
+    if (!text) continue;
+
+    cues.push({
+      id: cues.length + 1,
+      start: parseTimestamp(ts[1].replace(',', '.')),
+      end: parseTimestamp(ts[2].replace(',', '.')),
+      ...splitSpeaker(text),
+    });
+  }
+
+  return cues;
+}
+
+// ── JSON ──
+
+const JSON_LIST_KEYS = ['cues', 'segments', 'utterances', 'transcript', 'transcripts', 'results', 'entries'];
+const FIELD_ALIASES = {
+  start: ['start', 'startTime', 'start_time', 'startSeconds', 'from', 'offset'],
+  startMs: ['startMs', 'start_ms', 'startOffsetMs'],
+  end: ['end', 'endTime', 'end_time', 'endSeconds', 'to'],
+  endMs: ['endMs', 'end_ms', 'endOffsetMs'],
+  speaker: ['speaker', 'speakerName', 'speaker_name', 'name', 'user', 'participant'],
+  text: ['text', 'content', 'transcript', 'caption', 'message'],
+};
+
+function pick(obj, key) {
+  for (const alias of FIELD_ALIASES[key]) {
+    if (obj[alias] !== undefined && obj[alias] !== null) return obj[alias];
+  }
+  return undefined;
+}
+
+function findCueList(data) {
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === 'object') {
+    for (const key of JSON_LIST_KEYS) {
+      if (Array.isArray(data[key])) return data[key];
+    }
+  }
+  return null;
+}
+
+function parseJSONCues(raw) {
+  const list = findCueList(JSON.parse(raw));
+  if (!list) throw new Error(`JSON transcript has no cue list (expected an array or one of: ${JSON_LIST_KEYS.join(', ')})`);
+
+  const cues = [];
+  for (const item of list) {
+    if (!item || typeof item !== 'object') continue;
+
+    const rawText = pick(item, 'text');
+    const text = typeof rawText === 'string' ? rawText.trim() : '';
+    if (!text) continue;
+
+    const startMs = pick(item, 'startMs');
+    const endMs = pick(item, 'endMs');
+    const start = startMs !== undefined ? Number(startMs) / 1000 : parseLooseTime(pick(item, 'start'));
+    const end = endMs !== undefined ? Number(endMs) / 1000 : parseLooseTime(pick(item, 'end'));
+    if (isNaN(start)) continue;
+
+    const speakerField = pick(item, 'speaker');
+    const speaker = typeof speakerField === 'object' && speakerField !== null
+      ? speakerField.name || null
+      : speakerField != null ? String(speakerField) : null;
+    const split = speaker ? { speaker, text } : splitSpeaker(text);
+
+    cues.push({ id: cues.length + 1, start, end: isNaN(end) ? 0 : end, ...split });
+  }
+
+  cues.sort((a, b) => a.start - b.start);
+  cues.forEach((c, i) => { c.id = i + 1; });
+  return fillEndTimes(cues);
+}
+
+function looksLikeJSON(raw) {
+  if (!/^\s*[[{]/.test(raw)) return false;
+  try {
+    return findCueList(JSON.parse(raw)) !== null;
+  } catch {
+    return false;
+  }
+}
+
+// ── Plain text ──
+
+// "[00:01:23] Speaker: text", "00:01:23 Speaker: text", "(1:23) Speaker - text"
+const TEXT_INLINE = /^[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d+)?)[\])]?\s*[-–]?\s*([^:]{1,60}?)(?::|\s[-–])\s+(.+)$/;
+// "Speaker Name  1:23" or "Speaker Name (01:02:03)" header, text on following lines (Otter, Meet)
+const TEXT_HEADER = /^(.{1,60}?)\s+[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?$/;
+// Bare timestamp line followed by "Speaker: text"
+const TEXT_BARE_TS = /^[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d+)?)[\])]?$/;
+
+function parseTextCues(raw) {
+  const lines = raw.split(/\r?\n/);
+  const cues = [];
+  let pending = null; // { start, speaker, lines[] } from a header line
+  let atBlockStart = true; // headers only count after a blank line, not mid-paragraph
+
+  const flush = () => {
+    if (pending && pending.lines.length > 0) {
+      const text = pending.lines.join(' ').trim();
+      const split = pending.speaker ? { speaker: pending.speaker, text } : splitSpeaker(text);
+      cues.push({ id: cues.length + 1, start: pending.start, end: 0, ...split });
+    }
+    pending = null;
+  };
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) { flush(); atBlockStart = true; continue; }
+
+    const inline = line.match(TEXT_INLINE);
+    if (inline) {
+      flush();
+      cues.push({
+        id: cues.length + 1,
+        start: parseLooseTime(inline[1]),
+        end: 0,
+        speaker: inline[2].trim(),
+        text: inline[3].trim(),
+      });
+      continue;
+    }
+
+    const startsBlock = atBlockStart || (pending && pending.lines.length === 0);
+    atBlockStart = false;
+
+    const header = startsBlock && line.match(TEXT_HEADER);
+    if (header) {
+      flush();
+      pending = { start: parseLooseTime(header[2]), speaker: header[1].trim(), lines: [] };
+      continue;
+    }
+
+    const bare = startsBlock && line.match(TEXT_BARE_TS);
+    if (bare) {
+      flush();
+      pending = { start: parseLooseTime(bare[1]), speaker: null, lines: [] };
+      continue;
+    }
+
+    if (pending) {
+      pending.lines.push(line);
+    } else if (cues.length > 0) {
+      // Continuation of the previous inline cue
+      cues[cues.length - 1].text += ' ' + line;
+    }
+  }
+  flush();
+
+  cues.sort((a, b) => a.start - b.start);
+  cues.forEach((c, i) => { c.id = i + 1; });
+  return fillEndTimes(cues);
+}
+
+function looksLikeText(raw) {
+  const lines = raw.split(/\r?\n/).map(l => l.trim()).filter(Boolean).slice(0, 50);
+  if (lines.length === 0) return false;
+  const timed = lines.filter(l => TEXT_INLINE.test(l) || TEXT_HEADER.test(l) || TEXT_BARE_TS.test(l)).length;
+  return timed / lines.length >= 0.2;
+}
+
+// ── Built-in formats (registered lowest priority first) ──
+
+registerTranscriptFormat({
+  id: 'text',
+  name: 'Plain text (.txt)',
+  extensions: ['.txt', '.log'],
+  detect: looksLikeText,
+  parse: parseTextCues,
+});
+
+registerTranscriptFormat({
+  id: 'json',
+  name: 'JSON (.json)',
+  extensions: ['.json'],
+  detect: looksLikeJSON,
+  parse: parseJSONCues,
+});
+
+registerTranscriptFormat({
+  id: 'srt',
+  name: 'SubRip (.srt)',
+  extensions: ['.srt'],
+  detect: raw => raw.split(/\r?\n/).slice(0, 10).some(l => SRT_TIMESTAMP.test(l.trim()) && l.includes(',')),
+  parse: parseSRTCues,
+});
+
+registerTranscriptFormat({
+  id: 'vtt',
+  name: 'WebVTT (.vtt)',
+  extensions: ['.vtt'],
+  detect: raw => /^WEBVTT/.test(raw.trimStart()),
+  parse: parseVTTCues,
+});
@@ -0,0 +1,236 @@
+import puppeteer from 'puppeteer';
+
+/**
+ * Runtime validation of generated animations.
+ *
+ * The string checks in generate-animation.js only prove the right names
+ * appear somewhere in the file. This loads the HTML in headless Chrome
+ * (the same Puppeteer setup as export-animation.js) with the network
+ * blocked and checks what actually runs:
+ *
+ *   - no script errors or console errors while loading and rendering
+ *   - frameData has 16-24 frames
+ *   - every frame's lines are 54 columns × 40 rows
+ *   - render() and pause() exist (export drives the player through them)
+ *   - render() isn't hopelessly slow (average time per frame)
+ *
+ * Render times are wall-clock and vary with the machine and its load, so
+ * going over the export's per-frame budget is only a warning (`warnings`);
+ * it fails validation only when it's an order of magnitude over.
+ *
+ * Stack traces of script errors come back separately (`traces`) for the
+ * repair prompt in generate-animation.js, and a per-frame summary
+ * (`frames`: text rows, mood, colour stats) for score-animation.js.
+ *
+ * If Chrome can't be launched the check is skipped with a warning rather
+ * than failing generation.
+ */
+
+const FRAME_COLS = 54;
+const FRAME_ROWS = 40;
+const MIN_FRAMES = 16;
+const MAX_FRAMES = 24;
+// Export waits 80ms per frame for the render to settle — slower is a warning
+const SLOW_RENDER_MS = 50;
+// An average render this slow fails validation
+const MAX_RENDER_MS = 500;
+const LOAD_TIMEOUT_MS = 10000;
+// Let the player's own setup (first render, interval) run before inspecting
+const SETTLE_MS = 300;
+const MAX_REPORTED_ERRORS = 8;
+const MAX_TRACE_LINES = 6;
+
+/**
+ * Load and exercise an animation.
+ *
+ * @param {string} html - Complete animation HTML
+ * @returns {Promise<{ valid: boolean, errors: string[], warnings: string[], traces: string[], skipped: string|null,
+ *   stats: { frames: number, avgRenderMs: number, maxRenderMs: number }|null,
+ *   frames: { rows: string[], mood: number|null, lightness: number|null, saturation: number|null, hues: number[] }[] }>}
+ */
+export async function validateAnimationRuntime(html) {
+  let browser;
+  try {
+    browser = await puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox'],
+    });
+  } catch (err) {
+    console.warn(`  Runtime check skipped: could not launch Chrome (${err.message.split('\n')[0]})`);
+    return { valid: true, errors: [], warnings: [], traces: [], skipped: err.message, stats: null, frames: [] };
+  }
+
+  const errors = [];
+  const warnings = [];
+  const traces = [];
+  try {
+    const page = await browser.newPage();
+
+    // Offline: the animation must be self-contained
+    await page.setRequestInterception(true);
+    page.on('request', req => {
+      if (/^(?:data|about|blob):/.test(req.url())) return req.continue();
+      errors.push(`Loads an external resource (${req.url().substring(0, 100)}) — animations must be self-contained`);
+      req.abort();
+    });
+    page.on('pageerror', err => {
+      errors.push(`Script error: ${err.message.split('\n')[0]}`);
+      if (err.stack) traces.push(trimStack(err.stack));
+    });
+    page.on('console', msg => {
+      if (msg.type() === 'error') errors.push(`Console error: ${msg.text().substring(0, 200)}`);
+    });
+
+    await page.setContent(html, { waitUntil: 'domcontentloaded', timeout: LOAD_TIMEOUT_MS });
+    await new Promise(r => setTimeout(r, SETTLE_MS));
+
+    const report = await page.evaluate(inspectAnimation);
+    errors.push(...checkReport(report));
+    traces.push(...report.renderErrors.filter(e => e.stack).map(e => trimStack(e.stack)));
+
+    const stats = report.renderTimes.length > 0
+      ? {
+          frames: report.frameCount,
+          avgRenderMs: round(report.renderTimes.reduce((a, b) => a + b, 0) / report.renderTimes.length),
+          maxRenderMs: round(Math.max(...report.renderTimes)),
+        }
+      : { frames: report.frameCount, avgRenderMs: 0, maxRenderMs: 0 };
+    if (stats.avgRenderMs > MAX_RENDER_MS) {
+      errors.push(`render() takes ${stats.avgRenderMs}ms per frame on average (limit ${MAX_RENDER_MS}ms) — precompute more in frameData`);
+    } else if (stats.maxRenderMs > SLOW_RENDER_MS) {
+      warnings.push(`render() takes up to ${stats.maxRenderMs}ms per frame (avg ${stats.avgRenderMs}ms, export budget ${SLOW_RENDER_MS}ms)`);
+    }
+
+    const unique = [...new Set(errors)].slice(0, MAX_REPORTED_ERRORS);
+    return {
+      valid: unique.length === 0,
+      errors: unique,
+      warnings,
+      traces: [...new Set(traces)].slice(0, 3),
+      skipped: null,
+      stats,
+      frames: report.frames,
+    };
+  } catch (err) {
+    errors.push(`Animation did not load: ${err.message.split('\n')[0]}`);
+    return { valid: false, errors: [...new Set(errors)].slice(0, MAX_REPORTED_ERRORS), warnings, traces, skipped: null, stats: null, frames: [] };
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Turn the in-page report into error messages.
+ */
+function checkReport(report) {
+  const errors = [];
+
+  if (!report.hasFrameData) {
+    errors.push('frameData is not defined as an array after the page loads');
+  } else if (report.frameCount < MIN_FRAMES || report.frameCount > MAX_FRAMES) {
+    errors.push(`frameData has ${report.frameCount} frames — it needs ${MIN_FRAMES}-${MAX_FRAMES}`);
+  }
+  if (!report.hasRender) errors.push('render() is not defined');
+  if (!report.hasPause) errors.push('pause() is not defined');
+
+  if (report.hasFrameData && report.frameCount > 0 && report.sizes.length === 0) {
+    errors.push('Frame lines are not reachable — keep `lines` on frameData entries or make buildFrame(FC[i]) return { lines }');
+  }
+  const wrong = report.sizes.filter(s => s.rows !== FRAME_ROWS || s.minCols !== FRAME_COLS || s.maxCols !== FRAME_COLS);
+  if (wrong.length > 0) {
+    const s = wrong[0];
+    const cols = s.minCols === s.maxCols ? s.minCols : `${s.minCols}-${s.maxCols}`;
+    errors.push(`${wrong.length} frame(s) are not ${FRAME_COLS}×${FRAME_ROWS} (frame ${s.index} is ${cols}×${s.rows})`);
+  }
+
+  for (const e of report.renderErrors) errors.push(`render() threw on frame ${e.index}: ${e.message}`);
+  return errors;
+}
+
+/**
+ * Runs inside the page. The animation's globals (frameData, FC,
+ * buildFrame, colorizeFrame, render, pause, currentFrame) are top-level
+ * script bindings, so they're reached by name.
+ */
+function inspectAnimation() {
+  const report = {
+    hasFrameData: typeof frameData !== 'undefined' && Array.isArray(frameData),
+    frameCount: 0,
+    hasRender: typeof render === 'function',
+    hasPause: typeof pause === 'function',
+    sizes: [],
+    frames: [],
+    renderTimes: [],
+    renderErrors: [],
+  };
+  if (!report.hasFrameData) return report;
+  report.frameCount = frameData.length;
+
+  // Frame lines: kept on frameData, or rebuilt from the frame config
+  const hasFC = typeof FC !== 'undefined' && Array.isArray(FC);
+  const canRebuild = hasFC && typeof buildFrame === 'function';
+  const canColorize = canRebuild && typeof colorizeFrame === 'function';
+  for (let i = 0; i < frameData.length; i++) {
+    const fd = frameData[i] || {};
+    let lines = fd.lines;
+    let built = null;
+    if (!lines && canRebuild && FC[i]) {
+      try { built = buildFrame(FC[i]); lines = built.lines; } catch (e) { lines = null; }
+    }
+
+    // Colour stats from the frame's hsl() styles
+    let html = typeof fd.html === 'string' ? fd.html : '';
+    if (!html && canColorize && FC[i]) {
+      try { html = colorizeFrame(built || buildFrame(FC[i])); } catch (e) { html = ''; }
+    }
+    const hues = new Array(12).fill(0);
+    let lightness = 0, saturation = 0, count = 0;
+    for (const m of String(html).matchAll(/hsla?\(\s*([\d.]+)(?:deg)?[\s,]+([\d.]+)%[\s,]+([\d.]+)%/g)) {
+      hues[Math.floor((Number(m[1]) % 360) / 30)]++;
+      saturation += Number(m[2]);
+      lightness += Number(m[3]);
+      count++;
+    }
+    report.frames.push({
+      rows: Array.isArray(lines) ? lines.map(row => (Array.isArray(row) ? row.join('') : String(row))) : [],
+      mood: typeof fd.mood === 'number' ? fd.mood : (hasFC && FC[i] && typeof FC[i].mood === 'number' ? FC[i].mood : null),
+      lightness: count ? lightness / count : null,
+      saturation: count ? saturation / count : null,
+      hues,
+    });
+
+    if (!Array.isArray(lines)) continue;
+    const widths = lines.map(row => (row && row.length) || 0);
+    report.sizes.push({
+      index: i,
+      rows: lines.length,
+      minCols: widths.length ? Math.min(...widths) : 0,
+      maxCols: widths.length ? Math.max(...widths) : 0,
+    });
+  }
+
+  if (!report.hasRender) return report;
+  if (report.hasPause) pause();
+  const stage = document.getElementById('stage');
+  for (let i = 0; i < frameData.length; i++) {
+    try {
+      currentFrame = i;
+      const t0 = performance.now();
+      render();
+      if (stage) void stage.offsetHeight; // include layout in the timing
+      report.renderTimes.push(performance.now() - t0);
+    } catch (e) {
+      report.renderErrors.push({ index: i, message: String(e && e.message || e), stack: e && e.stack || null });
+      if (report.renderErrors.length >= 3) break;
+    }
+  }
+  return report;
+}
+
+function trimStack(stack) {
+  return stack.split('\n').slice(0, MAX_TRACE_LINES).join('\n');
+}
+
+function round(ms) {
+  return Math.round(ms * 10) / 10;
+}
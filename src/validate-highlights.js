@@ -0,0 +1,220 @@
+import { MOMENT_TYPES } from './highlight-options.js';
+
+/**
+ * Highlight schema validation — checks LLM highlight JSON against the
+ * shape in prompts/highlight-finder.md and against the parsed session.
+ *
+ * Fixable problems are repaired in place (on a copy):
+ *   - times snapped to the start/end of the referenced cues, or cue IDs
+ *     filled in from the times when the IDs don't exist
+ *   - key dialogue cue IDs that don't exist or fall outside the clip dropped
+ *   - animation weights normalised to sum to 1, beats renumbered
+ *   - missing rank / clip duration / optional text filled in
+ *
+ * Everything else (unknown type, no usable time range, missing or empty
+ * animationSequence) is returned as an error so the caller can re-prompt.
+ */
+
+const MIN_BEATS = 2;
+const MAX_BEATS = 3;
+// Times this far from the referenced cue's edge count as a repair worth logging
+const SNAP_TOLERANCE_SEC = 1;
+const MAX_FILLED_DIALOGUE = 10;
+
+/**
+ * Validate and repair highlights.
+ *
+ * @param {object[]} highlights - Parsed LLM output
+ * @param {object} session - Parsed session (cues, durationSeconds)
+ * @returns {{ highlights: object[], errors: { index: number, title: string, message: string }[], repairs: string[] }}
+ *   `highlights` holds only the ones without errors (repaired)
+ */
+export function validateHighlights(highlights, session) {
+  const cues = session.cues;
+  const cueById = new Map(cues.map((c, i) => [c.id, i]));
+  const sessionEnd = session.durationSeconds || (cues.length > 0 ? cues[cues.length - 1].end : 0);
+
+  const valid = [];
+  const errors = [];
+  const repairs = [];
+
+  (Array.isArray(highlights) ? highlights : [highlights]).forEach((raw, index) => {
+    const label = raw?.title ? `"${raw.title}"` : `#${index + 1}`;
+    const problems = [];
+    const fixed = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push({ index, title: label, message: 'highlight must be a JSON object' });
+      return;
+    }
+    const h = { ...raw };
+
+    if (!MOMENT_TYPES.includes(h.type)) {
+      problems.push(`type "${h.type}" is not one of ${MOMENT_TYPES.join(', ')}`);
+    }
+    if (typeof h.title !== 'string' || !h.title.trim()) {
+      problems.push('title is missing');
+    }
+
+    const range = resolveRange(h, cues, cueById, sessionEnd, fixed, problems);
+    if (range) {
+      Object.assign(h, range);
+      repairDialogue(h, cues, cueById, fixed);
+      if (typeof h.estimatedClipDuration !== 'number' || !(h.estimatedClipDuration > 0)) {
+        h.estimatedClipDuration = Math.round(h.endTime - h.startTime);
+        fixed.push('estimatedClipDuration filled in from the clip times');
+      }
+    }
+
+    repairSequence(h, problems, fixed);
+
+    if (typeof h.rank !== 'number') {
+      h.rank = index + 1;
+      fixed.push('rank filled in');
+    }
+    for (const field of ['emotionalArc', 'whyItsGood', 'contextForViewers']) {
+      if (typeof h[field] !== 'string') {
+        h[field] = '';
+        fixed.push(`${field} was missing`);
+      }
+    }
+
+    if (problems.length > 0) {
+      for (const message of problems) errors.push({ index, title: label, message });
+      return;
+    }
+    for (const f of fixed) repairs.push(`${label}: ${f}`);
+    valid.push(h);
+  });
+
+  return { highlights: valid, errors, repairs };
+}
+
+/**
+ * Human-readable list of errors for a re-prompt.
+ */
+export function describeErrors(errors) {
+  return errors.map(e => `- Highlight ${e.title}: ${e.message}`).join('\n');
+}
+
+// ── Time range ──
+
+/**
+ * Work out the clip's cue range. Cue IDs win when both exist (the prompt
+ * treats them as the reference); otherwise cues are found from the times.
+ * Times are then snapped to the cue edges.
+ */
+function resolveRange(h, cues, cueById, sessionEnd, fixed, problems) {
+  let startIdx = cueById.get(h.startCue);
+  let endIdx = cueById.get(h.endCue);
+  const hasTimes = isTime(h.startTime) && isTime(h.endTime) && h.endTime > h.startTime;
+
+  if ((startIdx === undefined || endIdx === undefined) && hasTimes && h.startTime < sessionEnd) {
+    if (startIdx === undefined) {
+      startIdx = cues.findIndex(c => c.end > h.startTime);
+      if (startIdx >= 0) fixed.push(`startCue ${h.startCue ?? '(missing)'} replaced with ${cues[startIdx].id} from startTime`);
+    }
+    if (endIdx === undefined) {
+      endIdx = findLastIndex(cues, c => c.start < h.endTime);
+      if (endIdx >= 0) fixed.push(`endCue ${h.endCue ?? '(missing)'} replaced with ${cues[endIdx].id} from endTime`);
+    }
+  }
+
+  if (startIdx === undefined || startIdx < 0 || endIdx === undefined || endIdx < 0) {
+    const why = isTime(h.startTime) && h.startTime >= sessionEnd
+      ? `startTime ${Math.round(h.startTime)}s is past the end of the session (${Math.round(sessionEnd)}s)`
+      : `startTime/endTime (${h.startTime}, ${h.endTime}) don't give a usable range`;
+    problems.push(`startCue/endCue (${h.startCue}, ${h.endCue}) don't exist in the transcript and ${why}`);
+    return null;
+  }
+  if (endIdx < startIdx) {
+    if (hasTimes) {
+      problems.push(`endCue ${h.endCue} comes before startCue ${h.startCue}`);
+      return null;
+    }
+    [startIdx, endIdx] = [endIdx, startIdx];
+    fixed.push('startCue and endCue were swapped');
+  }
+
+  const startTime = cues[startIdx].start;
+  const endTime = cues[endIdx].end;
+  if (!isTime(h.startTime) || Math.abs(h.startTime - startTime) > SNAP_TOLERANCE_SEC ||
+      !isTime(h.endTime) || Math.abs(h.endTime - endTime) > SNAP_TOLERANCE_SEC) {
+    fixed.push(`times snapped to cues ${cues[startIdx].id}-${cues[endIdx].id}`);
+  }
+
+  return {
+    startCue: cues[startIdx].id,
+    endCue: cues[endIdx].id,
+    startTime,
+    endTime,
+    // The model's own in/out points, for refine-boundaries.js and the plan screen
+    rawStartTime: isTime(h.startTime) ? h.startTime : startTime,
+    rawEndTime: isTime(h.endTime) ? h.endTime : endTime,
+  };
+}
+
+function repairDialogue(h, cues, cueById, fixed) {
+  const ids = Array.isArray(h.keyDialogueCueIds) ? h.keyDialogueCueIds : [];
+  const kept = [...new Set(ids)].filter(id => cueById.has(id) && id >= h.startCue && id <= h.endCue);
+
+  if (kept.length < ids.length) {
+    fixed.push(`dropped ${ids.length - kept.length} keyDialogueCueIds that don't exist or fall outside the clip`);
+  }
+  if (kept.length === 0) {
+    const from = cueById.get(h.startCue);
+    const to = cueById.get(h.endCue);
+    kept.push(...cues.slice(from, Math.min(to + 1, from + MAX_FILLED_DIALOGUE)).map(c => c.id));
+    fixed.push('keyDialogueCueIds filled in from the clip range');
+  }
+  h.keyDialogueCueIds = kept;
+}
+
+// ── Animation sequence ──
+
+function repairSequence(h, problems, fixed) {
+  if (!Array.isArray(h.animationSequence) || h.animationSequence.length === 0) {
+    problems.push(`animationSequence is missing — it needs ${MIN_BEATS}-${MAX_BEATS} beats`);
+    return;
+  }
+
+  let beats = h.animationSequence.filter(b => b && typeof b.concept === 'string' && b.concept.trim());
+  if (beats.length < h.animationSequence.length) {
+    problems.push(`${h.animationSequence.length - beats.length} animationSequence beat(s) have no concept`);
+    return;
+  }
+  if (beats.length < MIN_BEATS) {
+    problems.push(`animationSequence has ${beats.length} beat — it needs ${MIN_BEATS}-${MAX_BEATS}`);
+    return;
+  }
+  if (beats.length > MAX_BEATS) {
+    fixed.push(`animationSequence trimmed from ${beats.length} to ${MAX_BEATS} beats`);
+    beats = [...beats].sort((a, b) => (a.order ?? 99) - (b.order ?? 99)).slice(0, MAX_BEATS);
+  }
+
+  beats = [...beats].sort((a, b) => (a.order ?? 99) - (b.order ?? 99));
+  const weights = beats.map(b => (typeof b.durationWeight === 'number' && b.durationWeight > 0 ? b.durationWeight : null));
+  const missing = weights.filter(w => w === null).length;
+  const known = weights.reduce((sum, w) => sum + (w || 0), 0);
+  // Missing weights get an even share of whatever is left (or of 1)
+  const fill = missing > 0 ? Math.max(1 - known, missing / beats.length) / missing : 0;
+  const total = known + fill * missing;
+  if (missing > 0 || Math.abs(total - 1) > 0.01) fixed.push('animation weights normalised to sum to 1');
+
+  h.animationSequence = beats.map((b, i) => ({
+    ...b,
+    order: i + 1,
+    emotion: typeof b.emotion === 'string' ? b.emotion : '',
+    suggestedType: MOMENT_TYPES.includes(b.suggestedType) ? b.suggestedType : (h.type || 'table_chaos'),
+    durationWeight: Math.round(((weights[i] ?? fill) / total) * 100) / 100,
+  }));
+}
+
+function isTime(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function findLastIndex(arr, predicate) {
+  for (let i = arr.length - 1; i >= 0; i--) if (predicate(arr[i])) return i;
+  return -1;
+}
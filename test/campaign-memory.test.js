@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deprioritizePublished } from '../src/campaign-memory.js';
+
+const session = {
+  sessionFile: 'ep12.vtt',
+  cues: [
+    { id: 1, start: 0, end: 10, text: 'The dragon wakes up.' },
+    { id: 2, start: 100, end: 110, text: 'Natural twenty on the lock!' },
+  ],
+};
+const highlights = [
+  { title: 'Dragon wakes', startTime: 0, endTime: 10 },
+  { title: 'Lock nat 20', startTime: 100, endTime: 110 },
+];
+const memory = {
+  published: [{ key: 'ep12.vtt', sessionFile: 'ep12.vtt', title: 'Dragon wakes', startTime: 0, endTime: 10, dialogue: '' }],
+};
+
+test('moments published from another run are moved down and tagged', () => {
+  const ranked = deprioritizePublished(highlights, memory, session, 'other-run');
+  assert.deepEqual(ranked.map(h => h.title), ['Lock nat 20', 'Dragon wakes']);
+  assert.equal(ranked[1].repeatOf, 'Dragon wakes');
+});
+
+test("a re-analysis doesn't count its own published moments", () => {
+  const ranked = deprioritizePublished(highlights, memory, session, 'ep12.vtt');
+  assert.deepEqual(ranked, highlights);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractDiceRolls, isNotable } from '../src/dice-rolls.js';
+
+const cues = lines => lines.map(([speaker, text], i) => ({ id: i + 1, start: i * 5, speaker, text }));
+
+test('everyday "got one" / "that\'s a one" speech is not a roll', () => {
+  const rolls = extractDiceRolls(cues([
+    ['Sam', 'I got one question for you.'],
+    ['Laura', 'We got two goblins left.'],
+    ['Matt', "That's a one-time thing."],
+    ['Sam', 'He got one shot left.'],
+  ]), { dmName: 'Matt' });
+  assert.deepEqual(rolls, []);
+});
+
+test('spelled-out numbers count with roll talk in the cue', () => {
+  const rolls = extractDiceRolls(cues([
+    ['Sam', 'I rolled a three.'],
+    ['Laura', 'I got nine plus four on the d20.'],
+  ]), { dmName: 'Matt' });
+  assert.deepEqual(rolls.map(r => r.value), [3, 9]);
+});
+
+test('spelled-out numbers count right after the DM asks for a roll', () => {
+  const rolls = extractDiceRolls(cues([
+    ['Matt', 'Give me a stealth check.'],
+    ['Sam', "That's a twelve."],
+  ]), { dmName: 'Matt' });
+  assert.equal(rolls.filter(r => !r.call).length, 1);
+  assert.equal(rolls.find(r => !r.call).value, 12);
+});
+
+test('a roll call from another player is not context', () => {
+  const rolls = extractDiceRolls(cues([
+    ['Laura', 'Should I roll for it?'],
+    ['Sam', 'I got one question first.'],
+  ]), { dmName: 'Matt' });
+  assert.deepEqual(rolls, []);
+});
+
+test('low totals are notable only as a natural 1', () => {
+  const [low, nat1] = extractDiceRolls(cues([
+    ['Sam', 'I rolled a 2 to hit.'],
+    ['Laura', 'Natural 1.'],
+  ]), { dmName: 'Matt' });
+  assert.equal(low.value, 2);
+  assert.equal(isNotable(low), false);
+  assert.equal(nat1.natural, 1);
+  assert.equal(isNotable(nat1), true);
+});
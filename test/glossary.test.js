@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { glossaryTerms, correctCues, phoneticKey } from '../src/glossary.js';
+import { normalizeCast } from '../src/campaign.js';
+
+const cast = normalizeCast({
+  dm: { player: 'Chris' },
+  players: [
+    { player: 'Kristin', character: 'Bixie' },
+    { player: 'Daniel', character: 'Thorin' },
+  ],
+});
+const terms = glossaryTerms({ terms: ['Strahd', 'Saltmarsh', { name: 'Vexus', variants: ['Vex us'] }] }, cast);
+
+const correct = text => correctCues([{ id: 1, text }], terms).cues[0].text;
+
+test('real English words are never rewritten', () => {
+  assert.equal(correct('Thorn bushes block the path.'), 'Thorn bushes block the path.');
+  assert.equal(correct('Strata of old bones line the wall.'), 'Strata of old bones line the wall.');
+});
+
+test('player names are not fuzzy targets', () => {
+  assert.equal(correct('Christine, you are up.'), 'Christine, you are up.');
+  assert.equal(correct('Danielle says hi.'), 'Danielle says hi.');
+  assert.equal(terms.find(t => t.name === 'Kristin').fuzzy, false);
+});
+
+test('misheard campaign names are still corrected', () => {
+  assert.equal(correct('We sail to Saltmarch tonight.'), 'We sail to Saltmarsh tonight.');
+  assert.equal(correct('Back in Salt march we rested.'), 'Back in Saltmarsh we rested.');
+  assert.equal(correct('Thorinn swings his axe.'), 'Thorin swings his axe.');
+  assert.equal(correct('Vexis laughs.'), 'Vexus laughs.');
+  assert.equal(correct('Then Vex us appears.'), 'Then Vexus appears.');
+});
+
+test('the allowed edit distance grows with word length', () => {
+  // One edit away is fine for a six-letter name, two is not
+  assert.equal(correct('Strahdt rises.'), 'Strahd rises.');
+  assert.equal(correct('Strohdt rises.'), 'Strohdt rises.');
+  // A nine-letter name tolerates two
+  assert.equal(correct('Sealtmarshe is quiet.'), 'Saltmarsh is quiet.');
+});
+
+test('sh and soft ch share a phonetic key, hard ch does not', () => {
+  assert.equal(phoneticKey('Saltmarsh'), phoneticKey('Saltmarch'));
+  assert.notEqual(phoneticKey('Christine'), phoneticKey('Shristine'));
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { withCassette } from '../src/llm-cassette.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'cassette-'));
+const path = join(dir, 'cassette.json');
+writeFileSync(path, JSON.stringify({
+  version: 1,
+  interactions: ['first', 'second'].map(text => ({
+    hash: `recorded-${text}`, purpose: 'highlights', response: { text, usage: {} },
+  })),
+}));
+test.after(() => rmSync(dir, { recursive: true, force: true }));
+
+const base = { name: 'mock', model: 'mock' };
+const ask = provider => provider.complete({ system: 's', user: 'changed prompt', purpose: 'highlights' }).then(r => r.text);
+
+test('providers in one run share the used recordings', async () => {
+  const used = new Set();
+  assert.equal(await ask(withCassette(base, { path, mode: 'replay', used })), 'first');
+  assert.equal(await ask(withCassette(base, { path, mode: 'replay', used })), 'second');
+  await assert.rejects(ask(withCassette(base, { path, mode: 'replay', used })), /no unused recording/);
+});
+
+test('a new run starts from the first recording again', async () => {
+  assert.equal(await ask(withCassette(base, { path, mode: 'replay', used: new Set() })), 'first');
+  assert.equal(await ask(withCassette(base, { path, mode: 'replay', used: new Set() })), 'first');
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseVTT, parseVTTCues, parseTimestamp } from '../src/parse-vtt.js';
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const fixture = name => readFileSync(join(FIXTURES, name), 'utf-8');
+
+test('skips the header, NOTE, STYLE and REGION blocks', () => {
+  const cues = parseVTTCues(fixture('spec-blocks.vtt'));
+  assert.equal(cues.length, 3);
+  for (const cue of cues) {
+    assert.doesNotMatch(cue.text, /note|color|width:|Kind:/i);
+  }
+});
+
+test('voice tags become the speaker and inline markup is stripped', () => {
+  const [first, second, third] = parseVTTCues(fixture('spec-blocks.vtt'));
+  assert.equal(first.speaker, 'Matt Mercer');
+  assert.equal(first.text, 'You enter the crypt.');
+  // Voice tags with classes (<v.loud Sam>) still name the speaker
+  assert.equal(second.speaker, 'Sam');
+  assert.equal(second.text, 'I roll to hide & wait.');
+  // Without a voice tag, "Speaker: text" is used
+  assert.equal(third.speaker, 'Laura');
+  assert.equal(third.text, 'Natural twenty!');
+});
+
+test('cue settings after the end timestamp are ignored', () => {
+  const [first, second] = parseVTTCues(fixture('spec-blocks.vtt'));
+  assert.equal(first.start, 1);
+  assert.equal(first.end, 3.5);
+  assert.equal(second.start, 4);
+  assert.equal(second.end, 6.25);
+});
+
+test('timestamps may omit hours', () => {
+  assert.equal(parseTimestamp('00:01.000'), 1);
+  assert.equal(parseTimestamp('12:34.5'), 754.5);
+  assert.equal(parseTimestamp('01:00:02.500'), 3602.5);
+  assert.equal(parseVTTCues(fixture('spec-blocks.vtt'))[2].start, 3602.5);
+});
+
+test('string identifiers are kept and the cue gets the next number', () => {
+  const [first] = parseVTTCues(fixture('spec-blocks.vtt'));
+  assert.equal(first.identifier, 'intro');
+  assert.equal(first.id, 1);
+});
+
+test('numeric identifiers are kept only while they move forward', () => {
+  const cues = parseVTTCues(fixture('identifiers.vtt'));
+  assert.deepEqual(cues.map(c => c.id), [5, 6, 7, 8, 9, 20]);
+  assert.equal(cues[3].identifier, 'scene-two');
+  // Numeric identifiers aren't repeated as `identifier`
+  assert.equal(cues[0].identifier, undefined);
+  assert.equal(cues[1].identifier, undefined);
+});
+
+test('Zoom exports still parse, with or without blank lines between cues', () => {
+  const cues = parseVTTCues(fixture('zoom.vtt'));
+  assert.deepEqual(cues.map(c => c.id), [1, 2, 3]);
+  assert.deepEqual(cues.map(c => c.speaker), ['Matt Mercer', 'Sam Riegel', 'Laura Bailey']);
+  assert.equal(cues[0].start, 2.656);
+  assert.equal(cues[2].text, 'I go after the goblin.');
+});
+
+test('parseVTT builds a session from a fixture file', () => {
+  const session = parseVTT(join(FIXTURES, 'zoom.vtt'));
+  assert.equal(session.cues.length, 3);
+  assert.equal(session.sessionFile, 'zoom.vtt');
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectSegments } from '../src/segments.js';
+
+// [start, speaker, text] — each cue lasts 4s
+const cues = lines => lines.map(([start, speaker, text], i) => ({ id: i + 1, start, end: start + 4, speaker, text }));
+
+// Gameplay filler every 10s over [from, to)
+const chatter = (from, to) => Array.from({ length: (to - from) / 10 }, (_, i) => [from + i * 10, 'Sam', 'I look around the room.']);
+
+test('an in-character "be right back" is not a break', () => {
+  const segments = detectSegments(cues([
+    ...chatter(0, 100),
+    [100, 'Matt', "The barkeep says: I'll be right back with your ale."],
+    ...chatter(110, 200),
+    // A pause much later isn't the barkeep's break
+    ...chatter(290, 400),
+  ]), 'Matt');
+  assert.equal(segments.some(s => s.type === 'break'), false);
+});
+
+test('"brb" followed by silence is a break', () => {
+  const segments = detectSegments(cues([
+    ...chatter(0, 100),
+    [100, 'Matt', 'Okay brb, grabbing snacks.'],
+    ...chatter(200, 400),
+  ]), 'Matt');
+  const brk = segments.find(s => s.type === 'break');
+  assert.ok(brk);
+  assert.equal(brk.startTime, 100);
+});
+
+test('"next session" mid-game is not a wrap-up', () => {
+  const segments = detectSegments(cues([
+    ...chatter(0, 5000),
+    [5000, 'Matt', 'The elders will decide at the next session of the council.'],
+    ...chatter(5010, 6000),
+  ]), 'Matt');
+  assert.equal(segments.some(s => s.type === 'wrap-up'), false);
+});
+
+test('"next session" in the last minutes starts the wrap-up', () => {
+  const segments = detectSegments(cues([
+    ...chatter(0, 2900),
+    [2900, 'Matt', 'Alright, next session we pick up at the gates.'],
+    ...chatter(2910, 3000),
+  ]), 'Matt');
+  const wrap = segments.find(s => s.type === 'wrap-up');
+  assert.ok(wrap);
+  assert.equal(wrap.startTime, 2900);
+});